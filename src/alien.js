@@ -1,23 +1,36 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { createTeleportParticles } from './teleportParticles.js';
+import { SeededRandom, randomSeed } from './random.js';
+import { Item } from './inventory.js';
 
 export class Alien {
-    constructor(scene, camera, playerPosition) {
+    constructor(scene, camera, playerPosition, terrain = null, random = null) {
         this.scene = scene;
         this.camera = camera;
         this.playerPosition = playerPosition;
+        this.terrain = terrain; // Used to keep the alien on the ground
+        this.random = random || new SeededRandom(randomSeed()); // Seeded so hiding choices are reproducible
         this.model = null;
-        this.isHiding = false;
-        this.targetTree = null;
+        this.hidingSpot = null; // Where the alien is heading to hide
+        this.hidingCover = null; // The tree, rock or wall it hides behind
         this.moveSpeed = 0.02;
         this.minDistanceFromPlayer = 15; // Minimum distance to keep from player
         this.maxDistanceFromPlayer = 30; // Maximum distance before teleporting closer
         this.tooCloseDistance = 8; // Distance at which the alien will teleport away
-        this.hidingDuration = 0; // How long the alien has been hiding
         this.maxHidingTime = 10000; // Maximum time to hide in milliseconds
-        this.lastHidingTime = 0; // Last time the alien changed hiding state
-        this.hidingCooldown = 5000; // Cooldown between hiding states
+        this.hidingSearchRange = 15; // How far from the alien it looks for cover
+        this.coverOffsets = { tree: 2, rock: 1.2, wall: 1 }; // How far behind each kind of cover to stand
+        this.bodySamples = [ // Points on the alien checked for visibility, relative to its feet
+            new THREE.Vector3(0, 0.5, 0),
+            new THREE.Vector3(0, 1.2, 0),
+            new THREE.Vector3(0.3, 0.9, 0),
+            new THREE.Vector3(-0.3, 0.9, 0)
+        ];
+        this.visibilityCheckInterval = 0.5; // Seconds between checks for the player looking at the alien
+        this.visibilityCheckTimer = 0;
+        this.raycaster = new THREE.Raycaster();
+        this.frustum = new THREE.Frustum();
         this.lastPlayerPosition = new THREE.Vector3();
         this.lastPlayerPositionUpdateTime = 0;
         this.playerPositionUpdateInterval = 2000; // Update target position every 2 seconds
@@ -25,6 +38,52 @@ export class Alien {
         this.teleportCooldown = 0; // Cooldown timer for teleportation
         this.teleportCooldownTime = 3000; // 3 seconds between teleports
 
+        // The alien runs a state machine: observe, stalk, hide, flee, approach and attack
+        this.state = 'observe';
+        this.stateTimer = 5; // Seconds left in the current state
+        this.debug = false;
+        this.debugOverlay = null; // Shows the current state, toggled from the terminal
+
+        // It gets bolder every day and when the player is out in the open
+        this.aggressionPerDay = 0.15;
+        this.exposureAggression = 0.5; // Aggression added when the player is fully exposed
+        this.attackAggression = 0.5; // Aggression needed to come for the player
+        this.raidAggression = 0.3; // Aggression needed to raid a stash
+        this.approachSpeedMultiplier = 3;
+        this.attackDistance = 2;
+        this.attackDamage = 10;
+        this.attackCooldown = 0;
+        this.attackCooldownTime = 20; // Seconds between attacks
+        this.wallDamage = 35; // Damage done clawing at a wall when the player hides behind it
+        this.shelterSearchRange = 4; // How far from the player a wall counts as part of their shelter
+        this.siegeTarget = null; // The wall it's clawing its way through
+
+        // Items the player drops and walks away from can be stolen
+        this.unattendedDistance = 25; // How far the player has to be from a stash to leave it unattended
+        this.stashSearchRange = 40; // How far the alien looks for stashes
+        this.stealDistance = 1.5;
+        this.stolenItems = []; // Dropped again when the alien flees
+
+        // Arrows can hurt it, a hit staggers it and sends it running
+        this.maxHealth = 3; // Arrow hits needed to kill it
+        this.health = this.maxHealth;
+        this.isDead = false;
+        this.hitbox = null; // Invisible box arrows are tested against
+        this.hitboxSize = new THREE.Vector3(0.8, 1.8, 0.8);
+        this.staggerDuration = 0.6; // Seconds it reels from a hit before teleporting away
+        this.woundedFleeDuration = 6; // Seconds it runs from the shooter after teleporting
+        this.runSpeedMultiplier = 4;
+        this.fleeFrom = null; // Where the arrow that hit it came from
+        this.alloyDrop = 3; // Alien alloy dropped when it's killed
+        this.respawnDelay = 180; // Seconds until another alien turns up
+        this.respawnTimer = 0;
+
+        // Set from main once the rest of the game exists
+        this.dayNightCycle = null;
+        this.buildingSystem = null;
+        this.playerVitals = null;
+        this.pickupSystem = null;
+
         // Load the alien model
         this.loadModel();
     }
@@ -50,14 +109,23 @@ export class Alien {
             });
 
             // Position the alien away from the player initially
-            const randomAngle = Math.random() * Math.PI * 2;
-            const randomDistance = this.minDistanceFromPlayer + Math.random() * 10;
+            const randomAngle = this.random.next() * Math.PI * 2;
+            const randomDistance = this.minDistanceFromPlayer + this.random.next() * 10;
             this.model.position.set(
                 Math.cos(randomAngle) * randomDistance,
                 0, // Directly on the ground
                 Math.sin(randomAngle) * randomDistance
             );
 
+            // Invisible box arrows are tested against, sized in world units despite the model's scale
+            this.hitbox = new THREE.Mesh(
+                new THREE.BoxGeometry(this.hitboxSize.x, this.hitboxSize.y, this.hitboxSize.z),
+                new THREE.MeshBasicMaterial({ visible: false })
+            );
+            this.hitbox.scale.setScalar(1 / this.model.scale.x);
+            this.hitbox.position.y = this.hitboxSize.y / 2 / this.model.scale.x;
+            this.model.add(this.hitbox);
+
             // Add to scene
             this.scene.add(this.model);
 
@@ -67,20 +135,111 @@ export class Alien {
         });
     }
 
-    update(deltaTime, playerPosition, trees) {
+    // Work out how exposed the player is, from 0 safe inside a building to 1 out in the open at night
+    getPlayerExposure() {
+        const shelter = this.buildingSystem ? this.buildingSystem.getShelterAt(this.playerPosition).score : 0;
+        const isNight = this.dayNightCycle ? this.dayNightCycle.isNight : false;
+        return (1 - shelter) * (isNight ? 1 : 0.5);
+    }
+
+    // How bold the alien is, it grows every day and when the player is exposed
+    getAggression() {
+        const day = this.dayNightCycle ? this.dayNightCycle.getDayNumber() : 1;
+        const aggression = (day - 1) * this.aggressionPerDay + this.getPlayerExposure() * this.exposureAggression;
+        return THREE.MathUtils.clamp(aggression, 0, 1);
+    }
+
+    // Switch to a new state and reset its timer
+    setState(state, duration = 0) {
+        if (this.debug && state !== this.state) {
+            console.log(`Alien: ${this.state} -> ${state}`);
+        }
+
+        this.state = state;
+        this.stateTimer = duration;
+    }
+
+    // Find an item the player has dropped and wandered away from
+    findUnattendedStash() {
+        if (!this.pickupSystem) return null;
+
+        let closest = null;
+        let closestDistance = this.stashSearchRange;
+        for (const pickup of this.pickupSystem.pickups) {
+            if (pickup.position.distanceTo(this.playerPosition) < this.unattendedDistance) continue;
+
+            const distance = pickup.position.distanceTo(this.model.position);
+            if (distance < closestDistance) {
+                closest = pickup;
+                closestDistance = distance;
+            }
+        }
+
+        return closest;
+    }
+
+    // Pick what to do after observing or stalking, bolder aliens come closer
+    chooseNextState() {
+        const aggression = this.getAggression();
+        const roll = this.random.next();
+
+        // Raid a stash the player left behind
+        const stash = aggression >= this.raidAggression ? this.findUnattendedStash() : null;
+        if (stash) {
+            this.stashTarget = stash;
+            this.siegeTarget = null;
+            this.setState('approach', 20);
+            return;
+        }
+
+        // Rush a player out in the open, or claw at the walls of the shelter they're hiding in
+        const isBold = aggression >= this.attackAggression && roll < aggression;
+        const shelterWall = isBold && this.getPlayerExposure() <= 0.5 ? this.findShelterWall() : null;
+
+        if (isBold && (this.getPlayerExposure() > 0.5 || shelterWall)) {
+            this.stashTarget = null;
+            this.siegeTarget = shelterWall;
+            this.setState('approach', 15);
+        } else if (roll < 0.4) {
+            this.setState('hide', this.maxHidingTime / 1000);
+        } else if (roll < 0.7) {
+            this.setState('observe', 3 + this.random.next() * 4);
+        } else {
+            this.setState('stalk', 5 + this.random.next() * 5);
+        }
+    }
+
+    update(deltaTime, playerPosition) {
         if (!this.model) return;
 
         // Update player position reference
         this.playerPosition = playerPosition;
 
+        // A dead alien is replaced by a new one after a while
+        if (this.isDead) {
+            this.respawnTimer -= deltaTime;
+            if (this.respawnTimer <= 0) {
+                this.respawn();
+            }
+            return;
+        }
+
         // Ensure the alien's X and Z rotations are always 0 to keep it upright
         this.model.rotation.x = 0;
         this.model.rotation.z = 0;
 
-        // Update teleport cooldown
+        // Keep the alien standing on the terrain
+        this.stickToGround();
+
+        // Update teleport and attack cooldowns
         if (this.teleportCooldown > 0) {
             this.teleportCooldown -= deltaTime * 1000;
         }
+        if (this.attackCooldown > 0) {
+            this.attackCooldown -= deltaTime;
+        }
+
+        this.updateDebugOverlay();
 
         // If teleporting, don't do anything else
         if (this.isTeleporting) {
@@ -97,53 +256,348 @@ export class Alien {
             this.lastPlayerPositionUpdateTime = now;
         }
 
-        // Decide whether to hide or stalk
-        if (!this.isHiding) {
-            // If not hiding, check if we should start hiding
-            if (now - this.lastHidingTime > this.hidingCooldown && Math.random() < 0.01) {
-                this.findTreeToHideBehind(trees);
-                if (this.targetTree) {
-                    this.isHiding = true;
-                    this.hidingDuration = 0;
-                    this.lastHidingTime = now;
+        // Unless it's coming for the player, the alien runs when they get too close
+        // and drops anything it stole in its hurry
+        if (!['approach', 'attack', 'flee', 'stagger'].includes(this.state) &&
+            distanceToPlayer < this.tooCloseDistance && this.teleportCooldown <= 0) {
+            this.dropStolenItems();
+            this.setState('flee');
+        }
+
+        // When the player turns to look at it, the alien looks for somewhere better to hide
+        this.visibilityCheckTimer -= deltaTime;
+        if (this.visibilityCheckTimer <= 0 && ['observe', 'stalk', 'hide'].includes(this.state)) {
+            this.visibilityCheckTimer = this.visibilityCheckInterval;
+
+            if (this.isVisibleToPlayer()) {
+                this.planHidingSpot();
+                this.setState('hide', this.maxHidingTime / 1000);
+            }
+        }
+
+        this.stateTimer -= deltaTime;
+
+        switch (this.state) {
+            case 'observe':
+                // Stand still and watch the player
+                this.faceTarget(this.playerPosition);
+                if (this.stateTimer <= 0) {
+                    this.chooseNextState();
                 }
-            } else {
-                // Stalk the player
+                break;
+
+            case 'stalk':
                 this.stalkPlayer(deltaTime, distanceToPlayer);
-            }
-        } else {
-            // If hiding, update hiding duration
-            this.hidingDuration += deltaTime * 1000;
+                if (this.stateTimer <= 0) {
+                    this.chooseNextState();
+                }
+                break;
+
+            case 'hide':
+                if (!this.hidingSpot) {
+                    this.planHidingSpot();
+                }
+
+                // Nowhere to hide, keep stalking instead
+                if (!this.hidingSpot) {
+                    this.setState('stalk', 5);
+                    break;
+                }
 
-            // Move towards hiding spot
-            if (this.targetTree) {
                 this.moveTowardsHidingSpot(deltaTime);
-            }
+                if (this.stateTimer <= 0) {
+                    this.hidingSpot = null;
+                    this.hidingCover = null;
+                    this.setState('observe', 2 + this.random.next() * 3);
+                }
+                break;
+
+            case 'stagger':
+                // Reel from the hit, then teleport away
+                this.model.rotation.z = Math.sin(this.stateTimer * 30) * 0.3;
+                if (this.stateTimer <= 0 && !this.teleportToNewHidingSpot()) {
+                    // Nowhere to teleport to, just run
+                    this.setState('flee', this.woundedFleeDuration);
+                }
+                break;
+
+            case 'flee':
+                // A wounded alien runs from whoever shot it
+                if (this.fleeFrom) {
+                    this.runFrom(this.fleeFrom, deltaTime);
+                    if (this.stateTimer <= 0) {
+                        this.fleeFrom = null;
+                        this.setState('hide', this.maxHidingTime / 1000);
+                    }
+                    break;
+                }
 
-            // Check if we should stop hiding
-            if (this.hidingDuration > this.maxHidingTime) {
-                this.isHiding = false;
-                this.targetTree = null;
-                this.lastHidingTime = now;
-            }
+                // Vanish to a new hiding spot
+                this.hidingSpot = null;
+                this.hidingCover = null;
+                if (!this.teleportToNewHidingSpot()) {
+                    // No cover to teleport to, just back off
+                    this.setState('stalk', 5);
+                }
+                break;
+
+            case 'approach':
+                this.updateApproach(deltaTime, distanceToPlayer);
+                break;
+
+            case 'attack':
+                this.attackPlayer();
+                break;
         }
 
         // If too far from player, teleport closer
-        if (distanceToPlayer > this.maxDistanceFromPlayer) {
+        if (distanceToPlayer > this.maxDistanceFromPlayer && !this.stashTarget && !this.fleeFrom) {
             this.teleportCloserToPlayer();
         }
     }
 
-    stalkPlayer(deltaTime, distanceToPlayer) {
-        if (!this.model) return;
+    // Head for a stash to raid or rush the player
+    updateApproach(deltaTime, distanceToPlayer) {
+        // The stash was picked up or the player came back for it
+        if (this.stashTarget && (!this.pickupSystem.pickups.includes(this.stashTarget) ||
+            this.stashTarget.position.distanceTo(this.playerPosition) < this.unattendedDistance)) {
+            this.stashTarget = null;
+            this.setState('observe', 2);
+            return;
+        }
+
+        // Go back to rushing the player once the wall is down or they've stepped out
+        if (this.siegeTarget && (!this.buildingSystem.placedPieces.includes(this.siegeTarget) ||
+            this.getPlayerExposure() > 0.5)) {
+            this.siegeTarget = null;
+        }
 
-        // Check if player is too close and we should teleport away
-        if (distanceToPlayer < this.tooCloseDistance && this.teleportCooldown <= 0) {
-            // Find a new hiding spot and teleport there
-            this.teleportToNewHidingSpot();
+        // Give up if the player made it to shelter, unless it's bold enough to claw its way in
+        if (!this.stashTarget && !this.siegeTarget && this.getPlayerExposure() <= 0.5) {
+            this.siegeTarget = this.getAggression() >= this.attackAggression ? this.findShelterWall() : null;
+            if (!this.siegeTarget) {
+                this.setState('hide', this.maxHidingTime / 1000);
+                return;
+            }
+        }
+
+        let target = this.playerPosition;
+        let distance = distanceToPlayer;
+        if (this.stashTarget) {
+            target = this.stashTarget.position;
+            distance = this.model.position.distanceTo(target);
+        } else if (this.siegeTarget) {
+            // Walls stand above the ground, so only measure across it
+            target = this.siegeTarget.position;
+            distance = Math.hypot(target.x - this.model.position.x, target.z - this.model.position.z);
+        }
+
+        if (distance < (this.stashTarget ? this.stealDistance : this.attackDistance)) {
+            if (this.stashTarget) {
+                this.stealFromStash(this.stashTarget);
+                this.stashTarget = null;
+                this.setState('flee');
+            } else if (this.siegeTarget) {
+                this.clawAtWall();
+            } else {
+                this.setState('attack');
+            }
             return;
         }
 
+        const direction = new THREE.Vector3().subVectors(target, this.model.position).setY(0).normalize();
+        this.model.position.x += direction.x * this.moveSpeed * this.approachSpeedMultiplier * deltaTime * 60;
+        this.model.position.z += direction.z * this.moveSpeed * this.approachSpeedMultiplier * deltaTime * 60;
+        this.faceTarget(target);
+
+        if (this.stateTimer <= 0) {
+            this.stashTarget = null;
+            this.siegeTarget = null;
+            this.setState('observe', 2);
+        }
+    }
+
+    // Find the wall of the player's shelter closest to the alien
+    findShelterWall() {
+        if (!this.buildingSystem) return null;
+
+        let closest = null;
+        let closestDistance = Infinity;
+        for (const piece of this.buildingSystem.placedPieces) {
+            if (piece.userData.buildingType !== 'wall') continue;
+            if (piece.position.distanceTo(this.playerPosition) > this.shelterSearchRange) continue;
+
+            const distance = piece.position.distanceTo(this.model.position);
+            if (distance < closestDistance) {
+                closest = piece;
+                closestDistance = distance;
+            }
+        }
+
+        return closest;
+    }
+
+    // Run directly away from a position
+    runFrom(position, deltaTime) {
+        const away = new THREE.Vector3().subVectors(this.model.position, position).setY(0);
+        if (away.lengthSq() === 0) return;
+        away.normalize();
+
+        this.model.position.x += away.x * this.moveSpeed * this.runSpeedMultiplier * deltaTime * 60;
+        this.model.position.z += away.z * this.moveSpeed * this.runSpeedMultiplier * deltaTime * 60;
+        this.faceTarget(this.model.position.clone().add(away));
+    }
+
+    // Find if an arrow travelling between two points hits the alien, returns the hit point
+    checkArrowHit(from, to) {
+        if (!this.hitbox || this.isDead || this.isTeleporting || !this.model.visible) return null;
+
+        const direction = to.clone().sub(from);
+        const distance = direction.length();
+        if (distance === 0) return null;
+
+        const raycaster = new THREE.Raycaster(from, direction.normalize(), 0, distance);
+        const intersects = raycaster.intersectObject(this.hitbox, false);
+
+        return intersects.length > 0 ? intersects[0].point : null;
+    }
+
+    // Damage the alien with an arrow, returns true if it was killed
+    hit(damage = 1, fromPosition = null) {
+        if (this.isDead) return false;
+
+        this.health -= damage;
+        this.dropStolenItems();
+        this.stashTarget = null;
+
+        if (this.health <= 0) {
+            this.die();
+            return true;
+        }
+
+        // Stagger, then teleport away and run from the shooter
+        this.fleeFrom = (fromPosition || this.playerPosition).clone();
+        this.setState('stagger', this.staggerDuration);
+
+        console.log(`The alien was hit, ${this.health} hits left`);
+        return false;
+    }
+
+    // Vanish in a burst of particles and leave some alien alloy behind
+    die() {
+        this.isDead = true;
+        this.respawnTimer = this.respawnDelay;
+        this.fleeFrom = null;
+
+        createTeleportParticles(this.scene, this.model.position.clone());
+        this.model.visible = false;
+
+        if (this.pickupSystem) {
+            this.pickupSystem.spawnPickup(new Item('alien alloy', this.alloyDrop), this.model.position);
+        }
+
+        console.log('The alien was killed');
+    }
+
+    // Bring in a new alien somewhere out of sight
+    respawn() {
+        this.isDead = false;
+        this.health = this.maxHealth;
+        this.model.visible = true;
+        this.teleportCloserToPlayer();
+        this.setState('hide', this.maxHidingTime / 1000);
+
+        console.log('Another alien has arrived');
+    }
+
+    // Strike the player once and run off
+    attackPlayer() {
+        if (this.attackCooldown <= 0 && this.playerVitals) {
+            this.playerVitals.damage(this.attackDamage, 'alien');
+            this.attackCooldown = this.attackCooldownTime;
+            console.log('The alien attacked the player');
+        }
+
+        this.setState('flee');
+    }
+
+    // Claw at the wall the player is hiding behind and run off, stone and metal take longer to get through
+    clawAtWall() {
+        if (this.attackCooldown <= 0 && this.buildingSystem) {
+            const destroyed = this.buildingSystem.damagePiece(this.siegeTarget, this.wallDamage);
+            this.attackCooldown = this.attackCooldownTime;
+            console.log(destroyed ? 'The alien tore down a wall' : 'The alien clawed at a wall');
+        }
+
+        this.siegeTarget = null;
+        this.setState('flee');
+    }
+
+    // Take the items from a dropped stash, they are dropped again when the alien flees
+    stealFromStash(pickup) {
+        if (!this.pickupSystem) return;
+
+        const item = pickup.userData.item;
+        this.stolenItems.push(item);
+        this.pickupSystem.removePickup(pickup);
+
+        console.log(`The alien stole ${item.quantity} ${item.type}`);
+    }
+
+    // Drop everything the alien is carrying where it stands
+    dropStolenItems() {
+        if (!this.pickupSystem || this.stolenItems.length === 0) return;
+
+        for (const item of this.stolenItems) {
+            const offset = new THREE.Vector3(this.random.next() - 0.5, 0, this.random.next() - 0.5);
+            this.pickupSystem.spawnPickup(item, this.model.position.clone().add(offset));
+        }
+
+        console.log(`The alien dropped ${this.stolenItems.length} stolen items`);
+        this.stolenItems = [];
+    }
+
+    // Show or hide the overlay with the alien's state
+    toggleDebugOverlay() {
+        if (!this.debugOverlay) {
+            this.debugOverlay = document.createElement('div');
+            this.debugOverlay.style.position = 'absolute';
+            this.debugOverlay.style.top = '10px';
+            this.debugOverlay.style.right = '10px';
+            this.debugOverlay.style.padding = '8px 12px';
+            this.debugOverlay.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+            this.debugOverlay.style.color = '#7CFC00';
+            this.debugOverlay.style.fontFamily = 'monospace';
+            this.debugOverlay.style.fontSize = '12px';
+            this.debugOverlay.style.whiteSpace = 'pre';
+            this.debugOverlay.style.pointerEvents = 'none';
+            this.debugOverlay.style.display = 'none';
+            document.body.appendChild(this.debugOverlay);
+        }
+
+        const visible = this.debugOverlay.style.display === 'none';
+        this.debugOverlay.style.display = visible ? 'block' : 'none';
+        return visible;
+    }
+
+    updateDebugOverlay() {
+        if (!this.debugOverlay || this.debugOverlay.style.display === 'none') return;
+
+        const stolen = this.stolenItems.map(item => `${item.quantity} ${item.type}`).join(', ') || 'nothing';
+        this.debugOverlay.textContent = [
+            `Alien state: ${this.isTeleporting ? 'teleporting' : this.state}`,
+            `State timer: ${Math.max(0, this.stateTimer).toFixed(1)}s`,
+            `Health: ${this.health}/${this.maxHealth}`,
+            `Distance: ${this.model.position.distanceTo(this.playerPosition).toFixed(1)}`,
+            `Aggression: ${this.getAggression().toFixed(2)}`,
+            `Player exposure: ${this.getPlayerExposure().toFixed(2)}`,
+            `Carrying: ${stolen}`
+        ].join('\n');
+    }
+
+    stalkPlayer(deltaTime, distanceToPlayer) {
+        if (!this.model) return;
+
         // Only move if we're outside the minimum distance
         if (distanceToPlayer > this.minDistanceFromPlayer) {
             // Calculate direction to player
@@ -166,55 +620,135 @@ export class Alien {
         }
     }
 
-    findTreeToHideBehind(trees) {
-        if (!trees || trees.length === 0) return;
+    // Trees, rocks and walls the alien can hide behind
+    getOccluders() {
+        const occluders = this.scene.children.filter(obj =>
+            obj.userData && (obj.userData.type === 'tree' || obj.userData.type === 'rock'));
+
+        if (this.buildingSystem) {
+            for (const piece of this.buildingSystem.placedPieces) {
+                if (piece.userData.buildingType === 'wall') {
+                    occluders.push(piece);
+                }
+            }
+        }
+
+        return occluders;
+    }
+
+    // Get the kind of cover an occluder gives, walls include building pieces
+    getCoverType(occluder) {
+        return occluder.userData.buildingType ? 'wall' : occluder.userData.type;
+    }
 
-        // Find trees that are between the alien and the player
-        const potentialTrees = trees.filter(tree => {
-            if (!tree) return false;
+    // Work out the fraction of the alien's body the player can't see from where they stand at a position
+    getOcclusionAt(position, occluders) {
+        let hidden = 0;
 
-            // Check if tree is within reasonable distance
-            const distanceToTree = this.model.position.distanceTo(tree.position);
-            const playerDistanceToTree = this.playerPosition.distanceTo(tree.position);
+        for (const sample of this.bodySamples) {
+            const point = position.clone().add(sample);
+            const toPoint = point.clone().sub(this.playerPosition);
+            const distance = toPoint.length();
 
-            return distanceToTree < 15 && playerDistanceToTree > 5 && playerDistanceToTree < 30;
-        });
+            this.raycaster.set(this.playerPosition, toPoint.normalize());
+            this.raycaster.far = distance - 0.2; // Don't count the alien's own cover spot
+            if (this.raycaster.intersectObjects(occluders, true).length > 0) {
+                hidden++;
+            }
+        }
+
+        return hidden / this.bodySamples.length;
+    }
 
-        if (potentialTrees.length > 0) {
-            // Choose a random tree from potential hiding spots
-            this.targetTree = potentialTrees[Math.floor(Math.random() * potentialTrees.length)];
+    // Check if a position is inside what the camera can currently see
+    isInCameraView(position) {
+        if (!this.camera) return true;
+
+        this.camera.updateMatrixWorld();
+        this.frustum.setFromProjectionMatrix(new THREE.Matrix4().multiplyMatrices(
+            this.camera.projectionMatrix, this.camera.matrixWorldInverse));
+
+        return this.bodySamples.some(sample => this.frustum.containsPoint(position.clone().add(sample)));
+    }
+
+    // Check if the player is looking at the alien and nothing blocks their view
+    isVisibleToPlayer() {
+        if (!this.model || !this.model.visible) return false;
+        if (!this.isInCameraView(this.model.position)) return false;
+
+        const occluders = this.getOccluders().filter(occluder =>
+            occluder.position.distanceTo(this.playerPosition) < this.maxDistanceFromPlayer);
+        return this.getOcclusionAt(this.model.position, occluders) < 1;
+    }
+
+    // Score the spots behind nearby cover and pick the one that hides the alien best.
+    // Spots out of the camera's view are preferred, closer ones break ties
+    findHidingSpot(maxAlienDistance, minPlayerDistance = 5, maxPlayerDistance = this.maxDistanceFromPlayer) {
+        const occluders = this.getOccluders().filter(occluder =>
+            occluder.position.distanceTo(this.playerPosition) < maxPlayerDistance + 5);
+
+        let best = null;
+        for (const cover of occluders) {
+            if (cover.position.distanceTo(this.model.position) > maxAlienDistance) continue;
+
+            // Stand on the far side of the cover from the player
+            const away = cover.position.clone().sub(this.playerPosition).setY(0);
+            if (away.lengthSq() === 0) continue;
+            const spot = cover.position.clone().addScaledVector(away.normalize(), this.coverOffsets[this.getCoverType(cover)]);
+            spot.y = this.terrain ? this.terrain.getHeightAt(spot.x, spot.z) : 0;
+
+            const playerDistance = spot.distanceTo(this.playerPosition);
+            if (playerDistance < minPlayerDistance || playerDistance > maxPlayerDistance) continue;
+
+            const score = this.getOcclusionAt(spot, occluders) * 2 +
+                (this.isInCameraView(spot) ? 0 : 1) -
+                spot.distanceTo(this.model.position) / maxAlienDistance * 0.5 +
+                this.random.next() * 0.1; // Don't always pick the same spot
+
+            if (!best || score > best.score) {
+                best = { spot, cover, score };
+            }
         }
+
+        return best;
     }
 
-    moveTowardsHidingSpot(deltaTime) {
-        if (!this.model || !this.targetTree) return;
+    // Pick a hiding spot within walking distance
+    planHidingSpot() {
+        const best = this.findHidingSpot(this.hidingSearchRange);
+        this.hidingSpot = best ? best.spot : null;
+        this.hidingCover = best ? best.cover : null;
 
-        // Calculate the hiding position (opposite side of tree from player)
-        const treeToPlayer = new THREE.Vector3();
-        treeToPlayer.subVectors(this.playerPosition, this.targetTree.position).normalize();
+        if (this.debug && best) {
+            console.log(`Alien hiding behind a ${this.getCoverType(best.cover)} (score ${best.score.toFixed(2)})`);
+        }
+    }
 
-        // Hiding spot is on the opposite side of the tree from the player
-        const hidingSpot = new THREE.Vector3();
-        hidingSpot.copy(this.targetTree.position);
-        hidingSpot.sub(treeToPlayer.multiplyScalar(2)); // 2 units away from tree on opposite side
+    moveTowardsHidingSpot(deltaTime) {
+        if (!this.model || !this.hidingSpot) return;
 
-        // Move towards hiding spot
         const direction = new THREE.Vector3();
-        direction.subVectors(hidingSpot, this.model.position).normalize();
+        direction.subVectors(this.hidingSpot, this.model.position).setY(0);
 
+        // Once in cover, peek out at the player
+        if (direction.length() < 0.3) {
+            this.faceTarget(this.playerPosition);
+            return;
+        }
+
+        direction.normalize();
         this.model.position.x += direction.x * this.moveSpeed * 1.5 * deltaTime * 60;
         this.model.position.z += direction.z * this.moveSpeed * 1.5 * deltaTime * 60;
 
-        // Make the alien face away from the player when hiding (only rotate on Y axis)
-        this.faceTarget(hidingSpot);
+        this.faceTarget(this.hidingSpot);
     }
 
     teleportCloserToPlayer() {
         if (!this.model) return;
 
         // Find a position that's not directly visible to the player
-        const randomAngle = Math.random() * Math.PI * 2;
-        const randomDistance = this.minDistanceFromPlayer + Math.random() * 5;
+        const randomAngle = this.random.next() * Math.PI * 2;
+        const randomDistance = this.minDistanceFromPlayer + this.random.next() * 5;
 
         this.model.position.set(
             this.playerPosition.x + Math.cos(randomAngle) * randomDistance,
@@ -228,6 +762,12 @@ export class Alien {
         console.log('Alien teleported closer to player');
     }
 
+    // Place the alien on the ground at its current x/z position
+    stickToGround() {
+        if (!this.model) return;
+        this.model.position.y = this.terrain ? this.terrain.getHeightAt(this.model.position.x, this.model.position.z) : 0;
+    }
+
     // Helper method to make the alien face a target while staying upright
     faceTarget(target) {
         if (!this.model) return;
@@ -243,34 +783,17 @@ export class Alien {
         this.model.rotation.set(0, angle, 0);
     }
 
-    // Find a new hiding spot and teleport there with particle effect
+    // Find a new hiding spot and teleport there with particle effect, returns false if there's nowhere to go
     teleportToNewHidingSpot() {
-        if (!this.model) return;
+        if (!this.model) return false;
 
-        // Get all trees from the scene
-        const trees = this.scene.children.filter(obj => obj.userData && obj.userData.type === 'tree');
-        if (!trees || trees.length === 0) {
-            console.warn('No trees available for alien to teleport to');
-            return;
+        // Find the best hiding spot that's far enough from the player, anywhere around them
+        const best = this.findHidingSpot(Infinity, this.minDistanceFromPlayer, this.maxDistanceFromPlayer);
+        if (!best) {
+            console.warn('No suitable cover found for teleportation');
+            return false;
         }
 
-        // Find potential hiding spots (trees that are far enough from player)
-        const potentialTrees = trees.filter(tree => {
-            if (!tree) return false;
-
-            // Check if tree is within reasonable distance from alien but far from player
-            const playerDistanceToTree = this.playerPosition.distanceTo(tree.position);
-            return playerDistanceToTree > this.minDistanceFromPlayer && playerDistanceToTree < this.maxDistanceFromPlayer;
-        });
-
-        if (potentialTrees.length === 0) {
-            console.warn('No suitable trees found for teleportation');
-            return;
-        }
-
-        // Choose a random tree from potential hiding spots
-        const targetTree = potentialTrees[Math.floor(Math.random() * potentialTrees.length)];
-
         // Create teleport particles at current position
         createTeleportParticles(this.scene, this.model.position.clone());
 
@@ -278,19 +801,13 @@ export class Alien {
         this.model.visible = false;
         this.isTeleporting = true;
 
-        // Calculate the hiding position (opposite side of tree from player)
-        const treeToPlayer = new THREE.Vector3();
-        treeToPlayer.subVectors(this.playerPosition, targetTree.position).normalize();
-
-        // Hiding spot is on the opposite side of the tree from the player
-        const hidingSpot = new THREE.Vector3();
-        hidingSpot.copy(targetTree.position);
-        hidingSpot.sub(treeToPlayer.multiplyScalar(2)); // 2 units away from tree on opposite side
+        const hidingSpot = best.spot;
 
         // After a short delay, teleport the alien to the new position
         setTimeout(() => {
             // Move to the new hiding spot
             this.model.position.copy(hidingSpot);
+            this.stickToGround();
 
             // Create teleport particles at new position
             createTeleportParticles(this.scene, this.model.position.clone());
@@ -299,17 +816,23 @@ export class Alien {
             setTimeout(() => {
                 this.model.visible = true;
                 this.isTeleporting = false;
-                this.isHiding = true;
-                this.targetTree = targetTree;
-                this.hidingDuration = 0;
-                this.lastHidingTime = Date.now();
+                this.hidingSpot = hidingSpot;
+                this.hidingCover = best.cover;
+                if (this.fleeFrom) {
+                    // Shot at, keep running once it's there
+                    this.setState('flee', this.woundedFleeDuration);
+                } else {
+                    this.setState('hide', this.maxHidingTime / 1000);
+                }
                 this.teleportCooldown = this.teleportCooldownTime;
 
                 // Make the alien face away from the player
-                this.faceTarget(hidingSpot.clone().add(treeToPlayer));
+                this.faceTarget(hidingSpot.clone().multiplyScalar(2).sub(this.playerPosition));
 
                 console.log('Alien teleported to new hiding spot');
             }, 500); // 0.5 second delay before appearing
         }, 500); // 0.5 second delay before teleporting
+
+        return true;
     }
 }
@@ -0,0 +1,104 @@
+import { createFireParticles, removeFireParticles, setFireIntensity } from './fireParticles.js';
+
+// Seconds of burn time each kind of fuel adds to a bonfire
+export const FUEL_VALUES = {
+    'log': 120,
+    'stick': 30
+};
+
+const STARTING_FUEL = 90; // Seconds a freshly lit bonfire burns for
+const MAX_FUEL = 600; // A bonfire can't hold more than 10 minutes of fuel
+const FULL_FIRE_FUEL = 120; // Below this much fuel the fire starts to shrink
+
+/**
+ * Lights a bonfire with some fuel
+ * @param {THREE.Object3D} bonfire - The bonfire to light
+ * @param {number} fuel - Seconds of burn time to start with
+ */
+export function lightBonfire(bonfire, fuel = STARTING_FUEL) {
+    bonfire.userData.isLit = true;
+    bonfire.userData.fuel = Math.min(fuel, MAX_FUEL);
+
+    createFireParticles(bonfire);
+    setFireIntensity(bonfire, getFireIntensity(bonfire));
+}
+
+/**
+ * Gets how big the fire should be from its remaining fuel
+ * @param {THREE.Object3D} bonfire - The bonfire to check
+ * @returns {number} - 0 for an empty fire, 1 for a full fire
+ */
+export function getFireIntensity(bonfire) {
+    return Math.min(1, (bonfire.userData.fuel || 0) / FULL_FIRE_FUEL);
+}
+
+/**
+ * Gets the fuel item the player is holding in the active hotbar slot
+ * @param {Inventory} inventory - The player's inventory
+ * @returns {string|null} - The fuel item type, or null if the player isn't holding fuel
+ */
+export function getFuelItem(inventory) {
+    const held = inventory.getSelectedItem();
+    return held && FUEL_VALUES[held.type] ? held.type : null;
+}
+
+/**
+ * Checks if a bonfire has room for more fuel
+ * @param {THREE.Object3D} bonfire - The bonfire to check
+ * @returns {boolean} - True if fuel can be added
+ */
+export function canAddFuel(bonfire) {
+    return bonfire.userData.isLit && bonfire.userData.fuel < MAX_FUEL;
+}
+
+/**
+ * Adds one fuel item to a lit bonfire
+ * @param {THREE.Object3D} bonfire - The bonfire to refuel
+ * @param {string} fuelType - The item being burned, 'log' or 'stick'
+ * @returns {number} - Seconds of burn time added
+ */
+export function addFuel(bonfire, fuelType) {
+    const value = FUEL_VALUES[fuelType] || 0;
+    const before = bonfire.userData.fuel;
+    bonfire.userData.fuel = Math.min(MAX_FUEL, before + value);
+    setFireIntensity(bonfire, getFireIntensity(bonfire));
+
+    return bonfire.userData.fuel - before;
+}
+
+/**
+ * Burns a bonfire's fuel and puts it out when the fuel runs out
+ * @param {THREE.Object3D} bonfire - The bonfire to update
+ * @param {number} deltaTime - Time since last update in seconds
+ * @returns {boolean} - True if the fire burned out this frame
+ */
+export function updateBonfireFuel(bonfire, deltaTime) {
+    if (!bonfire.userData.isLit) return false;
+
+    // Fires lit before fuel existed get the starting amount
+    if (bonfire.userData.fuel === undefined) {
+        bonfire.userData.fuel = STARTING_FUEL;
+    }
+
+    bonfire.userData.fuel = Math.max(0, bonfire.userData.fuel - deltaTime);
+
+    if (bonfire.userData.fuel <= 0) {
+        removeFireParticles(bonfire);
+        console.log('A bonfire burned out');
+        return true;
+    }
+
+    setFireIntensity(bonfire, getFireIntensity(bonfire));
+    return false;
+}
+
+/**
+ * Formats the remaining burn time of a bonfire for prompts
+ * @param {THREE.Object3D} bonfire - The bonfire to describe
+ * @returns {string} - Time left as minutes and seconds, e.g. "2:05"
+ */
+export function formatBurnTime(bonfire) {
+    const seconds = Math.ceil(bonfire.userData.fuel || 0);
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
@@ -1,11 +1,20 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { wearTool } from './toolDurability.js';
 
 export class BowAndArrowSystem {
-    constructor(scene, camera, inventory) {
+    constructor(scene, camera, inventory, terrain = null) {
         this.scene = scene;
         this.camera = camera;
         this.inventory = inventory;
+        this.terrain = terrain; // Used for arrows hitting the ground
+        this.wildlifeSystem = null; // Set from main.js so arrows can hit animals
+        this.alien = null; // Set from main.js so arrows can hit the alien
+        this.ufoSystem = null; // Set from main.js so fire arrows can damage the UFO
+        this.nockedAmmo = null; // 'arrow' or 'fire arrow'
+        this.selectedAmmo = 'arrow'; // The kind of arrow the player chose to shoot, R switches it
+        this.buildingSystem = null; // Set from main.js so walls and closed doors stop arrows
+        this.onToolBroken = null; // Called when the bow wears out
 
         // Models
         this.bowModel = null;
@@ -336,9 +345,40 @@ export class BowAndArrowSystem {
         console.log('Bow unequipped');
     }
 
+    // Shoot the chosen kind of arrow. Once fire arrows run out normal arrows are used,
+    // but fire arrows are only ever used up when the player picked them
+    getAmmoType() {
+        if (this.inventory.hasItems([this.selectedAmmo])) return this.selectedAmmo;
+        if (this.selectedAmmo === 'fire arrow' && this.inventory.hasItems(['arrow'])) return 'arrow';
+        return null;
+    }
+
+    // Switch between normal and fire arrows, swapping the nocked arrow straight away
+    switchAmmo() {
+        this.selectedAmmo = this.selectedAmmo === 'arrow' ? 'fire arrow' : 'arrow';
+
+        if (this.isBowEquipped) {
+            this.removeNockedArrow();
+            this.nockArrow();
+        }
+
+        console.log(`Switched to ${this.selectedAmmo}s`);
+        return this.selectedAmmo;
+    }
+
+    // Add a burning tip to an arrow, sized in world units whatever the arrow's scale
+    addArrowFlame(arrow) {
+        const flame = new THREE.Mesh(
+            new THREE.SphereGeometry(0.05 / this.arrowScale, 8, 6),
+            new THREE.MeshBasicMaterial({ color: 0xff6a00 })
+        );
+        arrow.add(flame);
+    }
+
     nockArrow() {
         // Check if player has arrows
-        if (!this.inventory.hasItems(['arrow'])) {
+        const ammo = this.getAmmoType();
+        if (!ammo) {
             console.log('No arrows in inventory to nock');
             return false;
         }
@@ -379,9 +419,14 @@ export class BowAndArrowSystem {
             'Y:', this.currentArrow.rotation.y,
             'Z:', this.currentArrow.rotation.z);
 
+        if (ammo === 'fire arrow') {
+            this.addArrowFlame(this.currentArrow);
+        }
+
         // Add the arrow to the bow
         this.bowMesh.add(this.currentArrow);
 
+        this.nockedAmmo = ammo;
         this.isArrowNocked = true;
         console.log('Arrow nocked on bow');
         return true;
@@ -471,10 +516,23 @@ export class BowAndArrowSystem {
             console.log('Cooldown active, cannot shoot yet');
             return;
         }
+
+        // Consume the nocked kind of arrow from inventory, or whatever is left
+        const ammo = this.inventory.hasItems([this.nockedAmmo]) ? this.nockedAmmo : this.getAmmoType();
+        if (!ammo || !this.inventory.removeItems({ [ammo]: 1 }).success) {
+            console.log('No arrows left to shoot');
+            this.removeNockedArrow();
+            return;
+        }
         this.lastShootTime = now;
 
-        // Consume an arrow from inventory
-        this.inventory.removeItem('arrow', 1);
+        // Every shot wears the bow a little
+        const heldItem = this.inventory.getSelectedItem();
+        if (heldItem && heldItem.type === 'bow' && wearTool(this.inventory, this.inventory.selectedSlot)) {
+            if (this.onToolBroken) {
+                this.onToolBroken('bow');
+            }
+        }
 
         console.log('Shooting arrow');
 
@@ -531,6 +589,11 @@ export class BowAndArrowSystem {
             arrow.userData.isStuck = false; // Not stuck to anything yet
             arrow.userData.stuckTo = null; // What the arrow is stuck to (ground, tree, etc.)
             arrow.userData.stuckToObject = null; // Reference to the object the arrow is stuck to
+            arrow.userData.isFireArrow = ammo === 'fire arrow';
+
+            if (arrow.userData.isFireArrow) {
+                this.addArrowFlame(arrow);
+            }
 
             // We need to make the arrow point in the direction it's traveling
             // First, apply the camera's rotation to get the base direction
@@ -640,9 +703,35 @@ export class BowAndArrowSystem {
         }
     }
 
+    // Get the terrain height, or 0 on flat ground
+    getGroundHeight(x, z) {
+        return this.terrain ? this.terrain.getHeightAt(x, z) : 0;
+    }
+
+    // Find where an arrow moving from one point to another first touches the ground.
+    // Arrows move several units per frame, so sample along the path to avoid
+    // passing straight through hills
+    findGroundHit(from, to) {
+        const stepSize = 0.5;
+        const steps = Math.max(1, Math.ceil(from.distanceTo(to) / stepSize));
+        const point = new THREE.Vector3();
+
+        for (let i = 1; i <= steps; i++) {
+            point.lerpVectors(from, to, i / steps);
+            const groundHeight = this.getGroundHeight(point.x, point.z) + 0.1;
+
+            if (point.y < groundHeight) {
+                point.y = groundHeight;
+                return point;
+            }
+        }
+
+        return null;
+    }
+
     update(deltaTime) {
         // Check if bow is equipped but no arrow is nocked
-        if (this.isBowEquipped && !this.isArrowNocked && this.inventory.hasItems(['arrow'])) {
+        if (this.isBowEquipped && !this.isArrowNocked && this.getAmmoType()) {
             // Try to nock an arrow
             this.nockArrow();
         }
@@ -683,91 +772,18 @@ export class BowAndArrowSystem {
                     }
                 }
 
-                // Check for collisions with ground
-                if (arrow.position.y < 0.1) {
-                    // Arrow hit the ground, stop it
-                    arrow.position.y = 0.1; // Slightly above ground
-                    arrow.userData.velocity.set(0, 0, 0);
-                    arrow.userData.isStuck = true;
-                    arrow.userData.stuckTo = 'ground';
-
-                    // Keep the original rotation when stuck in the ground
-                    // This maintains the arrow's orientation from the bow
-
-                    // Mark arrow as hit ground but maintain the original 10-second lifetime
-                    if (!arrow.userData.hitGround) {
-                        arrow.userData.hitGround = true;
-                        // Keep the original 10-second lifetime
-                    }
-                }
-
-                // Check for collisions with trees
-                if (!arrow.userData.isStuck) {
-                    // Create a raycaster from the previous position to the current position
-                    const direction = arrow.position.clone().sub(prevPosition).normalize();
-                    const raycaster = new THREE.Raycaster(prevPosition, direction);
-                    const distance = prevPosition.distanceTo(arrow.position);
-
-                    // Get all interactable objects (which include trees)
-                    const interactableObjects = window.interactableObjects || [];
-
-                    // Filter to only include trees
-                    const trees = interactableObjects.filter(obj => obj.userData.type === 'tree');
-
-                    // Check for intersections
-                    const intersects = raycaster.intersectObjects(trees, true);
-
-                    // If we hit a tree and the intersection is within our movement distance
-                    if (intersects.length > 0 && intersects[0].distance <= distance) {
-                        // Find the tree object - could be the object itself or a parent
-                        let tree = null;
-                        const hitObject = intersects[0].object;
-
-                        // Check if the object itself is a tree
-                        if (hitObject.userData.type === 'tree') {
-                            tree = hitObject;
-                        }
-                        // Check if the parent is a tree
-                        else if (hitObject.parent && hitObject.parent.userData.type === 'tree') {
-                            tree = hitObject.parent;
-                        }
-                        // For the loaded model, we might need to go up multiple levels
-                        else {
-                            // Traverse up the parent chain to find a tree
-                            let parent = hitObject.parent;
-                            while (parent) {
-                                if (parent.userData.type === 'tree') {
-                                    tree = parent;
-                                    break;
-                                }
-                                parent = parent.parent;
-                            }
-                        }
-
-                        if (tree) {
-                            // Position the arrow at the exact intersection point
-                            arrow.position.copy(intersects[0].point);
-
-                            // Stop the arrow
-                            arrow.userData.velocity.set(0, 0, 0);
-                            arrow.userData.isStuck = true;
-                            arrow.userData.stuckTo = 'tree';
-                            arrow.userData.stuckToObject = tree;
-
-                            // Maintain the original 10-second lifetime for arrows stuck in trees
-                            // No need to modify the lifetime here
-
-                            console.log('Arrow hit a tree and is now stuck - will be removed after 10 seconds');
-                        }
-                    }
+                // Stop the arrow at whatever it reaches first along this frame's path
+                const hit = this.findArrowHit(prevPosition, arrow.position);
+                if (hit) {
+                    this.stickArrow(arrow, hit);
                 }
             }
 
             // Check lifetime - always remove arrows after their lifetime expires
             // regardless of whether they're stuck in trees or not
             if (Date.now() - arrow.userData.creationTime > arrow.userData.lifetime) {
-                // Remove old arrows
-                this.scene.remove(arrow);
+                // Remove old arrows (they may be stuck in an animal)
+                arrow.removeFromParent();
                 this.arrows.splice(i, 1);
                 console.log('Arrow removed due to lifetime expiration');
             }
@@ -776,11 +792,126 @@ export class BowAndArrowSystem {
 
 
 
+    // Find the closest thing an arrow moving between two positions hits: an animal, the alien,
+    // the UFO, the ground, a tree or a building piece. Returns { type, point, object } or null
+    findArrowHit(from, to) {
+        const hits = [];
+
+        const animalHit = this.wildlifeSystem ? this.wildlifeSystem.checkArrowHit(from, to) : null;
+        if (animalHit) {
+            hits.push({ type: 'animal', point: animalHit.point, object: animalHit.animal });
+        }
+
+        const alienHit = this.alien ? this.alien.checkArrowHit(from, to) : null;
+        if (alienHit) {
+            hits.push({ type: 'alien', point: alienHit, object: this.alien.model });
+        }
+
+        const ufoHit = this.ufoSystem ? this.ufoSystem.checkArrowHit(from, to) : null;
+        if (ufoHit) {
+            hits.push({ type: 'ufo', point: ufoHit, object: this.ufoSystem.ufoModel });
+        }
+
+        const groundHit = this.findGroundHit(from, to);
+        if (groundHit) {
+            hits.push({ type: 'ground', point: groundHit, object: null });
+        }
+
+        const treeHit = this.findTreeHit(from, to);
+        if (treeHit) {
+            hits.push({ type: 'tree', point: treeHit.point, object: treeHit.tree });
+        }
+
+        // Open doors have swung out of the way
+        const buildingHit = this.buildingSystem ? this.findBuildingHit(from, to) : null;
+        if (buildingHit) {
+            hits.push({ type: 'building', point: buildingHit.point, object: this.buildingSystem.getPlacedPiece(buildingHit.object) });
+        }
+
+        if (hits.length === 0) return null;
+        return hits.reduce((closest, hit) => from.distanceTo(hit.point) < from.distanceTo(closest.point) ? hit : closest);
+    }
+
+    // Stop an arrow where it hit something, hurting whatever it hit
+    stickArrow(arrow, hit) {
+        arrow.position.copy(hit.point);
+        arrow.userData.velocity.set(0, 0, 0);
+        arrow.userData.isStuck = true;
+        arrow.userData.stuckTo = hit.type;
+        arrow.userData.stuckToObject = hit.object;
+
+        if (hit.type === 'animal') {
+            // Stick the arrow into the animal so it moves with it
+            hit.object.attach(arrow);
+
+            const killed = this.wildlifeSystem.hitAnimal(hit.object, 1, this.camera.position);
+            console.log(`Arrow hit a ${hit.object.userData.species}${killed ? ' and killed it' : ''}`);
+        } else if (hit.type === 'alien') {
+            // Stick the arrow into the alien so it teleports with it
+            hit.object.attach(arrow);
+
+            const killed = this.alien.hit(1, this.camera.position);
+            console.log(`Arrow hit the alien${killed ? ' and killed it' : ''}`);
+        } else if (hit.type === 'ufo') {
+            hit.object.attach(arrow);
+
+            // Only fire arrows hurt its hull
+            if (arrow.userData.isFireArrow) {
+                this.ufoSystem.hit(1);
+                console.log('Fire arrow hit the UFO');
+            } else {
+                console.log('Arrow hit the UFO but did no damage');
+            }
+        } else {
+            // Ground, trees and buildings keep the arrow's original rotation and 10-second lifetime
+            if (hit.type === 'ground') {
+                arrow.userData.hitGround = true;
+            }
+            const target = { ground: 'the ground', tree: 'a tree' }[hit.type] || `a ${hit.object?.userData.buildingType || 'building'}`;
+            console.log(`Arrow hit ${target}`);
+
+            // The thud scares nearby animals
+            if (this.wildlifeSystem) {
+                this.wildlifeSystem.makeNoise(arrow.position, 6);
+            }
+        }
+    }
+
+    // Find where an arrow moving between two positions hits a tree, returns { tree, point } or null
+    findTreeHit(from, to) {
+        const direction = to.clone().sub(from).normalize();
+        const raycaster = new THREE.Raycaster(from, direction, 0, from.distanceTo(to));
+
+        // Only trees among the interactable objects stop arrows
+        const interactableObjects = window.interactableObjects || [];
+        const trees = interactableObjects.filter(obj => obj.userData.type === 'tree');
+
+        const intersects = raycaster.intersectObjects(trees, true);
+        if (intersects.length === 0) return null;
+
+        // The ray hits a mesh of the tree model, walk up to the tree itself
+        let tree = intersects[0].object;
+        while (tree && tree.userData.type !== 'tree') {
+            tree = tree.parent;
+        }
+
+        return tree ? { tree, point: intersects[0].point } : null;
+    }
+
+    // Find where an arrow moving between two positions hits a building piece
+    findBuildingHit(from, to) {
+        const distance = from.distanceTo(to);
+        const raycaster = new THREE.Raycaster(from, to.clone().sub(from).normalize(), 0, distance);
+        const intersects = raycaster.intersectObjects(this.buildingSystem.placedPieces, true);
+
+        return intersects.length > 0 ? intersects[0] : null;
+    }
+
     // Clean up resources
     dispose() {
         // Remove all arrows from scene
         for (const arrow of this.arrows) {
-            this.scene.remove(arrow);
+            arrow.removeFromParent();
         }
         this.arrows = [];
 
@@ -0,0 +1,172 @@
+import * as THREE from 'three';
+
+// Tiers a building piece goes through when it is upgraded, in order
+export const MATERIAL_TIERS = ['wood', 'stone', 'metal'];
+
+// What each tier is made of and how well it holds up. The cost is paid in the tier's
+// resource, as many as the piece costs in logs times the cost multiplier
+export const BUILDING_MATERIALS = {
+    'wood': {
+        name: 'Wood',
+        resource: 'log',
+        costMultiplier: 1,
+        hitPoints: 100,
+        damageResistance: 0, // Fraction of incoming damage ignored
+        insulation: 1, // Multiplies the warmth of being inside
+        color: 0x8B4513,
+        roughness: 0.8,
+        metalness: 0.1
+    },
+    'stone': {
+        name: 'Stone',
+        resource: 'rock',
+        costMultiplier: 1,
+        hitPoints: 250,
+        damageResistance: 0.4,
+        insulation: 1.5,
+        color: 0x8a8a85,
+        roughness: 0.95,
+        metalness: 0
+    },
+    'metal': {
+        name: 'Metal',
+        resource: 'alien alloy',
+        costMultiplier: 0.5,
+        hitPoints: 500,
+        damageResistance: 0.6,
+        insulation: 1.25,
+        color: 0xa0a8b0,
+        roughness: 0.4,
+        metalness: 0.7
+    }
+};
+
+const textures = {}; // Tier -> texture, shared between pieces
+
+/**
+ * Gets the tier a piece can be upgraded to
+ * @param {string} tier - The current material tier
+ * @returns {string|null} - The next tier, or null if the piece is already the best
+ */
+export function getNextTier(tier) {
+    const index = MATERIAL_TIERS.indexOf(tier);
+    return index !== -1 && index < MATERIAL_TIERS.length - 1 ? MATERIAL_TIERS[index + 1] : null;
+}
+
+/**
+ * Gets the resources needed to build a piece in a material
+ * @param {number} logCost - What the piece costs in wood
+ * @param {string} tier - The material tier
+ * @returns {Object} - Resource type -> amount
+ */
+export function getMaterialCost(logCost, tier) {
+    const material = BUILDING_MATERIALS[tier];
+    return { [material.resource]: Math.ceil(logCost * material.costMultiplier) };
+}
+
+/**
+ * Creates the material for a building piece, walls are double sided so openings look right from both sides
+ * @param {string} tier - The material tier
+ * @param {boolean} doubleSided - Whether both sides of the faces are drawn
+ * @returns {THREE.MeshStandardMaterial} - The material
+ */
+export function createBuildingMaterial(tier, doubleSided = false) {
+    const material = BUILDING_MATERIALS[tier] || BUILDING_MATERIALS.wood;
+
+    return new THREE.MeshStandardMaterial({
+        color: material.color,
+        map: getMaterialTexture(tier),
+        roughness: material.roughness,
+        metalness: material.metalness,
+        side: doubleSided ? THREE.DoubleSide : THREE.FrontSide
+    });
+}
+
+/**
+ * Gets the texture of a material tier, drawn on a canvas the first time it's needed
+ * @param {string} tier - The material tier
+ * @returns {THREE.CanvasTexture} - The texture
+ */
+export function getMaterialTexture(tier) {
+    if (!textures[tier]) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 128;
+        canvas.height = 128;
+        const context = canvas.getContext('2d');
+
+        if (tier === 'stone') {
+            drawStoneBricks(context, canvas.width);
+        } else if (tier === 'metal') {
+            drawMetalPanels(context, canvas.width);
+        } else {
+            drawWoodPlanks(context, canvas.width);
+        }
+
+        textures[tier] = new THREE.CanvasTexture(canvas);
+        textures[tier].wrapS = THREE.RepeatWrapping;
+        textures[tier].wrapT = THREE.RepeatWrapping;
+    }
+
+    return textures[tier];
+}
+
+// The textures are drawn in light greys so the material colour tints them
+
+function drawWoodPlanks(context, size) {
+    context.fillStyle = '#e0e0e0';
+    context.fillRect(0, 0, size, size);
+
+    // Horizontal planks with a dark gap between them and some grain
+    const plankHeight = size / 4;
+    for (let i = 0; i < 4; i++) {
+        const y = i * plankHeight;
+        context.fillStyle = '#707070';
+        context.fillRect(0, y, size, 3);
+
+        context.strokeStyle = '#b8b8b8';
+        for (let j = 0; j < 3; j++) {
+            const grainY = y + 6 + Math.random() * (plankHeight - 10);
+            context.beginPath();
+            context.moveTo(0, grainY);
+            context.lineTo(size, grainY + (Math.random() - 0.5) * 4);
+            context.stroke();
+        }
+    }
+}
+
+function drawStoneBricks(context, size) {
+    context.fillStyle = '#5a5a5a'; // Mortar
+    context.fillRect(0, 0, size, size);
+
+    // Staggered rows of bricks in slightly different shades
+    const rows = 4;
+    const brickHeight = size / rows;
+    const brickWidth = size / 2;
+    for (let row = 0; row < rows; row++) {
+        const offset = row % 2 === 0 ? 0 : brickWidth / 2;
+        for (let x = -brickWidth; x < size; x += brickWidth) {
+            const shade = 190 + Math.floor(Math.random() * 50);
+            context.fillStyle = `rgb(${shade}, ${shade}, ${shade})`;
+            context.fillRect(x + offset + 2, row * brickHeight + 2, brickWidth - 4, brickHeight - 4);
+        }
+    }
+}
+
+function drawMetalPanels(context, size) {
+    context.fillStyle = '#d8d8d8';
+    context.fillRect(0, 0, size, size);
+
+    // Two panels with seams and a rivet in each corner
+    context.fillStyle = '#808080';
+    context.fillRect(0, size / 2 - 1, size, 2);
+    context.fillRect(0, 0, size, 2);
+
+    context.fillStyle = '#a0a0a0';
+    for (const y of [8, size / 2 - 8, size / 2 + 8, size - 8]) {
+        for (const x of [8, size - 8]) {
+            context.beginPath();
+            context.arc(x, y, 3, 0, Math.PI * 2);
+            context.fill();
+        }
+    }
+}
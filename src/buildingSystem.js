@@ -1,10 +1,13 @@
 import * as THREE from 'three';
+import { Item, describeItems } from './inventory.js';
+import { BUILDING_MATERIALS, createBuildingMaterial, getMaterialCost, getNextTier } from './buildingMaterials.js';
 
 export class BuildingSystem {
-    constructor(scene, camera, inventory) {
+    constructor(scene, camera, inventory, terrain = null) {
         this.scene = scene;
         this.camera = camera;
         this.inventory = inventory;
+        this.terrain = terrain; // Used to rest pieces on the ground
         this.isBuilding = false;
         this.currentBlueprint = null;
         this.buildingType = null;
@@ -21,13 +24,26 @@ export class BuildingSystem {
             opacity: 0.5
         });
 
+        // Material for placements that nothing would hold up
+        this.unsupportedMaterial = new THREE.MeshStandardMaterial({
+            color: 0xff0000,
+            transparent: true,
+            opacity: 0.5
+        });
+
         // Building costs
         this.costs = {
             'wall': 3,
             'foundation': 4,
             'roof': 2,
             'window': 1,
-            'door': 2
+            'door': 2,
+            'floor': 3,
+            'stairs': 4,
+            'ramp': 3,
+            'pitched roof': 2,
+            'roof corner': 2,
+            'gable': 1
         };
 
         // Building meshes
@@ -36,18 +52,81 @@ export class BuildingSystem {
             'foundation': new THREE.BoxGeometry(2, 0.2, 2),
             'roof': new THREE.BoxGeometry(2, 0.2, 2),
             'window': new THREE.BoxGeometry(0.8, 0.8, 0.1), // Window is a smaller square
-            'door': new THREE.BoxGeometry(1, 2, 0.1) // Door is taller than it is wide
+            'door': new THREE.BoxGeometry(1, 2, 0.1), // Door is taller than it is wide
+            'floor': new THREE.BoxGeometry(2, 0.2, 2), // Ceiling of one storey and floor of the next
+            'stairs': this.createStairsGeometry(12),
+            'ramp': this.createStairsGeometry(0),
+            'pitched roof': this.createStairsGeometry(0, this.getPieceSize('pitched roof')), // A slope like a ramp
+            'roof corner': this.createRoofCornerGeometry(),
+            'gable': this.createGableGeometry()
         };
 
+        // Roof styles the mouse wheel switches between while placing a roof
+        this.roofStyles = ['roof', 'pitched roof', 'roof corner', 'gable'];
+        this.roofTypes = ['roof', 'pitched roof', 'roof corner']; // Pieces that cover the space under them
+        this.rotatableTypes = ['stairs', 'ramp', 'pitched roof', 'roof corner', 'gable'];
+
+        // Shelter is worked out from how much roof is overhead and how walled in the player is
+        this.shelterRange = 6; // How far away walls still count as enclosing the player
+        this.shelterThreshold = 0.7; // Shelter score needed to hide from the UFO
+
         // Add key bindings for building selection
         this.keyBindings = {
             '1': 'wall',
             '2': 'foundation',
             '3': 'roof',
             '4': 'window',
-            '5': 'door'
+            '5': 'door',
+            '6': 'floor',
+            '7': 'stairs',
+            '8': 'ramp',
+            '9': 'deconstruct',
+            '0': 'upgrade'
         };
 
+        // Deconstruct and upgrade modes act on the placed piece the player looks at
+        this.pieceAction = null; // 'deconstruct' or 'upgrade' while picking a piece
+        this.pieceTarget = null;
+        this.pieceActionNotice = null; // Shown on the prompt for a moment after a piece action
+        this.pieceActionNoticeUntil = 0;
+        this.pickupSystem = null; // Set from main, refunds that don't fit in the inventory are dropped
+        this.targetDistance = 6;
+        this.refundFraction = 0.5; // Half the cost comes back, rounded up
+
+        // Structural support: foundations on the ground have full support, every piece resting on
+        // another loses some, so buildings can only go so high. Pieces left with none collapse
+        this.supportLoss = {
+            'wall': 0.2,
+            'roof': 0.1,
+            'floor': 0.1,
+            'stairs': 0.1,
+            'ramp': 0.1,
+            'pitched roof': 0.1,
+            'roof corner': 0.1,
+            'gable': 0.1
+        };
+
+        // What each piece can rest on
+        this.supportedBy = {
+            'wall': ['foundation', 'wall', 'floor'],
+            'roof': ['wall'],
+            'floor': ['wall'],
+            'stairs': ['foundation', 'floor'],
+            'ramp': ['foundation', 'floor'],
+            'pitched roof': ['wall'],
+            'roof corner': ['wall'],
+            'gable': ['wall']
+        };
+
+        // Pieces the player can stand on, and how high they can step up onto them
+        this.walkableTypes = ['foundation', 'floor', 'stairs', 'ramp'];
+        this.stepHeight = 0.5;
+
+        // Doors swing open around a hinge on one side of their frame
+        this.doorOpenAngle = Math.PI / 2;
+        this.doorSwingSpeed = 3; // Radians per second
+        this.doorReach = 3; // How close the player has to be to use a door
+
         // Track walls that have windows and doors
         this.wallsWithWindows = new Map();
         this.wallsWithDoors = new Map();
@@ -80,10 +159,12 @@ export class BuildingSystem {
         menu.style.color = 'white';
         menu.style.pointerEvents = 'none'; // Prevent mouse interaction
 
-        const options = ['wall', 'foundation', 'roof', 'window', 'door'];
-        options.forEach((type, index) => {
+        // List the options in key order, 0 comes last on the keyboard
+        const keys = Object.keys(this.keyBindings).sort((a, b) => (Number(a) || 10) - (Number(b) || 10));
+        keys.forEach(key => {
+            const type = this.keyBindings[key];
             const option = document.createElement('div');
-            option.textContent = `${index + 1}: ${type.charAt(0).toUpperCase() + type.slice(1)}`;
+            option.textContent = `${key}: ${type.charAt(0).toUpperCase() + type.slice(1)}`;
             option.style.margin = '10px';
             option.style.padding = '10px';
             menu.appendChild(option);
@@ -119,6 +200,11 @@ export class BuildingSystem {
     }
 
     startBuilding(type) {
+        if (type === 'deconstruct' || type === 'upgrade') {
+            this.startPieceAction(type);
+            return;
+        }
+
         if (this.inventory.getItemCount('log') >= this.costs[type]) {
             this.buildingType = type;
             this.isBuilding = true;
@@ -127,6 +213,7 @@ export class BuildingSystem {
             // Create blueprint
             const geometry = this.meshes[type];
             const blueprint = new THREE.Mesh(geometry, this.blueprintMaterial.clone());
+            blueprint.userData.buildingType = type; // Used to check what would support it
             this.currentBlueprint = blueprint;
             this.scene.add(blueprint);
 
@@ -168,7 +255,12 @@ export class BuildingSystem {
         } else {
             // Fallback if no ground found
             pos = targetPosition.clone();
-            pos.y = 0;
+            pos.y = this.getGroundHeight(pos.x, pos.z);
+        }
+
+        // Rest foundations on the highest ground under them so they don't sink into slopes
+        if (this.buildingType === 'foundation') {
+            pos.y = this.getFoundationGroundHeight(pos.x, pos.z);
         }
 
         // Set initial position and rotation
@@ -192,6 +284,15 @@ export class BuildingSystem {
             }
         } else if (this.buildingType === 'roof') {
             this.currentBlueprint.position.y += 3; // Roof height
+        } else if (this.buildingType === 'stairs' || this.buildingType === 'ramp') {
+            this.currentBlueprint.position.y += this.getPieceSize(this.buildingType).y / 2;
+
+            // Climb away from the player, R turns them a quarter at a time
+            this.currentBlueprint.rotation.y = this.getStairsRotation(cameraDir);
+        } else if (this.roofStyles.includes(this.buildingType)) {
+            // Pitched roofs and gables sit at wall height and slope up away from the player
+            this.currentBlueprint.position.y += 3 + this.getPieceSize(this.buildingType).y / 2;
+            this.currentBlueprint.rotation.y = this.getStairsRotation(cameraDir);
         } else if (this.buildingType === 'window' || this.buildingType === 'door') {
             // For windows and doors, we need to find a wall to place them on
             // Cast a ray forward to find walls
@@ -208,6 +309,9 @@ export class BuildingSystem {
             }
 
             if (wallHit) {
+                // The hit may be a segment of a wall that already has an opening
+                const wall = this.getPlacedPiece(wallHit.object) || wallHit.object;
+
                 // Position the window/door exactly on the wall surface
                 const wallNormal = wallHit.face.normal.clone();
                 this.currentBlueprint.position.copy(wallHit.point);
@@ -219,20 +323,20 @@ export class BuildingSystem {
                 if (this.buildingType === 'window') {
                     // Windows should be at eye level
                     // Default to center of the wall if hit point is not specific
-                    if (Math.abs(this.currentBlueprint.position.y - wallHit.object.position.y) > wallSize.y / 3) {
-                        this.currentBlueprint.position.y = wallHit.object.position.y;
+                    if (Math.abs(this.currentBlueprint.position.y - wall.position.y) > wallSize.y / 3) {
+                        this.currentBlueprint.position.y = wall.position.y;
                     }
                 } else { // Door
                     // Doors should be at the bottom of the wall
                     // Calculate the bottom of the wall plus half the door height
                     const doorSize = this.getPieceSize('door');
-                    this.currentBlueprint.position.y = wallHit.object.position.y - wallSize.y/2 + doorSize.y/2;
+                    this.currentBlueprint.position.y = wall.position.y - wallSize.y/2 + doorSize.y/2;
                 }
 
                 // Ensure the window/door is aligned with the wall's face
                 // Project the position onto the wall plane
                 const wallPlane = new THREE.Plane().setFromNormalAndCoplanarPoint(
-                    wallNormal, wallHit.object.position
+                    wallNormal, wall.position
                 );
 
                 // Adjust position to be exactly on the wall plane
@@ -241,10 +345,10 @@ export class BuildingSystem {
                 this.currentBlueprint.position.copy(projectedPos);
 
                 // Match the wall's rotation
-                this.currentBlueprint.rotation.copy(wallHit.object.rotation);
+                this.currentBlueprint.rotation.copy(wall.rotation);
 
                 // Store the wall we're placing the window/door on
-                this.currentBlueprint.userData.targetWall = wallHit.object;
+                this.currentBlueprint.userData.targetWall = wall;
 
                 // Change material to indicate valid placement
                 if (this.currentBlueprint.material !== this.snapMaterial) {
@@ -254,7 +358,7 @@ export class BuildingSystem {
                 if (this.debug) {
                     console.log(`${this.buildingType} positioned on wall at:`, wallHit.point);
                     console.log('Wall normal:', wallNormal);
-                    console.log('Target wall:', wallHit.object);
+                    console.log('Target wall:', wall);
                 }
             } else {
                 // No wall found, position in front of player
@@ -362,6 +466,32 @@ export class BuildingSystem {
                 }
             }
         }
+
+        // Turn the blueprint red if nothing would hold it up
+        this.currentBlueprint.userData.isSupported = this.isBlueprintSupported();
+        if (!this.currentBlueprint.userData.isSupported) {
+            this.currentBlueprint.material = this.unsupportedMaterial;
+        }
+    }
+
+    isBlueprintSupported() {
+        const type = this.buildingType;
+        if (this.supportLoss[type] === undefined) return true; // Foundations, windows and doors
+
+        return this.getSupportLevel(this.currentBlueprint, this.getSupportLevels()) > 0;
+    }
+
+    // Take the logs for a building piece, telling the player what's missing if they can't pay
+    payForPiece(type) {
+        const result = this.inventory.removeItems({ 'log': this.costs[type] });
+
+        if (!result.success) {
+            const instructionsElement = document.getElementById('interaction-prompt');
+            instructionsElement.textContent = `Not enough logs to build ${type}, need ${describeItems(result.missing)} more`;
+            instructionsElement.style.display = 'block';
+        }
+
+        return result.success;
     }
 
     build() {
@@ -381,61 +511,18 @@ export class BuildingSystem {
                 return; // Can't place a window/door without a wall
             }
 
-            // Create opening in the wall first
-            const updatedWall = this.buildingType === 'window' ?
-                this.createWindowOpening(targetWall, this.currentBlueprint.position.clone()) :
-                this.createDoorOpening(targetWall, this.currentBlueprint.position.clone());
-
-            // Create frame
-            const frame = this.buildingType === 'window' ?
-                this.createWindowFrame() :
-                this.createDoorFrame();
-
-            frame.position.copy(this.currentBlueprint.position);
-            frame.rotation.copy(this.currentBlueprint.rotation);
-            frame.userData.buildingType = this.buildingType;
-            frame.userData[`is${this.buildingType.charAt(0).toUpperCase() + this.buildingType.slice(1)}`] = true;
-
-            // Add frame to scene
-            this.scene.add(frame);
-
-            // Add collision detection properties - doors don't block movement
-            frame.userData.isCollidable = this.buildingType === 'window';
-
-            // Add frame to placed pieces for potential future snapping and collision detection
-            this.placedPieces.push(frame);
-
-            // Update the target wall reference
-            targetWall = updatedWall;
-
-            // Track this window/door with its wall
-            if (this.buildingType === 'window') {
-                if (!this.wallsWithWindows.has(targetWall)) {
-                    this.wallsWithWindows.set(targetWall, []);
-                }
-                this.wallsWithWindows.get(targetWall).push({
-                    window: frame,
-                    position: this.currentBlueprint.position.clone()
-                });
-            } else { // door
-                if (!this.wallsWithDoors.has(targetWall)) {
-                    this.wallsWithDoors.set(targetWall, []);
-                }
-                this.wallsWithDoors.get(targetWall).push({
-                    door: frame,
-                    position: this.currentBlueprint.position.clone()
-                });
-            }
-
-            if (this.debug) {
-                console.log(`${this.buildingType} placed on wall:`, targetWall);
-                console.log(`Added ${this.buildingType} to placed pieces. Total pieces: ${this.placedPieces.length}`);
+            // Pay for the piece before placing it
+            if (!this.payForPiece(this.buildingType)) {
+                return;
             }
 
-            // Remove logs from inventory
-            for (let i = 0; i < this.costs[this.buildingType]; i++) {
-                this.inventory.removeItem('log');
-            }
+            // Cut the opening and add the frame
+            this.placeOpening(
+                targetWall,
+                this.buildingType,
+                this.currentBlueprint.position.clone(),
+                this.currentBlueprint.rotation.clone()
+            );
 
             // CRITICAL FIX: Explicitly remove the blueprint and reset building state
             console.log(`Explicitly removing ${this.buildingType} blueprint`);
@@ -449,54 +536,27 @@ export class BuildingSystem {
             // Return early to prevent the normal blueprint removal code from running
             return;
         } else {
-            // Normal building piece (wall, foundation, roof)
-            const geometry = this.meshes[this.buildingType];
-
-            // Create appropriate material based on building type
-            let material;
-            if (this.buildingType === 'wall') {
-                // For walls, we need to ensure the material works well with window holes
-                material = new THREE.MeshStandardMaterial({
-                    color: 0x8B4513,
-                    roughness: 0.8,
-                    metalness: 0.1,
-                    side: THREE.DoubleSide  // Important for seeing through windows from both sides
-                });
-            } else {
-                // Standard material for other building pieces
-                material = new THREE.MeshStandardMaterial({
-                    color: 0x8B4513,
-                    roughness: 0.8,
-                    metalness: 0.1
-                });
+            // Pieces have to be held up by the building below them
+            if (!this.currentBlueprint.userData.isSupported) {
+                const instructionsElement = document.getElementById('interaction-prompt');
+                instructionsElement.textContent = this.roofStyles.includes(this.buildingType) ?
+                    'A roof needs walls to rest on' :
+                    'A wall needs a foundation or a wall below it';
+                instructionsElement.style.display = 'block';
+                return;
             }
-            const buildingPiece = new THREE.Mesh(geometry, material);
-
-            // Copy position and rotation from blueprint
-            buildingPiece.position.copy(this.currentBlueprint.position);
-            buildingPiece.rotation.copy(this.currentBlueprint.rotation);
-
-            // Store the building type in userData for snapping logic
-            buildingPiece.userData.buildingType = this.buildingType;
-
-            // Add to scene
-            this.scene.add(buildingPiece);
 
-            // Add collision detection properties
-            buildingPiece.userData.isCollidable = true;
-
-            // Add to placed pieces for snapping and collision detection
-            this.placedPieces.push(buildingPiece);
-
-            if (this.debug) {
-                console.log(`Added ${this.buildingType} to placed pieces. Total pieces: ${this.placedPieces.length}`);
-                console.log('Placed pieces:', this.placedPieces.map(p => p.userData.buildingType));
+            // Pay for the piece before placing it
+            if (!this.payForPiece(this.buildingType)) {
+                return;
             }
 
-            // Remove logs from inventory
-            for (let i = 0; i < this.costs[this.buildingType]; i++) {
-                this.inventory.removeItem('log');
-            }
+            // Normal building piece (wall, foundation, roof)
+            this.placePiece(
+                this.buildingType,
+                this.currentBlueprint.position,
+                this.currentBlueprint.rotation
+            );
         }
 
         // Remove blueprint
@@ -523,7 +583,748 @@ export class BuildingSystem {
         this.hideBuildingInstructions();
     }
 
+    // Create a wall, foundation or roof in a material tier and register it as a placed piece
+    placePiece(type, position, rotation, tier = 'wood') {
+        const geometry = this.meshes[type];
+
+        // Walls are double sided so they look right through window holes
+        const material = createBuildingMaterial(tier, type === 'wall');
+        const buildingPiece = new THREE.Mesh(geometry, material);
+
+        buildingPiece.position.copy(position);
+        buildingPiece.rotation.copy(rotation);
+
+        // Store the building type in userData for snapping logic
+        buildingPiece.userData.buildingType = type;
+
+        // Stronger materials take more hits before the piece breaks
+        buildingPiece.userData.material = tier;
+        buildingPiece.userData.hitPoints = BUILDING_MATERIALS[tier].hitPoints;
+
+        // Add to scene
+        this.scene.add(buildingPiece);
+
+        // Add collision detection properties
+        buildingPiece.userData.isCollidable = true;
+
+        // Add to placed pieces for snapping and collision detection
+        this.placedPieces.push(buildingPiece);
+
+        if (this.debug) {
+            console.log(`Added ${type} to placed pieces. Total pieces: ${this.placedPieces.length}`);
+            console.log('Placed pieces:', this.placedPieces.map(p => p.userData.buildingType));
+        }
+
+        return buildingPiece;
+    }
+
+    // Cut a window or door opening into a wall and add its frame, doors can be given their open and locked state.
+    // Returns the wall group that replaced the original wall
+    placeOpening(wall, type, position, rotation, doorState = null) {
+        // Create opening in the wall first
+        const updatedWall = type === 'window' ?
+            this.createWindowOpening(wall, position) :
+            this.createDoorOpening(wall, position);
+
+        if (!updatedWall) {
+            console.error(`Could not create ${type} opening in wall:`, wall);
+            return null;
+        }
+
+        // Create frame
+        const frame = type === 'window' ?
+            this.createWindowFrame() :
+            this.createDoorFrame();
+
+        frame.position.copy(position);
+        frame.rotation.copy(rotation);
+        frame.userData.buildingType = type;
+        frame.userData[`is${type.charAt(0).toUpperCase() + type.slice(1)}`] = true;
+
+        if (doorState) {
+            this.setDoorState(frame, doorState.isOpen, doorState.isLocked);
+        }
+
+        // Add frame to scene
+        this.scene.add(frame);
+
+        // Add collision detection properties - doors don't block movement
+        frame.userData.isCollidable = type === 'window';
+
+        // Add frame to placed pieces for potential future snapping and collision detection
+        this.placedPieces.push(frame);
+
+        // The opening replaced the wall with a new group, so carry over
+        // any windows and doors already tracked on the old wall
+        for (const openings of [this.wallsWithWindows, this.wallsWithDoors]) {
+            if (openings.has(wall) && wall !== updatedWall) {
+                openings.set(updatedWall, openings.get(wall));
+                openings.delete(wall);
+            }
+        }
+
+        // Track this window/door with its wall
+        if (type === 'window') {
+            if (!this.wallsWithWindows.has(updatedWall)) {
+                this.wallsWithWindows.set(updatedWall, []);
+            }
+            this.wallsWithWindows.get(updatedWall).push({
+                window: frame,
+                position: position.clone()
+            });
+        } else { // door
+            if (!this.wallsWithDoors.has(updatedWall)) {
+                this.wallsWithDoors.set(updatedWall, []);
+            }
+            this.wallsWithDoors.get(updatedWall).push({
+                door: frame,
+                position: position.clone()
+            });
+        }
+
+        if (this.debug) {
+            console.log(`${type} placed on wall:`, updatedWall);
+            console.log(`Added ${type} to placed pieces. Total pieces: ${this.placedPieces.length}`);
+        }
+
+        return updatedWall;
+    }
+
+    // Start picking placed pieces to deconstruct or upgrade
+    startPieceAction(action) {
+        this.hideBuildingMenu();
+        this.pieceAction = action;
+        this.pieceTarget = null;
+
+        if (this.debug) {
+            console.log(`Started ${action} mode`);
+        }
+    }
+
+    stopPieceAction() {
+        if (!this.pieceAction) return;
+
+        if (this.debug) {
+            console.log(`Stopped ${this.pieceAction} mode`);
+        }
+
+        this.setPieceTarget(null);
+        this.pieceAction = null;
+    }
+
+    // Highlight the piece the player is looking at
+    updatePieceTarget(raycaster) {
+        if (!this.pieceAction) return;
+
+        raycaster.setFromCamera(new THREE.Vector2(), this.camera);
+        const intersects = raycaster.intersectObjects(this.placedPieces, true);
+
+        let target = null;
+        if (intersects.length > 0 && intersects[0].distance < this.targetDistance) {
+            target = this.getPlacedPiece(intersects[0].object);
+        }
+
+        this.setPieceTarget(target);
+    }
+
+    setPieceTarget(piece) {
+        if (piece === this.pieceTarget) return;
+
+        if (this.pieceTarget) {
+            this.setHighlight(this.pieceTarget, false);
+        }
+
+        this.pieceTarget = piece;
+
+        if (piece) {
+            this.setHighlight(piece, true);
+        }
+    }
+
+    // Tint a piece red when it will be removed, green when it will be upgraded
+    setHighlight(piece, highlighted) {
+        const color = this.pieceAction === 'upgrade' ? 0x116611 : 0x661111;
+
+        piece.traverse(node => {
+            if (node.isMesh && node.material.emissive) {
+                node.material.emissive.setHex(highlighted ? color : 0x000000);
+            }
+        });
+    }
+
+    // What removing a piece gives back, in the resource of its material
+    getRefund(piece) {
+        const type = piece.userData.buildingType;
+        const tier = piece.userData.material || 'wood';
+        const cost = getMaterialCost(this.costs[type], tier);
+
+        for (const resource in cost) {
+            cost[resource] = Math.ceil(cost[resource] * this.refundFraction);
+        }
+        return cost;
+    }
+
+    // Get what upgrading a piece to the next tier costs, null if it can't be upgraded
+    getUpgradeCost(piece) {
+        const type = piece.userData.buildingType;
+        if (type === 'window' || type === 'door') return null; // Windows and doors stay as they are
+
+        const nextTier = getNextTier(piece.userData.material || 'wood');
+        return nextTier ? getMaterialCost(this.costs[type], nextTier) : null;
+    }
+
+    // Text for the interaction prompt while picking a piece
+    getPieceActionPrompt() {
+        const piece = this.pieceTarget;
+
+        if (Date.now() < this.pieceActionNoticeUntil) {
+            return this.pieceActionNotice;
+        }
+
+        if (this.pieceAction === 'upgrade') {
+            if (!piece) {
+                return 'Upgrade mode - look at a building piece, Escape to stop';
+            }
+
+            const type = piece.userData.buildingType;
+            const cost = this.getUpgradeCost(piece);
+            if (!cost) {
+                return `This ${type} can't be upgraded any further`;
+            }
+
+            const tierName = BUILDING_MATERIALS[getNextTier(piece.userData.material || 'wood')].name.toLowerCase();
+            const missing = this.inventory.getMissingItems(cost);
+            if (Object.keys(missing).length > 0) {
+                return `Need ${describeItems(missing)} more to upgrade ${type} to ${tierName}`;
+            }
+            return `Press E to upgrade ${type} to ${tierName} for ${describeItems(cost)}, Escape to stop`;
+        }
+
+        if (!piece) {
+            return 'Deconstruct mode - look at a building piece, Escape to stop';
+        }
+
+        const type = piece.userData.buildingType;
+        return `Press E to remove ${type} (refunds ${describeItems(this.getRefund(piece))}), Escape to stop`;
+    }
+
+    // Deconstruct or upgrade the targeted piece
+    usePieceAction() {
+        if (this.pieceAction === 'upgrade') {
+            return this.upgradePiece(this.pieceTarget);
+        }
+        if (this.pieceAction === 'deconstruct') {
+            return this.deconstruct();
+        }
+        return false;
+    }
+
+    // Remove the targeted piece, and anything that was resting only on it, refunding each
+    deconstruct() {
+        const piece = this.pieceTarget;
+        if (this.pieceAction !== 'deconstruct' || !piece) return false;
+
+        this.setPieceTarget(null);
+
+        // Pieces that lost their support come down too and are refunded the same way
+        const removed = this.removePiece(piece);
+        removed.push(...this.collapseUnsupported());
+
+        const refund = {};
+        for (const removedPiece of removed) {
+            const pieceRefund = this.getRefund(removedPiece);
+            for (const resource in pieceRefund) {
+                refund[resource] = (refund[resource] || 0) + pieceRefund[resource];
+            }
+        }
+
+        // Whatever doesn't fit is dropped where the piece stood
+        const leftover = this.inventory.addItems(refund);
+        if (Object.keys(leftover).length > 0) {
+            if (this.pickupSystem) {
+                for (const [resource, amount] of Object.entries(leftover)) {
+                    this.pickupSystem.spawnPickup(new Item(resource, amount), piece.position);
+                }
+            }
+
+            this.pieceActionNotice = `Your inventory is full, dropped ${describeItems(leftover)} on the ground`;
+            this.pieceActionNoticeUntil = Date.now() + 3000;
+        }
+
+        if (this.debug) {
+            console.log(`Deconstructed ${removed.map(p => p.userData.buildingType).join(', ')}, refunded ${describeItems(refund)}`);
+        }
+
+        return true;
+    }
+
+    // Rebuild a piece in the next material tier, which also repairs it
+    upgradePiece(piece) {
+        if (!piece) return false;
+
+        const cost = this.getUpgradeCost(piece);
+        if (!cost || !this.inventory.removeItems(cost).success) return false;
+
+        const tier = getNextTier(piece.userData.material || 'wood');
+        this.setPieceMaterial(piece, tier);
+        piece.userData.hitPoints = BUILDING_MATERIALS[tier].hitPoints;
+
+        // Keep the upgrade highlight on the new material
+        if (piece === this.pieceTarget) {
+            this.setHighlight(piece, true);
+        }
+
+        console.log(`Upgraded ${piece.userData.buildingType} to ${tier}`);
+        return true;
+    }
+
+    setPieceMaterial(piece, tier) {
+        const material = createBuildingMaterial(tier, piece.userData.buildingType === 'wall');
+
+        piece.userData.material = tier;
+        piece.traverse(node => {
+            if (node.isMesh) {
+                node.material = material;
+            }
+        });
+    }
+
+    // Damage a piece, its material shrugs off part of the damage. Returns true if the piece was destroyed
+    damagePiece(piece, amount) {
+        if (!this.placedPieces.includes(piece) || piece.userData.hitPoints === undefined) return false;
+
+        const material = BUILDING_MATERIALS[piece.userData.material] || BUILDING_MATERIALS.wood;
+        piece.userData.hitPoints -= amount * (1 - material.damageResistance);
+
+        if (piece.userData.hitPoints <= 0) {
+            this.destroyPiece(piece);
+            return true;
+        }
+        return false;
+    }
+
+    // How well the pieces around a position keep the warmth in, 1 for wood or no building at all
+    getInsulationAt(position, radius = 4) {
+        let total = 0;
+        let count = 0;
+
+        for (const piece of this.placedPieces) {
+            const type = piece.userData.buildingType;
+            if (type !== 'wall' && type !== 'gable' && !this.roofTypes.includes(type)) continue;
+            if (piece.position.distanceTo(position) > radius) continue;
+
+            total += (BUILDING_MATERIALS[piece.userData.material] || BUILDING_MATERIALS.wood).insulation;
+            count++;
+        }
+
+        return count > 0 ? total / count : 1;
+    }
+
+    // Remove a piece and what belongs to it, returns everything removed.
+    // Removing a window or door fills its wall back in, removing a wall takes its openings with it
+    removePiece(piece) {
+        const type = piece.userData.buildingType;
+
+        if (type === 'window' || type === 'door') {
+            const wall = this.getWallWithOpening(piece);
+            this.detachPiece(piece);
+
+            if (wall) {
+                const remaining = this.getOpenings(wall).filter(opening => opening.frame !== piece);
+                this.rebuildWall(wall, remaining);
+            }
+
+            return [piece];
+        }
+
+        const removed = [piece];
+
+        // A wall takes its windows and doors with it
+        for (const opening of this.getOpenings(piece)) {
+            this.detachPiece(opening.frame);
+            removed.push(opening.frame);
+        }
+        this.wallsWithWindows.delete(piece);
+        this.wallsWithDoors.delete(piece);
+
+        this.detachPiece(piece);
+        return removed;
+    }
+
+    detachPiece(piece) {
+        this.scene.remove(piece);
+
+        const index = this.placedPieces.indexOf(piece);
+        if (index !== -1) {
+            this.placedPieces.splice(index, 1);
+        }
+    }
+
+    // Get the windows and doors cut into a wall
+    getOpenings(wall) {
+        return [
+            ...(this.wallsWithWindows.get(wall) || []).map(entry => ({ type: 'window', frame: entry.window, position: entry.position })),
+            ...(this.wallsWithDoors.get(wall) || []).map(entry => ({ type: 'door', frame: entry.door, position: entry.position }))
+        ];
+    }
+
+    getWallWithOpening(frame) {
+        for (const openings of [this.wallsWithWindows, this.wallsWithDoors]) {
+            for (const [wall, entries] of openings) {
+                if (entries.some(entry => entry.window === frame || entry.door === frame)) {
+                    return wall;
+                }
+            }
+        }
+        return null;
+    }
+
+    // Replace a wall with a solid one and cut the given openings back into it
+    rebuildWall(wall, openings) {
+        for (const opening of openings) {
+            this.detachPiece(opening.frame);
+        }
+        this.wallsWithWindows.delete(wall);
+        this.wallsWithDoors.delete(wall);
+
+        const position = wall.position.clone();
+        const rotation = wall.rotation.clone();
+        this.detachPiece(wall);
+
+        let rebuilt = this.placePiece('wall', position, rotation, wall.userData.material);
+        rebuilt.userData.hitPoints = wall.userData.hitPoints;
+        for (const opening of openings) {
+            rebuilt = this.placeOpening(rebuilt, opening.type, opening.position, opening.frame.rotation.clone(),
+                opening.type === 'door' ? opening.frame.userData : null) || rebuilt;
+        }
+
+        return rebuilt;
+    }
+
+    // Destroy a piece without a refund, bringing down anything it was holding up
+    destroyPiece(piece) {
+        if (!this.placedPieces.includes(piece)) return [];
+
+        if (piece === this.pieceTarget) {
+            this.setPieceTarget(null);
+        }
+
+        this.scene.add(this.createCollapseDebris(piece));
+        const removed = this.removePiece(piece);
+        removed.push(...this.collapseUnsupported());
+        return removed;
+    }
+
+    // Remove every piece left without support, they fall apart into debris.
+    // Returns everything that collapsed
+    collapseUnsupported() {
+        const collapsed = [];
+
+        // Support levels are worked out from the ground up, so one pass finds everything that falls
+        const levels = this.getSupportLevels();
+        for (const [piece, level] of levels) {
+            if (level > 0 || !this.placedPieces.includes(piece)) continue;
+
+            if (piece === this.pieceTarget) {
+                this.setPieceTarget(null);
+            }
+
+            this.scene.add(this.createCollapseDebris(piece));
+            collapsed.push(...this.removePiece(piece));
+        }
+
+        if (collapsed.length > 0) {
+            console.log(`Building collapsed: ${collapsed.map(piece => piece.userData.buildingType).join(', ')}`);
+        }
+
+        return collapsed;
+    }
+
+    // Work out how well every wall, foundation and roof is held up, from 1 for foundations down to 0.
+    // Windows and doors belong to their wall and are left out
+    getSupportLevels() {
+        const levels = new Map();
+
+        // Go from the lowest piece up so the supports are known before the pieces resting on them
+        const pieces = this.placedPieces
+            .filter(piece => piece.userData.buildingType === 'foundation' || this.supportLoss[piece.userData.buildingType] !== undefined)
+            .sort((a, b) => this.getPieceBottom(a) - this.getPieceBottom(b));
+
+        for (const piece of pieces) {
+            levels.set(piece, this.getSupportLevel(piece, levels));
+        }
+
+        return levels;
+    }
+
+    // Support of a piece is the best support below it minus what its type loses
+    getSupportLevel(piece, levels) {
+        const type = piece.userData.buildingType;
+        if (type === 'foundation') return 1; // Foundations are grounded
+
+        let best = 0;
+        for (const [support, level] of levels) {
+            if (support !== piece && this.restsOn(piece, support)) {
+                best = Math.max(best, level - this.supportLoss[type]);
+            }
+        }
+
+        // Round so a chain of losses doesn't leave a tiny bit of support behind
+        return Math.round(best * 100) / 100;
+    }
+
+    getPieceBottom(piece) {
+        return piece.position.y - this.getPieceSize(piece.userData.buildingType).y / 2;
+    }
+
+    // Check if the bottom of one piece sits on the top of another: walls on foundations or walls, roofs on walls
+    restsOn(piece, support) {
+        const type = piece.userData.buildingType;
+        const supportType = support.userData.buildingType;
+
+        if (!(this.supportedBy[type] || []).includes(supportType)) return false;
+
+        const supportTop = support.position.y + this.getPieceSize(supportType).y / 2;
+
+        const bottom = piece.position.y - this.getPieceSize(type).y / 2;
+        if (Math.abs(bottom - supportTop) > 0.3) return false;
+
+        // Walls sit on the edges of a foundation's or floor's footprint or on top of another wall,
+        // and walls hold up the edges of roofs and floors
+        const [inner, outer] = supportType === 'wall' && type !== 'wall' ? [support, piece] : [piece, support];
+        const outerSize = this.getPieceSize(outer.userData.buildingType);
+        const local = inner.position.clone().sub(outer.position);
+        local.applyEuler(new THREE.Euler(0, -outer.rotation.y, 0));
+        const margin = 0.3;
+        return Math.abs(local.x) <= outerSize.x / 2 + margin && Math.abs(local.z) <= outerSize.z / 2 + margin;
+    }
+
+    // Get the door the player is looking at, if it's close enough to use
+    getDoorAt(raycaster) {
+        raycaster.setFromCamera(new THREE.Vector2(), this.camera);
+        const intersects = raycaster.intersectObjects(this.placedPieces, true);
+
+        if (intersects.length === 0 || intersects[0].distance > this.doorReach) return null;
+
+        const piece = this.getPlacedPiece(intersects[0].object);
+        return piece && piece.userData.buildingType === 'door' ? piece : null;
+    }
+
+    // Check if a position is on the inside of a door, the side facing the foundation its wall stands on.
+    // Doors in walls without a foundation can be locked from either side
+    isInsideDoor(door, position) {
+        const wall = this.getWallWithOpening(door);
+        const foundation = wall && this.placedPieces.find(piece =>
+            piece.userData.buildingType === 'foundation' && this.restsOn(wall, piece));
+        if (!foundation) return true;
+
+        const normal = new THREE.Vector3(0, 0, 1).applyEuler(door.rotation);
+        const insideSide = foundation.position.clone().sub(door.position).dot(normal);
+        const positionSide = position.clone().sub(door.position).dot(normal);
+        return Math.sign(insideSide) === Math.sign(positionSide);
+    }
+
+    // Set a door open or closed straight away, used when loading and rebuilding walls
+    setDoorState(door, isOpen, isLocked) {
+        door.userData.isOpen = isOpen;
+        door.userData.isLocked = isLocked;
+
+        const hinge = door.getObjectByName('doorHinge');
+        if (hinge) {
+            hinge.rotation.y = isOpen ? -this.doorOpenAngle : 0;
+        }
+    }
+
+    // Open or close a door, returns false if it's locked
+    toggleDoor(door) {
+        if (door.userData.isLocked) return false;
+
+        door.userData.isOpen = !door.userData.isOpen;
+        console.log(`Door ${door.userData.isOpen ? 'opened' : 'closed'}`);
+        return true;
+    }
+
+    // Lock or unlock a closed door, only from the inside
+    toggleDoorLock(door, position) {
+        if (door.userData.isOpen || !this.isInsideDoor(door, position)) return false;
+
+        door.userData.isLocked = !door.userData.isLocked;
+        console.log(`Door ${door.userData.isLocked ? 'locked' : 'unlocked'}`);
+        return true;
+    }
+
+    getDoorPrompt(door, position) {
+        const inside = this.isInsideDoor(door, position);
+
+        if (door.userData.isLocked) {
+            return inside ? 'Press L to unlock the door' : 'The door is locked';
+        }
+        if (door.userData.isOpen) {
+            return 'Press E to close the door';
+        }
+        return inside ? 'Press E to open the door, L to lock it' : 'Press E to open the door';
+    }
+
+    // Swing doors towards their open or closed position
+    updateDoors(deltaTime) {
+        const step = this.doorSwingSpeed * deltaTime;
+
+        for (const piece of this.placedPieces) {
+            if (piece.userData.buildingType !== 'door') continue;
+
+            const hinge = piece.getObjectByName('doorHinge');
+            if (!hinge) continue;
+
+            const target = piece.userData.isOpen ? -this.doorOpenAngle : 0;
+            const difference = target - hinge.rotation.y;
+            hinge.rotation.y += Math.sign(difference) * Math.min(Math.abs(difference), step);
+        }
+    }
+
+    // Chunks of a collapsed piece that fall to the ground, updated with the chop particles
+    createCollapseDebris(piece) {
+        const debris = new THREE.Group();
+        debris.position.copy(piece.position);
+        debris.userData.isChopParticles = true;
+
+        // Use the colour of the piece itself
+        let color = 0x8B4513;
+        piece.traverse(node => {
+            if (node.isMesh && node.material.color) {
+                color = node.material.color.getHex();
+            }
+        });
+        const material = new THREE.MeshStandardMaterial({ color: color, roughness: 0.9 });
+
+        const size = this.getPieceSize(piece.userData.buildingType);
+        for (let i = 0; i < 16; i++) {
+            const chunk = new THREE.Mesh(
+                new THREE.BoxGeometry(0.2 + Math.random() * 0.3, 0.15 + Math.random() * 0.2, 0.15 + Math.random() * 0.2),
+                material
+            );
+
+            // Spread the chunks over the piece
+            chunk.position.set(
+                (Math.random() - 0.5) * size.x,
+                (Math.random() - 0.5) * size.y,
+                (Math.random() - 0.5) * size.z
+            );
+            chunk.position.applyEuler(piece.rotation);
+            chunk.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, 0);
+            chunk.userData.velocity = new THREE.Vector3(
+                (Math.random() - 0.5) * 0.06,
+                Math.random() * 0.04,
+                (Math.random() - 0.5) * 0.06
+            );
+            debris.add(chunk);
+        }
+
+        return debris;
+    }
+
+    // Walk up from a raycast hit to the piece registered in placedPieces
+    getPlacedPiece(object) {
+        let current = object;
+        while (current) {
+            if (this.placedPieces.includes(current)) {
+                return current;
+            }
+            current = current.parent;
+        }
+        return null;
+    }
+
+    // Remove every placed piece from the scene
+    clearAll() {
+        for (const piece of this.placedPieces) {
+            this.scene.remove(piece);
+        }
+        this.placedPieces = [];
+        this.wallsWithWindows.clear();
+        this.wallsWithDoors.clear();
+    }
+
+    // Serialize placed pieces for saving. Window and door frames are stored
+    // as openings on their wall so the cut-outs can be rebuilt on load
+    serialize() {
+        const pieces = [];
+
+        for (const piece of this.placedPieces) {
+            const type = piece.userData.buildingType;
+            if (type === 'window' || type === 'door') continue;
+
+            const openings = [];
+            for (const entry of this.wallsWithWindows.get(piece) || []) {
+                openings.push({
+                    type: 'window',
+                    position: entry.position.toArray(),
+                    rotation: [entry.window.rotation.x, entry.window.rotation.y, entry.window.rotation.z]
+                });
+            }
+            for (const entry of this.wallsWithDoors.get(piece) || []) {
+                openings.push({
+                    type: 'door',
+                    position: entry.position.toArray(),
+                    rotation: [entry.door.rotation.x, entry.door.rotation.y, entry.door.rotation.z],
+                    isOpen: entry.door.userData.isOpen,
+                    isLocked: entry.door.userData.isLocked
+                });
+            }
+
+            pieces.push({
+                type,
+                position: piece.position.toArray(),
+                rotation: [piece.rotation.x, piece.rotation.y, piece.rotation.z],
+                material: piece.userData.material,
+                hitPoints: piece.userData.hitPoints,
+                openings
+            });
+        }
+
+        return { pieces };
+    }
+
+    // Rebuild placed pieces from saved data, replacing anything already built
+    deserialize(data) {
+        this.cancelBuilding();
+        this.clearAll();
+
+        for (const pieceData of data.pieces || []) {
+            if (!this.meshes[pieceData.type]) {
+                console.warn(`Skipping unknown building type in save: ${pieceData.type}`);
+                continue;
+            }
+
+            // Pieces from saves before material tiers are wood
+            const tier = BUILDING_MATERIALS[pieceData.material] ? pieceData.material : 'wood';
+            let piece = this.placePiece(
+                pieceData.type,
+                new THREE.Vector3().fromArray(pieceData.position),
+                new THREE.Euler().fromArray(pieceData.rotation),
+                tier
+            );
+            if (pieceData.hitPoints !== undefined) {
+                piece.userData.hitPoints = pieceData.hitPoints;
+            }
+
+            // Each opening replaces the wall with a new group
+            for (const opening of pieceData.openings || []) {
+                piece = this.placeOpening(
+                    piece,
+                    opening.type,
+                    new THREE.Vector3().fromArray(opening.position),
+                    new THREE.Euler().fromArray(opening.rotation),
+                    opening.type === 'door' ? { isOpen: !!opening.isOpen, isLocked: !!opening.isLocked } : null
+                ) || piece;
+            }
+        }
+
+        console.log(`Loaded ${this.placedPieces.length} building pieces`);
+    }
+
     cancelBuilding() {
+        this.stopPieceAction();
+
         if (this.currentBlueprint) {
             // Store a reference to the blueprint
             const blueprintToRemove = this.currentBlueprint;
@@ -554,11 +1355,16 @@ export class BuildingSystem {
 
         let instructions = 'Press E to place';
 
-        // Add rotation instructions for walls
-        if (type === 'wall') {
+        // Add rotation instructions for walls, stairs and roofs
+        if (type === 'wall' || this.rotatableTypes.includes(type)) {
             instructions += ', R to rotate';
         }
 
+        // Roof styles are switched with the mouse wheel
+        if (this.roofStyles.includes(type)) {
+            instructions += `, scroll to change roof style (${type})`;
+        }
+
         // Add window/door placement instructions
         if (type === 'window' || type === 'door') {
             instructions = `Look at a wall and press E to place ${type}`;
@@ -576,6 +1382,42 @@ export class BuildingSystem {
         }
     }
 
+    // Get the rotation that makes stairs climb away along the camera direction,
+    // turned a quarter for every press of R
+    getStairsRotation(cameraDir) {
+        const direction = cameraDir.clone();
+        direction.y = 0;
+        direction.normalize();
+
+        // The stairs climb towards their local -z
+        return Math.atan2(-direction.x, -direction.z) + this.wallRotations[this.wallRotationIndex];
+    }
+
+    // Turn a stairs, ramp or roof blueprint a quarter when R is pressed
+    rotatePiece() {
+        if (!this.isBuilding || !this.currentBlueprint) return;
+        if (!this.rotatableTypes.includes(this.buildingType)) return;
+
+        this.wallRotationIndex = (this.wallRotationIndex + 1) % this.wallRotations.length;
+    }
+
+    // Switch the roof blueprint to the next or previous roof style
+    cycleRoofStyle(direction) {
+        if (!this.isBuilding || !this.currentBlueprint || !this.roofStyles.includes(this.buildingType)) return;
+
+        const index = this.roofStyles.indexOf(this.buildingType);
+        const style = this.roofStyles[(index + direction + this.roofStyles.length) % this.roofStyles.length];
+
+        this.buildingType = style;
+        this.currentBlueprint.geometry = this.meshes[style];
+        this.currentBlueprint.userData.buildingType = style;
+        this.showBuildingInstructions(style);
+
+        if (this.debug) {
+            console.log(`Switched roof style to ${style}`);
+        }
+    }
+
     // Rotate wall blueprint when R key is pressed
     rotateWall() {
         if (!this.isBuilding || !this.currentBlueprint || this.buildingType !== 'wall') return;
@@ -606,16 +1448,29 @@ export class BuildingSystem {
         const blueprintType = this.buildingType;
         const pieceType = piece.userData.buildingType;
 
-        // Define valid snapping combinations
-        if (blueprintType === 'wall' && pieceType === 'foundation') return true;
+        // Define valid snapping combinations, walls go on foundations and on upper floors
+        if (blueprintType === 'wall' && (pieceType === 'foundation' || pieceType === 'floor')) return true;
         // Removed wall-to-wall snapping to simplify building
 
-        // Roofs can only snap to foundations
-        if (blueprintType === 'roof' && pieceType === 'foundation') {
-            console.log('ROOF SNAPPING: Can snap roof to foundation');
+        // Roofs snap above foundations and upper floors
+        if (blueprintType === 'roof' && (pieceType === 'foundation' || pieceType === 'floor')) {
+            console.log(`ROOF SNAPPING: Can snap roof to ${pieceType}`);
             return true;
         }
 
+        // Floors sit on top of walls and extend other floors
+        if (blueprintType === 'floor' && (pieceType === 'wall' || pieceType === 'floor')) return true;
+
+        // Stairs and ramps stand on foundations and floors
+        if ((blueprintType === 'stairs' || blueprintType === 'ramp') && (pieceType === 'foundation' || pieceType === 'floor')) return true;
+
+        // Pitched roofs and corners sit on top of walls, or above foundations and floors at wall height
+        if ((blueprintType === 'pitched roof' || blueprintType === 'roof corner') &&
+            (pieceType === 'wall' || pieceType === 'foundation' || pieceType === 'floor')) return true;
+
+        // Gables fill the gap between the top of a wall and a pitched roof
+        if (blueprintType === 'gable' && pieceType === 'wall') return true;
+
         // Removed roof-to-roof snapping
 
         // Allow foundation-to-foundation snapping
@@ -648,8 +1503,8 @@ export class BuildingSystem {
         // Start with the piece position
         snapPos.copy(piece.position);
 
-        // Wall snapping to foundation
-        if (blueprintType === 'wall' && pieceType === 'foundation') {
+        // Wall snapping to foundation or floor
+        if (blueprintType === 'wall' && (pieceType === 'foundation' || pieceType === 'floor')) {
             // Place wall on edge of foundation based on closest edge
             const localPos = this.currentBlueprint.position.clone().sub(piece.position);
             localPos.applyEuler(new THREE.Euler(0, -piece.rotation.y, 0)); // Transform to local space
@@ -678,8 +1533,8 @@ export class BuildingSystem {
 
         // Wall-to-wall snapping removed to simplify building
 
-        // Roof snapping to foundation - place roof directly above foundation at wall height
-        else if (blueprintType === 'roof' && pieceType === 'foundation') {
+        // Roof snapping to foundation or floor - place roof directly above it at wall height
+        else if (blueprintType === 'roof' && (pieceType === 'foundation' || pieceType === 'floor')) {
             console.log('ROOF SNAPPING: Calculating roof-to-foundation snap position');
 
             // Position the roof directly above the foundation
@@ -713,8 +1568,42 @@ export class BuildingSystem {
 
         // Removed roof-to-roof snapping
 
-        // Foundation snapping to foundation
-        else if (blueprintType === 'foundation' && pieceType === 'foundation') {
+        // Floor snapping on top of a wall, on the side of the wall the blueprint is on
+        else if (blueprintType === 'floor' && pieceType === 'wall') {
+            const normal = new THREE.Vector3(0, 0, 1).applyEuler(piece.rotation);
+            const side = this.currentBlueprint.position.clone().sub(piece.position).dot(normal) >= 0 ? 1 : -1;
+
+            snapPos.addScaledVector(normal, side * blueprintSize.z / 2);
+            snapPos.y = piece.position.y + pieceSize.y / 2 + blueprintSize.y / 2;
+        }
+
+        // Pitched roof or corner on top of a wall, covering the side of the wall the blueprint is on
+        else if ((blueprintType === 'pitched roof' || blueprintType === 'roof corner') && pieceType === 'wall') {
+            const normal = new THREE.Vector3(0, 0, 1).applyEuler(piece.rotation);
+            const side = this.currentBlueprint.position.clone().sub(piece.position).dot(normal) >= 0 ? 1 : -1;
+
+            snapPos.addScaledVector(normal, side * blueprintSize.z / 2);
+            snapPos.y = piece.position.y + pieceSize.y / 2 + blueprintSize.y / 2;
+        }
+
+        // Pitched roof or corner above a foundation or floor, at the height of the walls on it
+        else if ((blueprintType === 'pitched roof' || blueprintType === 'roof corner') && (pieceType === 'foundation' || pieceType === 'floor')) {
+            const wallTop = piece.position.y + pieceSize.y / 2 + this.getPieceSize('wall').y - 0.1;
+            snapPos.y = wallTop + blueprintSize.y / 2;
+        }
+
+        // Gable standing on top of a wall
+        else if (blueprintType === 'gable' && pieceType === 'wall') {
+            snapPos.y = piece.position.y + pieceSize.y / 2 + blueprintSize.y / 2;
+        }
+
+        // Stairs and ramps standing on a foundation or floor
+        else if ((blueprintType === 'stairs' || blueprintType === 'ramp') && (pieceType === 'foundation' || pieceType === 'floor')) {
+            snapPos.y = piece.position.y + pieceSize.y / 2 + blueprintSize.y / 2;
+        }
+
+        // Foundation or floor snapping to the edge of another
+        else if ((blueprintType === 'foundation' && pieceType === 'foundation') || (blueprintType === 'floor' && pieceType === 'floor')) {
             // Determine which edge to snap to
             const localPos = this.currentBlueprint.position.clone().sub(piece.position);
             localPos.applyEuler(new THREE.Euler(0, -piece.rotation.y, 0)); // Transform to local space
@@ -751,8 +1640,8 @@ export class BuildingSystem {
         // Start with the piece rotation
         snapRot.copy(piece.rotation);
 
-        // Wall snapping to foundation
-        if (blueprintType === 'wall' && pieceType === 'foundation') {
+        // Wall snapping to foundation or floor
+        if (blueprintType === 'wall' && (pieceType === 'foundation' || pieceType === 'floor')) {
             // Determine which edge we're snapping to
             const localPos = this.currentBlueprint.position.clone().sub(piece.position);
             localPos.applyEuler(new THREE.Euler(0, -piece.rotation.y, 0)); // Transform to local space
@@ -771,8 +1660,8 @@ export class BuildingSystem {
 
         // Wall-to-wall rotation logic removed to simplify building
 
-        // Roof snapping to foundation - match foundation rotation
-        else if (blueprintType === 'roof' && pieceType === 'foundation') {
+        // Roof snapping to foundation or floor - match its rotation
+        else if (blueprintType === 'roof' && (pieceType === 'foundation' || pieceType === 'floor')) {
             // Match the foundation's rotation
             snapRot.y = piece.rotation.y;
 
@@ -788,11 +1677,190 @@ export class BuildingSystem {
 
         // Removed roof-to-roof rotation logic
 
+        // Pitched roofs and corners on a wall rise away from it, R turns them from there
+        else if ((blueprintType === 'pitched roof' || blueprintType === 'roof corner') && pieceType === 'wall') {
+            const normal = new THREE.Vector3(0, 0, 1).applyEuler(piece.rotation);
+            const side = this.currentBlueprint.position.clone().sub(piece.position).dot(normal) >= 0 ? 1 : -1;
+            const inward = normal.multiplyScalar(side);
+
+            snapRot.set(0, Math.atan2(-inward.x, -inward.z) + this.wallRotations[this.wallRotationIndex], 0);
+        }
+
+        // Gables line up with their wall, R flips which end is high
+        else if (blueprintType === 'gable' && pieceType === 'wall') {
+            snapRot.y = piece.rotation.y + (this.wallRotationIndex % 2) * Math.PI;
+        }
+
+        // Stairs and roofs keep facing the way the player chose, lined up with the piece under them
+        else if (this.rotatableTypes.includes(blueprintType)) {
+            const quarter = Math.PI / 2;
+            const turn = this.currentBlueprint.rotation.y - piece.rotation.y;
+            snapRot.y = piece.rotation.y + Math.round(turn / quarter) * quarter;
+        }
+
         // For other combinations, use the same rotation as the piece
 
         return snapRot;
     }
 
+    // Get the terrain height, or 0 on flat ground
+    getGroundHeight(x, z) {
+        return this.terrain ? this.terrain.getHeightAt(x, z) : 0;
+    }
+
+    // Get the highest ground height under a foundation's center and corners
+    getFoundationGroundHeight(x, z) {
+        const halfSize = this.getPieceSize('foundation').x / 2;
+        let height = this.getGroundHeight(x, z);
+
+        for (const [dx, dz] of [[-1, -1], [1, -1], [-1, 1], [1, 1]]) {
+            height = Math.max(height, this.getGroundHeight(x + dx * halfSize, z + dz * halfSize));
+        }
+
+        return height;
+    }
+
+    // Build the solid side profile of a flight of stairs and extrude it across their width.
+    // No steps gives a smooth ramp or roof slope. The stairs climb towards local -z, centred on the origin
+    createStairsGeometry(steps, size = this.getPieceSize('stairs')) {
+        const halfRun = size.z / 2;
+        const halfRise = size.y / 2;
+
+        // The profile is drawn with x as the run and y as the rise
+        const shape = new THREE.Shape();
+        shape.moveTo(-halfRun, -halfRise);
+        shape.lineTo(halfRun, -halfRise);
+
+        if (steps > 0) {
+            const run = size.z / steps;
+            const rise = size.y / steps;
+            for (let i = 0; i < steps; i++) {
+                shape.lineTo(halfRun - i * run, -halfRise + (i + 1) * rise);
+                shape.lineTo(halfRun - (i + 1) * run, -halfRise + (i + 1) * rise);
+            }
+        } else {
+            shape.lineTo(-halfRun, halfRise);
+        }
+        shape.lineTo(-halfRun, -halfRise);
+
+        const geometry = new THREE.ExtrudeGeometry(shape, { depth: size.x, bevelEnabled: false });
+
+        // Centre the width on the origin and turn the run to point along z
+        geometry.translate(0, 0, -size.x / 2);
+        geometry.rotateY(-Math.PI / 2);
+        return geometry;
+    }
+
+    // A corner of a hipped roof, two slopes rising from the outer edges at +x and +z to a peak over the -x -z corner
+    createRoofCornerGeometry() {
+        const size = this.getPieceSize('roof corner');
+        const x = size.x / 2;
+        const y = size.y / 2;
+        const z = size.z / 2;
+
+        const peak = [-x, y, -z];
+        const corners = {
+            back: [-x, -y, -z], // Under the peak
+            left: [-x, -y, z],
+            right: [x, -y, -z],
+            front: [x, -y, z]
+        };
+
+        // Triangles wound counter-clockwise seen from outside
+        const triangles = [
+            [corners.back, corners.right, corners.front], // Bottom
+            [corners.back, corners.front, corners.left],
+            [corners.back, corners.left, peak], // Upright inner faces
+            [corners.back, peak, corners.right],
+            [corners.left, corners.front, peak], // Slopes
+            [corners.front, corners.right, peak]
+        ];
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(triangles.flat(2), 3));
+        geometry.computeVertexNormals();
+        return geometry;
+    }
+
+    // A triangle that closes the end of a pitched roof, high at its -x end
+    createGableGeometry() {
+        const size = this.getPieceSize('gable');
+
+        const shape = new THREE.Shape();
+        shape.moveTo(-size.x / 2, -size.y / 2);
+        shape.lineTo(size.x / 2, -size.y / 2);
+        shape.lineTo(-size.x / 2, size.y / 2);
+        shape.lineTo(-size.x / 2, -size.y / 2);
+
+        const geometry = new THREE.ExtrudeGeometry(shape, { depth: size.z, bevelEnabled: false });
+        geometry.translate(0, 0, -size.z / 2);
+        return geometry;
+    }
+
+    // Work out how enclosed a position is: how much of the sky above is covered and how many
+    // directions are walled in. Open doors leave a gap because their doorway is clear
+    getShelterAt(position) {
+        this.shelterRaycaster = this.shelterRaycaster || new THREE.Raycaster();
+        const raycaster = this.shelterRaycaster;
+        raycaster.far = this.shelterRange;
+
+        const covers = this.placedPieces.filter(piece =>
+            this.roofTypes.includes(piece.userData.buildingType) || piece.userData.buildingType === 'floor');
+
+        // Look straight up from a few points around the player for roof coverage
+        const up = new THREE.Vector3(0, 1, 0);
+        const offsets = [[0, 0], [0.6, 0], [-0.6, 0], [0, 0.6], [0, -0.6]];
+        let covered = 0;
+        if (covers.length > 0) {
+            for (const [dx, dz] of offsets) {
+                raycaster.set(new THREE.Vector3(position.x + dx, position.y, position.z + dz), up);
+                if (raycaster.intersectObjects(covers, true).length > 0) {
+                    covered++;
+                }
+            }
+        }
+
+        // Look around the player for walls, closed doors and windows
+        const directions = 8;
+        let walled = 0;
+        if (this.placedPieces.length > 0) {
+            for (let i = 0; i < directions; i++) {
+                const angle = (i / directions) * Math.PI * 2;
+                raycaster.set(position, new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle)));
+                if (raycaster.intersectObjects(this.placedPieces, true).length > 0) {
+                    walled++;
+                }
+            }
+        }
+
+        const roofCoverage = covered / offsets.length;
+        const wallCoverage = walled / directions;
+
+        return {
+            roofCoverage,
+            wallCoverage,
+            score: roofCoverage * 0.6 + wallCoverage * 0.4
+        };
+    }
+
+    // Check if a position is enclosed enough to hide from the UFO, a roof alone isn't
+    isSheltered(position) {
+        return this.getShelterAt(position).score >= this.shelterThreshold;
+    }
+
+    // Get the height of the highest walkable building surface under a point, ignoring anything above maxHeight.
+    // Returns -Infinity if there is nothing to stand on
+    getWalkableHeightAt(x, z, maxHeight) {
+        const walkable = this.placedPieces.filter(piece => this.walkableTypes.includes(piece.userData.buildingType));
+        if (walkable.length === 0) return -Infinity;
+
+        this.walkRaycaster = this.walkRaycaster || new THREE.Raycaster();
+        this.walkRaycaster.set(new THREE.Vector3(x, maxHeight, z), new THREE.Vector3(0, -1, 0));
+        const intersects = this.walkRaycaster.intersectObjects(walkable, true);
+
+        return intersects.length > 0 ? intersects[0].point.y : -Infinity;
+    }
+
     // Helper to get the dimensions of a piece based on type
     getPieceSize(type) {
         switch(type) {
@@ -806,6 +1874,16 @@ export class BuildingSystem {
                 return { x: 0.8, y: 0.8, z: 0.1 };
             case 'door':
                 return { x: 1, y: 2, z: 0.1 };
+            case 'floor':
+                return { x: 2, y: 0.2, z: 2 };
+            case 'stairs':
+            case 'ramp':
+                return { x: 2, y: 3.1, z: 2 }; // Reaches the top of a floor on walls standing on a foundation
+            case 'pitched roof':
+            case 'roof corner':
+                return { x: 2, y: 1, z: 2 };
+            case 'gable':
+                return { x: 2, y: 1, z: 0.2 };
             default:
                 return { x: 0, y: 0, z: 0 };
         }
@@ -922,9 +2000,14 @@ export class BuildingSystem {
         frameGroup.add(left);
         frameGroup.add(right);
 
-        // Create a simple door panel (no collision)
+        // The door panel hangs on a hinge at the left post so it can swing open
         const doorWidth = width - frameThickness * 2;
         const doorHeight = height - frameThickness;
+        const hinge = new THREE.Group();
+        hinge.name = 'doorHinge';
+        hinge.position.set(-doorWidth / 2, -frameThickness / 2, depth / 2 - 0.05); // Slightly offset from the wall
+        frameGroup.add(hinge);
+
         const doorGeometry = new THREE.BoxGeometry(doorWidth, doorHeight, 0.05);
         const doorMaterial = new THREE.MeshStandardMaterial({
             color: 0x6B4513, // Slightly darker than the frame
@@ -932,14 +2015,16 @@ export class BuildingSystem {
             metalness: 0.05
         });
 
-        // Create door panel
+        // Create door panel, it blocks movement and arrows while closed
         const door = new THREE.Mesh(doorGeometry, doorMaterial);
-        door.position.z = depth / 2 - 0.05; // Position slightly offset from the wall
-        door.position.y = -frameThickness / 2; // Align with bottom
-        frameGroup.add(door);
+        door.position.x = doorWidth / 2;
+        door.userData.isDoor = true;
+        hinge.add(door);
 
         // Mark this as a door frame for special handling
         frameGroup.userData.isDoorFrame = true;
+        frameGroup.userData.isOpen = false;
+        frameGroup.userData.isLocked = false;
 
         return frameGroup;
     }
@@ -978,13 +2063,8 @@ export class BuildingSystem {
         const localWindowPos = windowPosition.clone().sub(originalPosition);
         localWindowPos.applyEuler(new THREE.Euler(-originalRotation.x, -originalRotation.y, -originalRotation.z, 'XYZ'));
 
-        // Create wall material
-        const wallMaterial = new THREE.MeshStandardMaterial({
-            color: 0x8B4513,
-            roughness: 0.8,
-            metalness: 0.1,
-            side: THREE.DoubleSide  // Important for seeing through the window
-        });
+        // Create wall material, double sided for seeing through the window
+        const wallMaterial = createBuildingMaterial(originalUserData.material || 'wood', true);
 
         // Create wall segments around the window
         // We'll create 4 segments: top, bottom, left, right
@@ -1081,12 +2161,7 @@ export class BuildingSystem {
         localDoorPos.applyEuler(new THREE.Euler(-originalRotation.x, -originalRotation.y, -originalRotation.z, 'XYZ'));
 
         // Create wall material
-        const wallMaterial = new THREE.MeshStandardMaterial({
-            color: 0x8B4513,
-            roughness: 0.8,
-            metalness: 0.1,
-            side: THREE.DoubleSide
-        });
+        const wallMaterial = createBuildingMaterial(originalUserData.material || 'wood', true);
 
         // Create wall segments around the door
         // We'll create 3 segments: top, left, right (no bottom for door)
@@ -0,0 +1,336 @@
+import * as THREE from 'three';
+
+// Object types that belong to the chunk they sit in. Buildings and crafted
+// items are not listed, so they stay loaded wherever the player puts them
+const CHUNK_OBJECT_TYPES = ['tree', 'rock', 'logs', 'grass'];
+
+export class ChunkSystem {
+    constructor(scene, terrain, worldRandom, groundMaterial, interactableObjects, waterMaterial = null) {
+        this.scene = scene;
+        this.terrain = terrain;
+        this.worldRandom = worldRandom;
+        this.groundMaterial = groundMaterial;
+        this.waterMaterial = waterMaterial;
+        this.interactableObjects = interactableObjects;
+
+        this.chunkSize = 32; // World units per chunk side
+        this.loadRadius = 1; // Chunks around the player's chunk to keep loaded
+        this.unloadRadius = 2; // Chunks further than this are unloaded (larger than loadRadius to avoid flicker)
+
+        this.loadedChunks = new Map(); // Chunk key -> { ground, objects, populatedLayers }
+        this.layers = []; // Generators that fill chunks with objects
+        this.restorers = {}; // Object type -> function that rebuilds a saved added object
+
+        // Edits are kept for every chunk, loaded or not
+        this.removedObjects = new Set(); // Ids of generated objects the player removed
+        this.storedObjects = new Map(); // Chunk key -> added objects (regrown trees, log piles) while unloaded
+
+        this.currentChunkKey = null;
+    }
+
+    // Register a generator that places one type of object in each chunk.
+    // populate(minX, minZ, size, random) returns the objects without adding them to the scene.
+    // isReady() lets a layer wait for its model to load.
+    addLayer(type, populate, { isReady = () => true, onSpawn = null, onDespawn = null } = {}) {
+        this.layers.push({ type, populate, isReady, onSpawn, onDespawn });
+    }
+
+    // Register how to rebuild a saved added object of the given type
+    addRestorer(type, restore) {
+        this.restorers[type] = restore;
+    }
+
+    getChunkCoords(x, z) {
+        return {
+            cx: Math.floor(x / this.chunkSize),
+            cz: Math.floor(z / this.chunkSize)
+        };
+    }
+
+    getChunkKey(cx, cz) {
+        return `${cx},${cz}`;
+    }
+
+    getChunkKeyAt(x, z) {
+        const { cx, cz } = this.getChunkCoords(x, z);
+        return this.getChunkKey(cx, cz);
+    }
+
+    // Load chunks around the player and unload distant ones. Only one chunk is
+    // generated per call to avoid frame spikes, unless loadAll is set
+    update(playerPosition, loadAll = false) {
+        const { cx, cz } = this.getChunkCoords(playerPosition.x, playerPosition.z);
+        const chunkKey = this.getChunkKey(cx, cz);
+
+        // Unload chunks the player has moved away from
+        if (chunkKey !== this.currentChunkKey) {
+            this.currentChunkKey = chunkKey;
+
+            for (const [key, chunk] of this.loadedChunks) {
+                if (Math.abs(chunk.cx - cx) > this.unloadRadius || Math.abs(chunk.cz - cz) > this.unloadRadius) {
+                    this.unloadChunk(key);
+                }
+            }
+
+            // Objects added outside the loaded area (e.g. a tree regrowing far away) are stored with their chunk
+            this.storeObjectsOutsideLoadedChunks();
+        }
+
+        // Find missing chunks, nearest first
+        const missing = [];
+        for (let x = cx - this.loadRadius; x <= cx + this.loadRadius; x++) {
+            for (let z = cz - this.loadRadius; z <= cz + this.loadRadius; z++) {
+                if (!this.loadedChunks.has(this.getChunkKey(x, z))) {
+                    missing.push({ x, z, distance: Math.abs(x - cx) + Math.abs(z - cz) });
+                }
+            }
+        }
+        missing.sort((a, b) => a.distance - b.distance);
+
+        for (const chunk of missing) {
+            this.loadChunk(chunk.x, chunk.z);
+            if (!loadAll) break;
+        }
+
+        // Fill in layers whose models finished loading after the chunk was generated
+        for (const chunk of this.loadedChunks.values()) {
+            this.populateChunk(chunk);
+        }
+    }
+
+    loadChunk(cx, cz) {
+        const key = this.getChunkKey(cx, cz);
+        const minX = cx * this.chunkSize;
+        const minZ = cz * this.chunkSize;
+
+        const ground = this.terrain.createChunkMesh(minX, minZ, this.chunkSize, this.groundMaterial);
+        this.scene.add(ground);
+
+        // Lakes in the chunk's valleys, the player can drink from them
+        const water = this.waterMaterial ?
+            this.terrain.createChunkWaterMesh(minX, minZ, this.chunkSize, this.waterMaterial) : null;
+        if (water) {
+            this.scene.add(water);
+            this.interactableObjects.push(water);
+        }
+
+        const chunk = {
+            key,
+            cx,
+            cz,
+            minX,
+            minZ,
+            ground,
+            water,
+            objects: [], // Generated objects
+            populatedLayers: new Set()
+        };
+        this.loadedChunks.set(key, chunk);
+
+        this.populateChunk(chunk);
+
+        // Bring back anything the player added here before the chunk was unloaded
+        const stored = this.storedObjects.get(key);
+        if (stored) {
+            for (const object of stored) {
+                this.spawnObject(object);
+            }
+            this.storedObjects.delete(key);
+        }
+
+        console.log(`Loaded chunk ${key} with ${chunk.objects.length} objects`);
+    }
+
+    // Generate every ready layer that hasn't been generated for this chunk yet
+    populateChunk(chunk) {
+        for (const layer of this.layers) {
+            if (chunk.populatedLayers.has(layer.type) || !layer.isReady()) continue;
+
+            // Each chunk and layer has its own stream so regenerating a chunk gives the same result
+            const random = this.worldRandom.fork(`chunk:${chunk.key}:${layer.type}`);
+            const objects = layer.populate(chunk.minX, chunk.minZ, this.chunkSize, random);
+
+            objects.forEach((object, index) => {
+                const id = `${chunk.key}:${layer.type}:${index}`;
+
+                // Skip objects the player already removed (felled trees, picked up rocks)
+                if (this.removedObjects.has(id)) return;
+
+                object.userData.chunkObjectId = id;
+                chunk.objects.push(object);
+                this.spawnObject(object);
+            });
+
+            chunk.populatedLayers.add(layer.type);
+        }
+    }
+
+    unloadChunk(key) {
+        const chunk = this.loadedChunks.get(key);
+        if (!chunk) return;
+
+        for (const object of chunk.objects) {
+            if (!object.parent) {
+                // No longer in the scene, so the player removed it
+                this.removedObjects.add(object.userData.chunkObjectId);
+            } else {
+                this.despawnObject(object);
+            }
+        }
+
+        // Keep objects the player added to this chunk for when it loads again
+        const added = this.getAddedObjectsInScene().filter(object =>
+            this.getChunkKeyAt(object.position.x, object.position.z) === key);
+        for (const object of added) {
+            this.storeObject(key, object);
+        }
+
+        this.removeChunkMeshes(chunk);
+        this.loadedChunks.delete(key);
+
+        console.log(`Unloaded chunk ${key}`);
+    }
+
+    // Remove and dispose a chunk's ground and water
+    removeChunkMeshes(chunk) {
+        this.scene.remove(chunk.ground);
+        chunk.ground.geometry.dispose();
+
+        if (chunk.water) {
+            this.scene.remove(chunk.water);
+            chunk.water.geometry.dispose();
+            const index = this.interactableObjects.indexOf(chunk.water);
+            if (index > -1) {
+                this.interactableObjects.splice(index, 1);
+            }
+        }
+    }
+
+    // Objects of chunk types in the scene that weren't generated by a chunk
+    getAddedObjectsInScene() {
+        return this.scene.children.filter(object =>
+            CHUNK_OBJECT_TYPES.includes(object.userData.type) && !object.userData.chunkObjectId);
+    }
+
+    storeObjectsOutsideLoadedChunks() {
+        for (const object of this.getAddedObjectsInScene()) {
+            const key = this.getChunkKeyAt(object.position.x, object.position.z);
+            if (!this.loadedChunks.has(key)) {
+                this.storeObject(key, object);
+            }
+        }
+    }
+
+    storeObject(key, object) {
+        this.despawnObject(object);
+        if (!this.storedObjects.has(key)) {
+            this.storedObjects.set(key, []);
+        }
+        this.storedObjects.get(key).push(object);
+    }
+
+    spawnObject(object) {
+        this.scene.add(object);
+        this.interactableObjects.push(object);
+
+        const layer = this.layers.find(l => l.type === object.userData.type);
+        if (layer && layer.onSpawn) {
+            layer.onSpawn(object);
+        }
+    }
+
+    despawnObject(object) {
+        this.scene.remove(object);
+        const index = this.interactableObjects.indexOf(object);
+        if (index > -1) {
+            this.interactableObjects.splice(index, 1);
+        }
+
+        const layer = this.layers.find(l => l.type === object.userData.type);
+        if (layer && layer.onDespawn) {
+            layer.onDespawn(object);
+        }
+    }
+
+    // Describe an added object so it can be rebuilt from a save
+    describeObject(object) {
+        const data = {
+            type: object.userData.type,
+            position: object.position.toArray(),
+            rotationY: object.rotation.y,
+            scale: object.scale.x
+        };
+
+        if (object.userData.isGrowing) {
+            data.isGrowing = true;
+            data.growthElapsed = Date.now() - object.userData.growthStartTime;
+            data.originalScale = object.userData.originalScale;
+        }
+
+        return data;
+    }
+
+    // Serialize the player's edits to the world. The generated objects come from the seed
+    serialize() {
+        const removed = new Set(this.removedObjects);
+        for (const chunk of this.loadedChunks.values()) {
+            for (const object of chunk.objects) {
+                if (!object.parent) {
+                    removed.add(object.userData.chunkObjectId);
+                }
+            }
+        }
+
+        const added = this.getAddedObjectsInScene();
+        for (const stored of this.storedObjects.values()) {
+            added.push(...stored);
+        }
+
+        return {
+            removed: [...removed],
+            added: added
+                .filter(object => this.restorers[object.userData.type])
+                .map(object => this.describeObject(object))
+        };
+    }
+
+    // Replace the world's edits with saved ones and regenerate chunks around the player
+    deserialize(data, playerPosition) {
+        // Throw away every loaded chunk and added object
+        for (const chunk of this.loadedChunks.values()) {
+            for (const object of chunk.objects) {
+                if (object.parent) {
+                    this.despawnObject(object);
+                }
+            }
+            this.removeChunkMeshes(chunk);
+        }
+        this.loadedChunks.clear();
+
+        for (const object of this.getAddedObjectsInScene()) {
+            this.despawnObject(object);
+        }
+        this.storedObjects.clear();
+
+        this.removedObjects = new Set(data.removed || []);
+        this.currentChunkKey = null;
+
+        // Rebuild added objects; the next update stores the ones outside the loaded area
+        for (const entry of data.added || []) {
+            const restore = this.restorers[entry.type];
+            if (!restore) {
+                console.warn(`Skipping unknown saved world object: ${entry.type}`);
+                continue;
+            }
+
+            const object = restore(entry);
+            if (object) {
+                this.spawnObject(object);
+            }
+        }
+
+        this.update(playerPosition, true);
+
+        console.log(`Loaded world edits: ${this.removedObjects.size} removed, ${(data.added || []).length} added objects`);
+    }
+}
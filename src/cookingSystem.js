@@ -0,0 +1,203 @@
+import { Item } from './inventory.js';
+
+// What each food does to the player when eaten
+export const FOOD_NUTRITION = {
+    'raw meat': { hunger: 10, health: -5 }, // Filling, but raw meat makes you sick
+    'cooked meat': { hunger: 35, health: 5 },
+    'burnt meat': { hunger: 8, health: 0 }
+};
+
+// The food each raw ingredient becomes when cooked or burnt
+const COOKING_RESULTS = {
+    'raw meat': { cooked: 'cooked meat', burnt: 'burnt meat' }
+};
+
+export class CookingSystem {
+    constructor(inventory) {
+        this.inventory = inventory;
+        this.isCooking = false;
+        this.cookingStartTime = 0;
+        this.cookDuration = 5000; // 5 seconds until the food is cooked
+        this.burnDuration = 10000; // Left on the fire for 10 seconds it burns
+        this.cookingFood = null;
+        this.cookingBonfire = null;
+        this.maxDistance = 3; // Walking further than this from the fire cancels cooking
+        this.pickupSystem = null; // Set from main, food that doesn't fit in the inventory is dropped by the fire
+    }
+
+    // Get the raw food the player is holding, if it can be cooked
+    getCookableFood() {
+        const held = this.inventory.getSelectedItem();
+        return held && COOKING_RESULTS[held.type] ? held.type : null;
+    }
+
+    // Get the best food to eat from the inventory, cooked food first
+    getBestFood() {
+        return Object.keys(FOOD_NUTRITION)
+            .filter(food => this.inventory.getItemCount(food) > 0)
+            .sort((a, b) => FOOD_NUTRITION[b].hunger - FOOD_NUTRITION[a].hunger)[0] || null;
+    }
+
+    // Which state the food on the fire is in right now
+    getCookingState() {
+        if (!this.isCooking) return null;
+
+        const elapsed = Date.now() - this.cookingStartTime;
+        if (elapsed >= this.burnDuration) return 'burnt';
+        if (elapsed >= this.cookDuration) return 'cooked';
+        return 'raw';
+    }
+
+    // Start cooking raw food on a lit bonfire
+    startCooking(bonfire) {
+        if (this.isCooking || !bonfire.userData.isLit) return false;
+
+        const food = this.getCookableFood();
+        if (!food) return false;
+
+        this.inventory.removeFromSlot(this.inventory.selectedSlot, 1);
+
+        this.isCooking = true;
+        this.cookingStartTime = Date.now();
+        this.cookingFood = food;
+        this.cookingBonfire = bonfire;
+
+        // Show progress bar
+        const progressBarContainer = document.getElementById('progress-bar-container');
+        const progressBar = document.getElementById('progress-bar');
+        progressBarContainer.style.display = 'block';
+        progressBar.style.width = '0%';
+
+        // Update prompt to show cooking in progress
+        const promptElement = document.getElementById('interaction-prompt');
+        promptElement.textContent = `Cooking ${food}...`;
+        promptElement.style.display = 'block';
+
+        console.log(`Started cooking ${food}`);
+        return true;
+    }
+
+    // Update cooking progress
+    updateCooking(playerPosition) {
+        if (!this.isCooking) return;
+
+        // Cancel if the player walked away or the fire went out
+        if (!this.cookingBonfire.parent || !this.cookingBonfire.userData.isLit ||
+            playerPosition.distanceTo(this.cookingBonfire.position) > this.maxDistance + 1.3) {
+            this.cancelCooking();
+            return;
+        }
+
+        const elapsed = Date.now() - this.cookingStartTime;
+        const state = this.getCookingState();
+
+        // The bar fills while cooking, then turns red as the food starts to burn
+        const progressBar = document.getElementById('progress-bar');
+        const promptElement = document.getElementById('interaction-prompt');
+        if (state === 'raw') {
+            progressBar.style.width = `${(elapsed / this.cookDuration) * 100}%`;
+            progressBar.style.backgroundColor = '';
+            promptElement.textContent = `Cooking ${this.cookingFood}...`;
+        } else if (state === 'cooked') {
+            const burnProgress = (elapsed - this.cookDuration) / (this.burnDuration - this.cookDuration);
+            progressBar.style.width = `${burnProgress * 100}%`;
+            progressBar.style.backgroundColor = '#f44336';
+            promptElement.textContent = 'Cooked! Press E to take it off the fire before it burns';
+        } else {
+            // Left too long, the food burns
+            this.completeCooking();
+            return;
+        }
+        promptElement.style.display = 'block';
+    }
+
+    // Take the food off the fire in whatever state it's in
+    completeCooking() {
+        if (!this.isCooking) return null;
+
+        const state = this.getCookingState();
+        const result = state === 'raw' ? this.cookingFood : COOKING_RESULTS[this.cookingFood][state];
+
+        const stored = this.takeFood(result);
+        console.log(`Took ${result} off the fire`);
+
+        this.resetCooking();
+
+        // Update interaction prompt
+        const promptElement = document.getElementById('interaction-prompt');
+        promptElement.textContent = stored ? `Got 1 ${result}!` : `Your inventory is full, the ${result} is on the ground by the fire`;
+        promptElement.style.display = 'block';
+
+        // Hide the prompt after a short delay
+        setTimeout(() => {
+            promptElement.style.display = 'none';
+        }, 2000);
+
+        return result;
+    }
+
+    // Cancel cooking (e.g., if player moves away), the food is kept as it is
+    cancelCooking() {
+        if (!this.isCooking) return;
+
+        const state = this.getCookingState();
+        const result = state === 'raw' ? this.cookingFood : COOKING_RESULTS[this.cookingFood][state];
+        this.takeFood(result);
+
+        this.resetCooking();
+
+        const promptElement = document.getElementById('interaction-prompt');
+        promptElement.style.display = 'none';
+
+        console.log('Cooking cancelled');
+    }
+
+    // Put food taken off the fire in the inventory, or beside the fire if it's full.
+    // Returns false if it had to be dropped
+    takeFood(food) {
+        if (this.inventory.addItem(food, 1)) return true;
+
+        if (this.pickupSystem && this.cookingBonfire) {
+            const position = this.cookingBonfire.position.clone();
+            position.x += 1; // Off to the side so it isn't dropped in the flames
+            this.pickupSystem.spawnPickup(new Item(food, 1), position);
+        }
+        return false;
+    }
+
+    resetCooking() {
+        // Hide progress bar
+        const progressBarContainer = document.getElementById('progress-bar-container');
+        const progressBar = document.getElementById('progress-bar');
+        progressBarContainer.style.display = 'none';
+        progressBar.style.backgroundColor = '';
+
+        // Reset cooking state
+        this.isCooking = false;
+        this.cookingFood = null;
+        this.cookingBonfire = null;
+    }
+
+    // Eat a food from the inventory, returns its nutrition or null if there is none
+    eat(food, playerVitals) {
+        const nutrition = FOOD_NUTRITION[food];
+        if (!nutrition || !this.inventory.removeItem(food, 1)) return null;
+
+        playerVitals.eat(nutrition.hunger);
+        if (nutrition.health > 0) {
+            playerVitals.heal(nutrition.health);
+        } else if (nutrition.health < 0) {
+            playerVitals.damage(-nutrition.health, 'food poisoning');
+        }
+
+        console.log(`Ate ${food}`);
+        return nutrition;
+    }
+
+    // Update method called from main game loop
+    update(playerPosition) {
+        if (this.isCooking) {
+            this.updateCooking(playerPosition);
+        }
+    }
+}
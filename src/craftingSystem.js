@@ -1,5 +1,9 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { lightBonfire } from './bonfireFuel.js';
+import { RecipeRegistry } from './recipeRegistry.js';
+import { PROCEDURAL_MODELS } from './proceduralModels.js';
+import { describeItems } from './inventory.js';
 
 class CraftingSystem {
     constructor(scene, camera, inventory, buildingSystem) {
@@ -13,6 +17,7 @@ class CraftingSystem {
         this.currentBlueprint = null;
         this.modelsLoaded = false;
         this.modelLoadingPromises = [];
+        this.placedItems = []; // Crafted items placed in the world (bonfires)
 
         // Blueprint material (semi-transparent blue)
         this.blueprintMaterial = new THREE.MeshStandardMaterial({
@@ -23,43 +28,9 @@ class CraftingSystem {
             metalness: 0.2
         });
 
-        // Define craftable items
-        this.craftableItems = [
-            {
-                name: 'Bonfire',
-                modelPath: 'assets/models/bonfire.glb',
-                requirements: {
-                    log: 4,
-                    rock: 4
-                },
-                // Scale options:
-                // 0.5 = Small bonfire
-                // 1.0 = Medium bonfire
-                // 1.5 = Large bonfire
-                // 2.0 = Extra large bonfire
-                scale: 3.5, // Scale factor for the model (larger value = bigger bonfire)
-                model: null
-            },
-            {
-                name: 'Bow',
-                modelPath: 'assets/models/bow.glb',
-                requirements: {
-                    string: 5,
-                    stick: 1
-                },
-                scale: 0.5,
-                model: null,
-                isEquipment: true // Flag to indicate this is equipment, not a placeable item
-            },
-            {
-                name: 'Arrow',
-                modelPath: 'assets/models/arrow.glb',
-                requirements: {}, // No requirements for now - arrows are free to craft
-                scale: 0.5,
-                model: null,
-                isEquipment: true // Flag to indicate this is equipment, not a placeable item
-            }
-        ];
+        // Recipes come from the JSON files in src/recipes
+        this.recipeRegistry = new RecipeRegistry();
+        this.craftableItems = this.recipeRegistry.getAll();
 
         // Load models
         this.loadModels();
@@ -78,8 +49,18 @@ class CraftingSystem {
             console.log(`Retrying model loading (attempt ${retryCount} of ${maxRetries})`);
         }
 
+        // Recipes without a model file build theirs in code
+        this.craftableItems.filter(item => item.proceduralModel).forEach(item => {
+            const createModel = PROCEDURAL_MODELS[item.proceduralModel];
+            if (createModel) {
+                item.model = createModel();
+            } else {
+                console.error(`Unknown procedural model for ${item.name}: ${item.proceduralModel}`);
+            }
+        });
+
         // Create a promise for each model to load
-        this.craftableItems.forEach(item => {
+        this.craftableItems.filter(item => item.modelPath).forEach(item => {
             const promise = new Promise((resolve, reject) => {
                 loader.load(item.modelPath,
                     // onLoad callback
@@ -150,8 +131,21 @@ class CraftingSystem {
         // Clear existing items
         craftingItemsContainer.innerHTML = '';
 
-        // Add each craftable item to the menu
+        // Add each craftable item to the menu, grouped under category headings
+        let currentCategory = null;
         this.craftableItems.forEach(item => {
+            if (item.category !== currentCategory) {
+                currentCategory = item.category;
+
+                const categoryElement = document.createElement('div');
+                categoryElement.textContent = currentCategory.charAt(0).toUpperCase() + currentCategory.slice(1);
+                categoryElement.style.margin = '8px 0 4px';
+                categoryElement.style.fontSize = '12px';
+                categoryElement.style.textTransform = 'uppercase';
+                categoryElement.style.opacity = '0.7';
+                craftingItemsContainer.appendChild(categoryElement);
+            }
+
             const itemElement = document.createElement('div');
             itemElement.className = 'crafting-item';
             itemElement.dataset.name = item.name;
@@ -163,7 +157,7 @@ class CraftingSystem {
             const requirementsElement = document.createElement('div');
             requirementsElement.className = 'crafting-item-requirements';
 
-            const reqText = Object.entries(item.requirements)
+            const reqText = Object.entries(item.ingredients)
                 .map(([resource, amount]) => `${resource}: ${amount}`)
                 .join(', ');
 
@@ -238,6 +232,24 @@ class CraftingSystem {
         }
     }
 
+    // Use up a recipe's ingredients, all at once or not at all. Returns the inventory's
+    // result so callers can tell the player what's missing
+    consumeIngredients(item) {
+        return this.inventory.removeItems(item.ingredients);
+    }
+
+    // Show what's missing for a recipe on the interaction prompt
+    showMissingIngredients(item, missing) {
+        const promptElement = document.getElementById('interaction-prompt');
+        promptElement.textContent = `Can't craft ${item.name}, missing ${describeItems(missing)}`;
+        promptElement.style.display = 'block';
+    }
+
+    giveCraftedItem(item) {
+        this.inventory.addItem(item.output.item, item.output.count);
+        console.log(`Added ${item.output.count} ${item.name} to inventory`);
+    }
+
     craftEquipmentItem(item) {
         console.log(`Crafting equipment item: ${item.name}`);
 
@@ -245,41 +257,46 @@ class CraftingSystem {
             // Check if we have the required resources
             if (!this.canCraft(item)) {
                 console.log(`Cannot craft ${item.name} - missing resources`);
-                return;
-            }
-
-            // Consume resources
-            for (const [resource, amount] of Object.entries(item.requirements)) {
-                // Remove the required amount at once
-                this.inventory.removeItem(resource, amount);
+                return false;
             }
 
-            // Add to inventory
-            const itemType = item.name.toLowerCase();
-
-            // If crafting arrows, add 20 at a time
-            if (itemType === 'arrow') {
-                this.inventory.addItem(itemType, 20);
-                console.log(`Added 20 ${item.name}s to inventory`);
-            } else {
-                this.inventory.addItem(itemType);
-                console.log(`Added ${item.name} to inventory`);
+            const result = this.consumeIngredients(item);
+            if (!result.success) {
+                this.showMissingIngredients(item, result.missing);
+                return false;
             }
+            this.giveCraftedItem(item);
 
             // Close the crafting menu
             this.closeMenu();
 
-            // Automatically equip bow when crafted
-            if (itemType === 'bow' && window.equipWeapon) {
-                window.equipWeapon('bow');
-            }
+            // Post-craft hooks, e.g. equipping the bow
+            this.recipeRegistry.runHooks(item, 'onCraft', this.inventory);
 
             console.log(`Successfully crafted ${item.name}`);
+            return true;
         } catch (error) {
             console.error(`Error crafting ${item.name}:`, error);
+            return false;
         }
     }
 
+    // Craft a recipe by name without the menu, e.g. the axe shortcut
+    craftRecipe(name) {
+        const item = this.recipeRegistry.get(name);
+        if (!item || item.placeable) {
+            console.error(`${name} can't be crafted directly`);
+            return false;
+        }
+
+        return this.craftEquipmentItem(item);
+    }
+
+    canCraftRecipe(name) {
+        const item = this.recipeRegistry.get(name);
+        return !!item && this.canCraft(item);
+    }
+
     updateItemAvailability() {
         const items = document.querySelectorAll('.crafting-item');
 
@@ -297,7 +314,7 @@ class CraftingSystem {
 
             // Reset requirements text if it was showing loading
             if (itemElement.querySelector('.crafting-item-requirements').textContent === 'Loading model...') {
-                const reqText = Object.entries(item.requirements)
+                const reqText = Object.entries(item.ingredients)
                     .map(([resource, amount]) => `${resource}: ${amount}`)
                     .join(', ');
                 itemElement.querySelector('.crafting-item-requirements').textContent = `Requires: ${reqText}`;
@@ -315,18 +332,18 @@ class CraftingSystem {
     }
 
     canCraft(item) {
-        // First check if models are loaded
-        if (!this.modelsLoaded) {
+        // First check if the recipe's model is loaded
+        if (item.modelPath && !item.model) {
             return false;
         }
 
-        // Check if player has required resources
-        for (const [resource, amount] of Object.entries(item.requirements)) {
-            if (this.inventory.getItemCount(resource) < amount) {
-                return false;
-            }
+        // Some recipes can only be made some of the time, e.g. a backpack while there are rows left to unlock
+        if (!this.recipeRegistry.meetsConditions(item, this.inventory)) {
+            return false;
         }
-        return true;
+
+        // Check if player has required resources
+        return this.inventory.hasItems(item.ingredients);
     }
 
     // Method to manually reload models if needed
@@ -356,8 +373,8 @@ class CraftingSystem {
             return;
         }
 
-        // Check if model is available
-        if (!item.model) {
+        // Check if model is available, only placed items and items with a model file need one
+        if ((item.modelPath || item.placeable) && !item.model) {
             console.error(`Model for ${itemName} is not loaded properly`);
             alert(`Error: Model for ${itemName} failed to load. Please try refreshing the page.`);
             return;
@@ -384,7 +401,7 @@ class CraftingSystem {
         this.selectedItem = item;
 
         // For equipment items (bow, arrow), craft immediately
-        if (item.isEquipment) {
+        if (item.equipment) {
             console.log(`${item.name} is equipment, crafting immediately`);
             this.craftEquipmentItem(item); // Use special method for equipment
             return;
@@ -414,7 +431,7 @@ class CraftingSystem {
         this.isCrafting = true;
 
         // For equipment items (bow, arrow), skip blueprint and just craft immediately
-        if (this.selectedItem.isEquipment) {
+        if (this.selectedItem.equipment) {
             console.log(`${this.selectedItem.name} is equipment, crafting immediately`);
             // Show crafting instructions
             const promptElement = document.getElementById('interaction-prompt');
@@ -505,25 +522,17 @@ class CraftingSystem {
         }
 
         try {
-            // Consume resources
-            for (const [resource, amount] of Object.entries(this.selectedItem.requirements)) {
-                // Remove the required amount at once
-                this.inventory.removeItem(resource, amount);
+            // Consume resources, the player may have dropped some since picking the recipe
+            const result = this.consumeIngredients(this.selectedItem);
+            if (!result.success) {
+                this.showMissingIngredients(this.selectedItem, result.missing);
+                return;
             }
 
-            // Check if this is equipment (bow or arrow)
-            if (this.selectedItem.isEquipment) {
-                // Add to inventory instead of placing in the world
-                const itemType = this.selectedItem.name.toLowerCase();
-
-                // If crafting arrows, add 20 at a time
-                if (itemType === 'arrow') {
-                    this.inventory.addItem(itemType, 20);
-                    console.log(`Added 20 ${this.selectedItem.name}s to inventory`);
-                } else {
-                    this.inventory.addItem(itemType);
-                    console.log(`Added ${this.selectedItem.name} to inventory`);
-                }
+            // Equipment goes into the inventory instead of being placed in the world
+            if (this.selectedItem.equipment) {
+                const item = this.selectedItem;
+                this.giveCraftedItem(item);
 
                 // Clean up blueprint if it exists
                 if (this.currentBlueprint) {
@@ -532,17 +541,14 @@ class CraftingSystem {
                 }
 
                 this.isCrafting = false;
-                const craftedItem = this.selectedItem.name.toLowerCase();
                 this.selectedItem = null;
 
                 // Hide prompt
                 const promptElement = document.getElementById('interaction-prompt');
                 promptElement.style.display = 'none';
 
-                // Automatically equip bow when crafted
-                if (craftedItem === 'bow' && window.equipWeapon) {
-                    window.equipWeapon('bow');
-                }
+                // Post-craft hooks, e.g. equipping the bow
+                this.recipeRegistry.runHooks(item, 'onCraft', this.inventory);
 
                 return;
             }
@@ -554,41 +560,11 @@ class CraftingSystem {
             }
 
             // Create permanent object
-            const placedObject = this.selectedItem.model.clone();
-            placedObject.position.copy(this.currentBlueprint.position);
-            placedObject.rotation.copy(this.currentBlueprint.rotation);
-
-            // Ensure the scale is set correctly (in case it wasn't preserved in the clone)
-            if (this.selectedItem.scale) {
-                placedObject.scale.set(
-                    this.selectedItem.scale,
-                    this.selectedItem.scale,
-                    this.selectedItem.scale
-                );
-                console.log(`Ensured placed ${this.selectedItem.name} has scale ${this.selectedItem.scale}`);
-            }
-
-            // Set user data for interaction
-            placedObject.userData.type = this.selectedItem.name.toLowerCase();
-
-            // Add additional properties for bonfire
-            if (placedObject.userData.type === 'bonfire') {
-                placedObject.userData.isLit = false; // Start as unlit
-                placedObject.userData.fireParticles = null; // Will hold fire particles when lit
-                console.log('Created unlit bonfire');
-            }
-
-            // Add to scene
-            this.scene.add(placedObject);
-            console.log('Added permanent object to scene');
-
-            // Add to interactable objects if it's a bonfire
-            if (placedObject.userData.type === 'bonfire') {
-                if (window.interactableObjects) {
-                    window.interactableObjects.push(placedObject);
-                    console.log('Added bonfire to interactable objects');
-                }
-            }
+            const placedObject = this.spawnPlacedItem(
+                this.selectedItem,
+                this.currentBlueprint.position,
+                this.currentBlueprint.rotation
+            );
 
             // Clean up blueprint
             this.scene.remove(this.currentBlueprint);
@@ -608,6 +584,97 @@ class CraftingSystem {
         }
     }
 
+    // Create a crafted item in the world and register it for interaction
+    spawnPlacedItem(item, position, rotation) {
+        const placedObject = item.model.clone();
+        placedObject.position.copy(position);
+        placedObject.rotation.copy(rotation);
+
+        // Ensure the scale is set correctly (in case it wasn't preserved in the clone)
+        if (item.scale) {
+            placedObject.scale.set(item.scale, item.scale, item.scale);
+            console.log(`Ensured placed ${item.name} has scale ${item.scale}`);
+        }
+
+        // Set user data for interaction
+        placedObject.userData.type = item.output.item;
+
+        // Post-place hooks, e.g. bonfires starting unlit
+        this.recipeRegistry.runHooks(item, 'onPlace', placedObject);
+
+        // Add to scene
+        this.scene.add(placedObject);
+        this.placedItems.push(placedObject);
+        console.log('Added permanent object to scene');
+
+        // Add to interactable objects if the player can use it
+        if (item.interactable && window.interactableObjects) {
+            window.interactableObjects.push(placedObject);
+            console.log(`Added ${item.name} to interactable objects`);
+        }
+
+        return placedObject;
+    }
+
+    // Remove every placed crafted item from the world
+    clearPlacedItems() {
+        for (const placedObject of this.placedItems) {
+            this.scene.remove(placedObject);
+
+            if (window.interactableObjects) {
+                const index = window.interactableObjects.indexOf(placedObject);
+                if (index > -1) {
+                    window.interactableObjects.splice(index, 1);
+                }
+            }
+        }
+        this.placedItems = [];
+    }
+
+    // Serialize placed crafted items for saving
+    serialize() {
+        return {
+            items: this.placedItems.map(placedObject => ({
+                name: this.recipeRegistry.getByOutput(placedObject.userData.type).name,
+                position: placedObject.position.toArray(),
+                rotation: [placedObject.rotation.x, placedObject.rotation.y, placedObject.rotation.z],
+                isLit: !!placedObject.userData.isLit,
+                fuel: placedObject.userData.fuel || 0
+            }))
+        };
+    }
+
+    // Restore placed crafted items from saved data. Waits for the models
+    // because a save may be loaded before they finish downloading
+    async deserialize(data) {
+        if (!this.modelsLoaded) {
+            await Promise.all(this.modelLoadingPromises);
+        }
+
+        this.clearPlacedItems();
+
+        for (const itemData of data.items || []) {
+            const item = this.recipeRegistry.get(itemData.name);
+            if (!item || !item.model) {
+                console.warn(`Skipping unknown crafted item in save: ${itemData.name}`);
+                continue;
+            }
+
+            const placedObject = this.spawnPlacedItem(
+                item,
+                new THREE.Vector3().fromArray(itemData.position),
+                new THREE.Euler().fromArray(itemData.rotation)
+            );
+
+            if (itemData.isLit) {
+                // Saves from before fuel existed get the starting fuel
+                lightBonfire(placedObject, itemData.fuel || undefined);
+            }
+        }
+
+        console.log(`Loaded ${this.placedItems.length} placed items`);
+    }
+
     cancelPlacement() {
         console.log('Cancelling placement');
         if (!this.isCrafting) {
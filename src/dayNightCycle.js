@@ -126,6 +126,40 @@ export class DayNightCycle {
         }
     }
 
+    // Get how far into the cycle we are, in milliseconds since the cycle started
+    getElapsedTime() {
+        const now = this.isPaused ? this.pauseTime : Date.now();
+        return now - this.cycleStartTime;
+    }
+
+    // Get the current day number, starting at day 1
+    getDayNumber() {
+        const totalCycleDuration = this.dayDuration + this.nightDuration;
+        return Math.floor(this.getElapsedTime() / totalCycleDuration) + 1;
+    }
+
+    // Serialize the current time of day for saving
+    serialize() {
+        return {
+            elapsed: this.getElapsedTime()
+        };
+    }
+
+    // Restore the time of day from saved data
+    deserialize(data) {
+        const now = Date.now();
+        this.cycleStartTime = now - (data.elapsed || 0);
+        if (this.isPaused) {
+            this.pauseTime = now;
+        }
+
+        // Apply the sky for the restored time immediately
+        const wasPaused = this.isPaused;
+        this.isPaused = false;
+        this.update(0);
+        this.isPaused = wasPaused;
+    }
+
     // Update the cycle
     update(deltaTime) {
         if (this.isPaused) return;
@@ -4,6 +4,7 @@ export class DayNightHUD {
         this.element = null;
         this.sunElement = null;
         this.moonElement = null;
+        this.seedElement = null;
         this.isInitialized = false;
     }
 
@@ -82,9 +83,30 @@ export class DayNightHUD {
         // Add to the document
         document.body.appendChild(this.element);
 
+        // Create the world seed label below the dial so bug reports can include it
+        this.seedElement = document.createElement('div');
+        this.seedElement.id = 'world-seed-hud';
+        this.seedElement.style.position = 'fixed';
+        this.seedElement.style.bottom = '8px';
+        this.seedElement.style.right = '30px';
+        this.seedElement.style.width = '104px';
+        this.seedElement.style.textAlign = 'center';
+        this.seedElement.style.color = 'rgba(255, 255, 255, 0.7)';
+        this.seedElement.style.fontSize = '10px';
+        this.seedElement.style.fontFamily = 'Arial, sans-serif';
+        this.seedElement.style.zIndex = '100';
+        document.body.appendChild(this.seedElement);
+
         this.isInitialized = true;
     }
 
+    // Show the world seed under the dial
+    setSeed(seed) {
+        if (this.seedElement) {
+            this.seedElement.textContent = `Seed: ${seed}`;
+        }
+    }
+
     update() {
         if (!this.isInitialized || !this.dayNightCycle) return;
 
@@ -146,6 +168,9 @@ export class DayNightHUD {
         if (this.element && this.element.parentNode) {
             this.element.parentNode.removeChild(this.element);
         }
+        if (this.seedElement && this.seedElement.parentNode) {
+            this.seedElement.parentNode.removeChild(this.seedElement);
+        }
         this.isInitialized = false;
     }
 }
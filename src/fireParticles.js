@@ -115,6 +115,13 @@ export function createFireParticles(bonfire) {
         fireGroup.add(smoke);
     }
 
+    // Warm light from the flames
+    const light = new THREE.PointLight(0xff7722, 1.5, 10);
+    light.position.set(0, 0.5, 0);
+    fireGroup.add(light);
+    fireGroup.userData.light = light;
+    fireGroup.userData.baseLightIntensity = light.intensity;
+
     // Add the fire group to the bonfire
     bonfire.add(fireGroup);
 
@@ -134,6 +141,9 @@ export function updateFireParticles(fireGroup, deltaTime) {
 
     // Update each particle in the fire group
     fireGroup.children.forEach((particle, index) => {
+        // The light isn't a particle
+        if (particle.isLight) return;
+
         // Apply velocity
         particle.position.add(particle.userData.velocity);
 
@@ -216,6 +226,24 @@ export function updateFireParticles(fireGroup, deltaTime) {
     });
 }
 
+/**
+ * Scales the fire particles and light of a bonfire, e.g. as it runs out of fuel
+ * @param {THREE.Object3D} bonfire - The bonfire whose fire to scale
+ * @param {number} intensity - 0 for an almost dead fire, 1 for a full fire
+ */
+export function setFireIntensity(bonfire, intensity) {
+    const fireGroup = bonfire && bonfire.userData.fireParticles;
+    if (!fireGroup) return;
+
+    // Never shrink all the way, so a dying fire still shows a few flames
+    const scale = 0.3 + intensity * 0.7;
+    fireGroup.scale.set(scale, scale, scale);
+
+    if (fireGroup.userData.light) {
+        fireGroup.userData.light.intensity = fireGroup.userData.baseLightIntensity * intensity;
+    }
+}
+
 /**
  * Removes fire particles from a bonfire
  * @param {THREE.Object3D} bonfire - The bonfire to remove particles from
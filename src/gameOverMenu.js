@@ -3,10 +3,15 @@ export class GameOverMenu {
         this.menuElement = null;
         this.isVisible = false;
         this.onRestartCallback = null;
+        this.onLoadAutosaveCallback = null;
+        this.loadAutosaveButton = null;
+        this.messageElement = null;
+        this.defaultMessage = 'You have been abducted and brutally dismembered by aliens!';
     }
 
-    initialize(onRestartCallback) {
+    initialize(onRestartCallback, onLoadAutosaveCallback = null) {
         this.onRestartCallback = onRestartCallback;
+        this.onLoadAutosaveCallback = onLoadAutosaveCallback;
 
         // Create the menu element if it doesn't exist
         if (!this.menuElement) {
@@ -57,12 +62,13 @@ export class GameOverMenu {
 
         // Create the message
         const message = document.createElement('p');
-        message.textContent = 'You have been abducted and brutally dismembered by aliens!';
+        message.textContent = this.defaultMessage;
         message.style.fontSize = '1.5rem';
         message.style.marginBottom = '3rem';
         message.style.color = '#ff9999';
         message.style.maxWidth = '80%';
         message.style.textAlign = 'center';
+        this.messageElement = message;
 
         // Add a gory subtitle
         const subtitle = document.createElement('p');
@@ -100,18 +106,58 @@ export class GameOverMenu {
             }
         });
 
+        // Create the load autosave button
+        this.loadAutosaveButton = document.createElement('button');
+        this.loadAutosaveButton.textContent = 'Load last autosave';
+        this.loadAutosaveButton.style.padding = '1rem 2rem';
+        this.loadAutosaveButton.style.fontSize = '1.2rem';
+        this.loadAutosaveButton.style.backgroundColor = '#2196F3';
+        this.loadAutosaveButton.style.color = 'white';
+        this.loadAutosaveButton.style.border = 'none';
+        this.loadAutosaveButton.style.borderRadius = '5px';
+        this.loadAutosaveButton.style.cursor = 'pointer';
+        this.loadAutosaveButton.style.transition = 'background-color 0.3s';
+        this.loadAutosaveButton.style.display = 'none'; // Only shown when an autosave exists
+
+        // Add hover effect
+        this.loadAutosaveButton.addEventListener('mouseover', () => {
+            this.loadAutosaveButton.style.backgroundColor = '#1e88e5';
+        });
+
+        this.loadAutosaveButton.addEventListener('mouseout', () => {
+            this.loadAutosaveButton.style.backgroundColor = '#2196F3';
+        });
+
+        // Add click event
+        this.loadAutosaveButton.addEventListener('click', () => {
+            if (this.onLoadAutosaveCallback) {
+                this.onLoadAutosaveCallback();
+            }
+        });
+
+        // Place the buttons side by side
+        const buttonRow = document.createElement('div');
+        buttonRow.style.display = 'flex';
+        buttonRow.style.gap = '1rem';
+        buttonRow.appendChild(restartButton);
+        buttonRow.appendChild(this.loadAutosaveButton);
+
         // Add elements to the menu
         this.menuElement.appendChild(title);
         this.menuElement.appendChild(message);
         this.menuElement.appendChild(subtitle);
-        this.menuElement.appendChild(restartButton);
+        this.menuElement.appendChild(buttonRow);
 
         // Add the menu to the document
         document.body.appendChild(this.menuElement);
     }
 
-    show() {
+    // Show the menu, the message explains how the player died (abduction by default)
+    show(hasAutosave = false, message = null) {
         if (this.menuElement) {
+            this.messageElement.textContent = message || this.defaultMessage;
+            this.loadAutosaveButton.style.display =
+                hasAutosave && this.onLoadAutosaveCallback ? 'block' : 'none';
             this.menuElement.style.display = 'flex';
             this.isVisible = true;
         }
@@ -2,11 +2,12 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 
 export class GrassSystem {
-    constructor(scene, camera, inventory, interactableObjects) {
+    constructor(scene, camera, inventory, interactableObjects, terrain = null) {
         this.scene = scene;
         this.camera = camera;
         this.inventory = inventory;
         this.interactableObjects = interactableObjects;
+        this.terrain = terrain; // Used to place grass on the ground
         this.grassModel = null;
         this.grassInstances = [];
         this.isCrafting = false;
@@ -34,22 +35,21 @@ export class GrassSystem {
 
             console.log('Grass model loaded successfully');
 
-            // Add grass to the world once the model is loaded
-            this.addGrassToWorld();
+            // Grass is added chunk by chunk by the chunk system once the model is loaded
         }, undefined, (error) => {
             console.error('Error loading grass model:', error);
         });
     }
 
-    addGrassToWorld(count = 50, worldSize = 80) {
+    // Create grass patches for one square area of the world without adding them to the scene
+    createGrassInArea(minX, minZ, size, random, count = 8) {
         if (!this.grassModel) {
             console.error('Grass model not loaded yet');
-            return;
+            return [];
         }
 
-        const worldHalfSize = worldSize / 2;
         const minDistance = 3; // Minimum distance between grass patches
-        const positions = [];
+        const grassPatches = [];
 
         // Generate random positions for grass
         for (let i = 0; i < count; i++) {
@@ -59,18 +59,23 @@ export class GrassSystem {
 
             // Try to find a position that's not too close to other grass
             while (tooClose && attempts < 50) {
-                x = Math.random() * worldSize - worldHalfSize;
-                z = Math.random() * worldSize - worldHalfSize;
+                x = minX + random.next() * size;
+                z = minZ + random.next() * size;
 
-                tooClose = positions.some(pos => {
-                    const dx = pos.x - x;
-                    const dz = pos.z - z;
+                tooClose = grassPatches.some(grass => {
+                    const dx = grass.position.x - x;
+                    const dz = grass.position.z - z;
                     return Math.sqrt(dx * dx + dz * dz) < minDistance;
                 });
 
                 attempts++;
             }
 
+            // Grass doesn't grow under water
+            if (this.terrain && this.terrain.isUnderWater(x, z)) {
+                continue;
+            }
+
             if (attempts < 50) {
                 // Create a new grass instance
                 const grass = this.grassModel.clone();
@@ -78,25 +83,31 @@ export class GrassSystem {
                 // Scale the grass appropriately
                 grass.scale.set(0.03, 0.03, 0.03);
 
-                // Position the grass
-                grass.position.set(x, 0, z);
+                // Position the grass on the ground
+                const y = this.terrain ? this.terrain.getHeightAt(x, z) : 0;
+                grass.position.set(x, y, z);
 
                 // Set grass data
                 grass.userData.type = 'grass';
 
-                // Add to scene and tracking arrays
-                this.scene.add(grass);
-                this.interactableObjects.push(grass);
-                this.grassInstances.push(grass);
+                grassPatches.push(grass);
+            }
+        }
 
-                // Store position for collision detection
-                positions.push(new THREE.Vector3(x, 0, z));
+        return grassPatches;
+    }
 
-                console.log(`Grass added at position (${x.toFixed(2)}, ${z.toFixed(2)})`);
-            }
+    // Stop tracking a grass patch that was removed from the world
+    removeGrassInstance(grass) {
+        const index = this.grassInstances.indexOf(grass);
+        if (index > -1) {
+            this.grassInstances.splice(index, 1);
         }
 
-        console.log(`Added ${this.grassInstances.length} grass patches to the world`);
+        // Stop crafting if the patch being used was unloaded
+        if (this.craftingGrass === grass) {
+            this.cancelCrafting();
+        }
     }
 
     // Check if player is looking at grass and close enough
@@ -0,0 +1,201 @@
+import * as THREE from 'three';
+import { FOOD_NUTRITION } from './cookingSystem.js';
+
+// Colours of the food held in first person
+const FOOD_COLORS = {
+    'raw meat': 0xb03a3a,
+    'cooked meat': 0x7a4a24,
+    'burnt meat': 0x2b1d14
+};
+
+// What happens for each item type held in the active hotbar slot. Every entry shows and hides
+// its first-person model and declares its primary (Space) and secondary (right mouse) actions,
+// a missing action does nothing. The game object passed in is set up in main.js
+export const HELD_ITEMS = {
+    axe: {
+        equip: (game) => game.showAxe(),
+        unequip: (game) => game.hideAxe(),
+        primary: (game) => game.swingAxe() // Chop the tree in front of the player
+    },
+
+    bow: {
+        equip: (game) => game.bowAndArrowSystem.equipBow(),
+        unequip: (game, system) => {
+            system.setAiming(false);
+            game.bowAndArrowSystem.unequipBow();
+        },
+        primary: (game) => game.bowAndArrowSystem.shootArrow(),
+        secondary: (game, system) => system.setAiming(!system.isAiming) // Zoom in to aim
+    },
+
+    torch: {
+        equip: (game, system) => system.showModel(system.createTorchMesh()),
+        unequip: (game, system) => system.hideModel(),
+        primary: (game) => game.lightBonfire() // Light the bonfire in front of the player
+    },
+
+    flare: {
+        equip: (game, system) => system.showModel(system.createFlareMesh()),
+        unequip: (game, system) => system.hideModel(),
+        primary: (game) => game.lightFlare() // Drop a lit flare that blinds the UFO's beam
+    }
+};
+
+// Every food can be held and eaten
+for (const food of Object.keys(FOOD_NUTRITION)) {
+    HELD_ITEMS[food] = {
+        equip: (game, system) => system.showModel(system.createFoodMesh(food)),
+        unequip: (game, system) => system.hideModel(),
+        primary: (game) => game.eat(food)
+    };
+}
+
+export class HeldItemSystem {
+    constructor(game) {
+        this.game = game;
+        this.camera = game.camera;
+        this.inventory = game.inventory;
+        this.heldType = null; // Type of the item currently held, null for empty hands
+        this.heldModel = null; // First-person model for items without their own system
+        this.isAiming = false;
+        this.normalFov = this.camera.fov;
+        this.aimFov = 45;
+    }
+
+    // Keep what's held in sync with the active hotbar slot
+    update() {
+        const selected = this.inventory.getSelectedItem();
+        const type = selected && HELD_ITEMS[selected.type] ? selected.type : null;
+
+        if (type !== this.heldType) {
+            this.hold(type);
+        }
+    }
+
+    hold(type) {
+        if (this.heldType) {
+            this.runAction(this.heldType, 'unequip');
+        }
+
+        this.heldType = type;
+
+        if (type) {
+            this.runAction(type, 'equip');
+        }
+
+        console.log(`Holding ${type || 'nothing'}`);
+    }
+
+    runAction(type, action) {
+        const definition = HELD_ITEMS[type];
+        if (definition && definition[action]) {
+            definition[action](this.game, this);
+            return true;
+        }
+        return false;
+    }
+
+    usePrimary() {
+        return this.heldType ? this.runAction(this.heldType, 'primary') : false;
+    }
+
+    useSecondary() {
+        return this.heldType ? this.runAction(this.heldType, 'secondary') : false;
+    }
+
+    // Scroll through the hotbar slots
+    cycleSlot(direction) {
+        this.inventory.selectSlot(this.inventory.selectedSlot + direction);
+        this.update();
+    }
+
+    selectSlot(index) {
+        if (index < 0 || index >= this.inventory.hotbarSize) return;
+
+        this.inventory.selectSlot(index);
+        this.update();
+    }
+
+    // Hold an item, moving it into the active hotbar slot if it isn't on the hotbar
+    selectItem(itemType) {
+        const slots = this.inventory.slots;
+        let index = slots.findIndex((slot, i) => i < this.inventory.hotbarSize && slot?.type === itemType);
+
+        if (index === -1) {
+            index = slots.findIndex(slot => slot?.type === itemType);
+            if (index === -1) return false;
+
+            this.inventory.moveSlot(index, this.inventory.selectedSlot);
+            index = this.inventory.selectedSlot;
+        }
+
+        this.selectSlot(index);
+        return true;
+    }
+
+    setAiming(aiming) {
+        this.isAiming = aiming;
+        this.camera.fov = aiming ? this.aimFov : this.normalFov;
+        this.camera.updateProjectionMatrix();
+    }
+
+    showModel(model) {
+        this.hideModel();
+        this.heldModel = model;
+        this.camera.add(model);
+    }
+
+    hideModel() {
+        if (this.heldModel) {
+            this.camera.remove(this.heldModel);
+            this.heldModel = null;
+        }
+    }
+
+    // A stick with a flame on top that lights up the area around the player
+    createTorchMesh() {
+        const torch = new THREE.Group();
+
+        const handle = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.02, 0.025, 0.5, 8),
+            new THREE.MeshStandardMaterial({ color: 0x5c3a1e, roughness: 0.9 })
+        );
+        torch.add(handle);
+
+        const flame = new THREE.Mesh(
+            new THREE.ConeGeometry(0.05, 0.12, 8),
+            new THREE.MeshBasicMaterial({ color: 0xffa040 })
+        );
+        flame.position.y = 0.31;
+        torch.add(flame);
+
+        const light = new THREE.PointLight(0xffaa55, 1.2, 12);
+        light.position.y = 0.35;
+        torch.add(light);
+
+        torch.position.set(0.35, -0.3, -0.6);
+        torch.rotation.z = -0.2;
+        return torch;
+    }
+
+    // An unlit red flare stick
+    createFlareMesh() {
+        const flare = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.025, 0.025, 0.3, 8),
+            new THREE.MeshStandardMaterial({ color: 0xaa2222, roughness: 0.7 })
+        );
+        flare.position.set(0.35, -0.3, -0.6);
+        flare.rotation.z = -0.2;
+        return flare;
+    }
+
+    createFoodMesh(food) {
+        const mesh = new THREE.Mesh(
+            new THREE.SphereGeometry(0.08, 8, 6),
+            new THREE.MeshStandardMaterial({ color: FOOD_COLORS[food] || 0x996633, roughness: 0.8 })
+        );
+        mesh.scale.set(1.4, 0.8, 1);
+        mesh.position.set(0.3, -0.25, -0.5);
+        return mesh;
+    }
+}
@@ -1,7 +1,18 @@
+import { renderSlotContents } from './itemIcons.js';
+import { MAX_DURABILITY } from './toolDurability.js';
+
 export class Inventory {
     constructor() {
-        this.slots = new Array(5).fill(null);
+        // The first row of slots is the hotbar shown at the bottom of the screen,
+        // the rest is the backpack grid shown in the inventory window
+        this.hotbarSize = 5;
+        this.backpackColumns = 5;
+        this.backpackRows = 2; // Rows unlocked so far, crafting a backpack unlocks more
+        this.maxBackpackRows = 4;
+        this.selectedSlot = 0; // The active hotbar slot, its item is held in first person
+        this.slots = new Array(this.getSlotCount()).fill(null);
         this.slotElements = Array.from(document.getElementsByClassName('inventory-slot'));
+        this.onChange = null; // Called after every change so the inventory window can redraw
         this.unlimitedLogs = false; // Flag for unlimited logs cheat
         this.stackSizes = {
             'log': 999, // Logs can stack up to 999
@@ -10,10 +21,113 @@ export class Inventory {
             'axe': 1, // Axes don't stack
             'bow': 1, // Bows don't stack
             'arrow': 999, // Arrows can stack up to 999
-            'string': 999 // String can stack up to 999
+            'fire arrow': 999, // Fire arrows can stack up to 999
+            'flare': 20, // Flares can stack up to 20
+            'string': 999, // String can stack up to 999
+            'raw meat': 20, // Raw meat can stack up to 20
+            'cooked meat': 20, // Cooked meat can stack up to 20
+            'burnt meat': 20, // Burnt meat can stack up to 20
+            'hide': 50, // Hides can stack up to 50
+            'alien alloy': 999, // Alien alloy can stack up to 999
+            'backpack': 1, // Backpacks don't stack
+            'torch': 1 // Torches don't stack
         };
     }
 
+    // Total number of usable slots, the hotbar plus the unlocked backpack rows
+    getSlotCount() {
+        return this.hotbarSize + this.backpackColumns * this.backpackRows;
+    }
+
+    // Choose the active hotbar slot, wrapping around at either end
+    selectSlot(index) {
+        this.selectedSlot = ((index % this.hotbarSize) + this.hotbarSize) % this.hotbarSize;
+        this.updateUI();
+    }
+
+    // Get the item in the active hotbar slot
+    getSelectedItem() {
+        return this.slots[this.selectedSlot] || null;
+    }
+
+    // Unlock more backpack rows, returns false if the backpack is already as big as it gets
+    unlockRows(rows) {
+        if (this.backpackRows >= this.maxBackpackRows) {
+            return false;
+        }
+
+        this.backpackRows = Math.min(this.maxBackpackRows, this.backpackRows + rows);
+        while (this.slots.length < this.getSlotCount()) {
+            this.slots.push(null);
+        }
+
+        console.log(`Backpack now has ${this.backpackRows} rows`);
+        this.updateUI();
+        return true;
+    }
+
+    // Move the stack in one slot to another, merging matching stacks or swapping otherwise
+    moveSlot(fromIndex, toIndex) {
+        if (fromIndex === toIndex) return false;
+
+        const from = this.slots[fromIndex];
+        const to = this.slots[toIndex];
+        if (!from || toIndex < 0 || toIndex >= this.slots.length) return false;
+
+        const maxStack = this.stackSizes[from.type] || 1;
+        if (to && to.type === from.type && maxStack > 1 && to.quantity < maxStack) {
+            const amountToMove = Math.min(maxStack - to.quantity, from.quantity);
+            to.quantity += amountToMove;
+            from.quantity -= amountToMove;
+            if (from.quantity <= 0) {
+                this.slots[fromIndex] = null;
+            }
+            console.log(`Merged ${amountToMove} ${from.type} from slot ${fromIndex} into slot ${toIndex}`);
+        } else {
+            this.slots[fromIndex] = to;
+            this.slots[toIndex] = from;
+            console.log(`Swapped slot ${fromIndex} with slot ${toIndex}`);
+        }
+
+        this.updateUI();
+        return true;
+    }
+
+    // Split half of a stack into the first empty slot
+    splitStack(index) {
+        const item = this.slots[index];
+        if (!item || item.quantity < 2) return false;
+
+        const emptySlot = this.slots.findIndex(slot => slot === null);
+        if (emptySlot === -1) {
+            console.log('No empty slot to split the stack into');
+            return false;
+        }
+
+        const half = Math.floor(item.quantity / 2);
+        item.quantity -= half;
+        this.slots[emptySlot] = new Item(item.type, half);
+        console.log(`Split ${half} ${item.type} from slot ${index} into slot ${emptySlot}`);
+
+        this.updateUI();
+        return true;
+    }
+
+    // Take items out of one slot, returns the removed items or null if the slot is empty
+    removeFromSlot(index, count = Infinity) {
+        const item = this.slots[index];
+        if (!item) return null;
+
+        const amount = Math.min(count, item.quantity);
+        item.quantity -= amount;
+        if (item.quantity <= 0) {
+            this.slots[index] = null;
+        }
+
+        this.updateUI();
+        return new Item(item.type, amount, item.metadata);
+    }
+
     addItem(item, count = 1) {
         // If item is a string, convert it to an Item object
         const itemType = typeof item === 'string' ? item : item.type;
@@ -78,7 +192,8 @@ export class Inventory {
             for (let i = 0; i < itemQuantity; i++) {
                 const emptySlot = this.slots.findIndex(slot => slot === null);
                 if (emptySlot !== -1) {
-                    this.slots[emptySlot] = new Item(itemType, 1);
+                    // Keep the durability of tools being put back, e.g. picked up from the ground
+                    this.slots[emptySlot] = new Item(itemType, 1, typeof item === 'string' ? {} : item.metadata);
                     added++;
                     console.log(`Added non-stacking item to slot ${emptySlot}, ${added}/${itemQuantity}`);
                 } else {
@@ -92,35 +207,85 @@ export class Inventory {
         }
     }
 
-    removeItem(itemType, count = 1) {
-        // If unlimited logs is enabled and we're removing logs, pretend it worked
-        if (this.unlimitedLogs && itemType === 'log') {
-            return true;
+    // Find what's missing to cover a set of requirements, e.g. { log: 4, rock: 4 }.
+    // Returns the shortfall of each item type, an empty object means everything is there
+    getMissingItems(requirements) {
+        const missing = {};
+
+        for (const [itemType, count] of Object.entries(requirements)) {
+            const have = this.getItemCount(itemType);
+            if (have < count) {
+                missing[itemType] = count - have;
+            }
         }
 
-        const itemSlot = this.slots.findIndex(slot => slot?.type === itemType);
-        if (itemSlot !== -1) {
-            // If the item has a quantity greater than 1, just reduce the quantity
-            if (this.slots[itemSlot].quantity > count) {
-                this.slots[itemSlot].quantity -= count;
-            } else {
-                // Otherwise remove the item completely
-                this.slots[itemSlot] = null;
+        return missing;
+    }
+
+    // Take exact amounts of several items, spread over as many stacks as needed. Either
+    // everything is taken or nothing is, the result lists the shortfall when it fails
+    removeItems(requirements) {
+        const missing = this.getMissingItems(requirements);
+        if (Object.keys(missing).length > 0) {
+            console.log(`Not enough items, missing: ${describeItems(missing)}`);
+            return { success: false, missing };
+        }
+
+        for (const [itemType, count] of Object.entries(requirements)) {
+            // If unlimited logs is enabled and we're removing logs, pretend it worked
+            if (this.unlimitedLogs && itemType === 'log') continue;
+
+            // Take from the last stacks first so the hotbar keeps its items the longest
+            let remaining = count;
+            for (let index = this.slots.length - 1; index >= 0 && remaining > 0; index--) {
+                const slot = this.slots[index];
+                if (slot?.type !== itemType) continue;
+
+                const amount = Math.min(slot.quantity, remaining);
+                slot.quantity -= amount;
+                remaining -= amount;
+
+                if (slot.quantity <= 0) {
+                    this.slots[index] = null;
+                }
             }
-            this.updateUI();
-            return true;
         }
-        return false;
+
+        this.updateUI();
+        return { success: true, missing: {} };
     }
 
-    hasItems(items) {
-        return items.every(itemType => {
-            // If unlimited logs is enabled and we're checking for logs, always return true
-            if (this.unlimitedLogs && itemType === 'log') {
-                return true;
+    removeItem(itemType, count = 1) {
+        return this.removeItems({ [itemType]: count }).success;
+    }
+
+    // Add several items at once, e.g. { 'raw meat': 2, hide: 1 }, filling whatever room there is.
+    // Returns what didn't fit, an empty object means everything was added
+    addItems(items) {
+        // Count the slots directly, the unlimited logs cheat would hide what was added
+        const stored = (itemType) => this.slots.reduce((total, slot) => total + (slot?.type === itemType ? slot.quantity : 0), 0);
+        const leftover = {};
+
+        for (const [itemType, count] of Object.entries(items)) {
+            const before = stored(itemType);
+            this.addItem(itemType, count);
+
+            const added = stored(itemType) - before;
+            if (added < count) {
+                leftover[itemType] = count - added;
             }
-            return this.slots.some(slot => slot?.type === itemType);
-        });
+        }
+
+        return leftover;
+    }
+
+    // Check for items, either a list of types (at least one of each) or exact counts like { log: 4 }
+    hasItems(items) {
+        const requirements = Array.isArray(items)
+            ? Object.fromEntries(items.map(itemType => [itemType, 1]))
+            : items;
+
+        return Object.keys(this.getMissingItems(requirements)).length === 0;
     }
 
     getItemCount(itemType) {
@@ -141,29 +306,69 @@ export class Inventory {
         return count;
     }
 
+    // Serialize inventory slots for saving
+    serialize() {
+        return {
+            backpackRows: this.backpackRows,
+            selectedSlot: this.selectedSlot,
+            slots: this.slots.map(slot => slot ? { type: slot.type, quantity: slot.quantity, metadata: slot.metadata } : null)
+        };
+    }
+
+    // Restore inventory slots from saved data
+    deserialize(data) {
+        // Saves from before the backpack grid only had the hotbar
+        this.backpackRows = data.backpackRows || 2;
+        this.slots = new Array(this.getSlotCount()).fill(null);
+        this.selectedSlot = data.selectedSlot || 0;
+
+        (data.slots || []).forEach((slot, index) => {
+            if (slot && index < this.slots.length) {
+                // Tools from saves before durability existed come back as new
+                this.slots[index] = new Item(slot.type, slot.quantity, slot.metadata || {});
+            }
+        });
+
+        this.updateUI();
+    }
+
     updateUI() {
         console.log('Updating inventory UI');
-        this.slots.forEach((item, index) => {
+        // Only the hotbar has slots on the HUD, the backpack is drawn by the inventory window
+        this.slotElements.forEach((element, index) => {
+            const item = this.slots[index] || null;
+            renderSlotContents(element, item);
+            element.style.borderColor = index === this.selectedSlot ? 'yellow' : 'white';
             if (item) {
-                // For stacked items, show the quantity in the slot
-                this.slotElements[index].textContent = `${item.type} (${item.quantity})`;
                 console.log(`Slot ${index}: ${item.type} (${item.quantity})`);
-            } else {
-                this.slotElements[index].textContent = '';
-                console.log(`Slot ${index}: empty`);
             }
         });
 
+        if (this.onChange) {
+            this.onChange();
+        }
+
         // Log total counts of important resources
         console.log(`Total logs: ${this.getItemCount('log')}`);
         console.log(`Total rocks: ${this.getItemCount('rock')}`);
     }
 }
 
+// Describe a set of items for messages, e.g. "2 log, 1 rock"
+export function describeItems(items) {
+    return Object.entries(items).map(([itemType, count]) => `${count} ${itemType}`).join(', ');
+}
+
 export class Item {
-    constructor(type, quantity = 1) {
+    constructor(type, quantity = 1, metadata = {}) {
         this.type = type;
         this.quantity = quantity;
+        this.metadata = { ...metadata }; // Per-item data such as a tool's durability
+
+        // New tools start at full durability
+        if (MAX_DURABILITY[type] !== undefined && this.metadata.durability === undefined) {
+            this.metadata.durability = MAX_DURABILITY[type];
+        }
         console.log(`Created new Item: ${type} with quantity ${quantity}`);
     }
 }
\ No newline at end of file
@@ -0,0 +1,240 @@
+import { renderSlotContents } from './itemIcons.js';
+
+export class InventoryWindow {
+    constructor(inventory) {
+        this.inventory = inventory;
+        this.overlayElement = null;
+        this.hotbarElement = null;
+        this.backpackElement = null;
+        this.isVisible = false;
+        this.onDropItem = null; // Called with the items dragged out of the window
+    }
+
+    initialize(onDropItem) {
+        this.onDropItem = onDropItem;
+
+        // Create the window element if it doesn't exist
+        if (!this.overlayElement) {
+            this.createWindowElement();
+        }
+
+        // Redraw whenever the inventory changes while the window is open
+        this.inventory.onChange = () => {
+            if (this.isVisible) {
+                this.refresh();
+            }
+        };
+    }
+
+    createWindowElement() {
+        // The overlay covers the screen, dropping an item on it drops it into the world
+        this.overlayElement = document.createElement('div');
+        this.overlayElement.id = 'inventory-window';
+        this.overlayElement.style.position = 'fixed';
+        this.overlayElement.style.top = '0';
+        this.overlayElement.style.left = '0';
+        this.overlayElement.style.width = '100%';
+        this.overlayElement.style.height = '100%';
+        this.overlayElement.style.backgroundColor = 'rgba(0, 0, 0, 0.3)';
+        this.overlayElement.style.zIndex = '900';
+        this.overlayElement.style.display = 'none'; // Hidden by default
+
+        // Keep clicks inside the window from locking the pointer
+        this.overlayElement.addEventListener('click', (event) => {
+            event.stopPropagation();
+        });
+
+        this.overlayElement.addEventListener('dragover', (event) => {
+            event.preventDefault();
+        });
+
+        this.overlayElement.addEventListener('drop', (event) => {
+            event.preventDefault();
+
+            // Only drops outside the panel throw the item away
+            if (event.target !== this.overlayElement) return;
+
+            const index = parseInt(event.dataTransfer.getData('text/plain'), 10);
+            if (isNaN(index)) return;
+
+            const item = this.inventory.removeFromSlot(index);
+            if (item && this.onDropItem) {
+                this.onDropItem(item);
+            }
+        });
+
+        // Create the panel
+        const panel = document.createElement('div');
+        panel.style.position = 'absolute';
+        panel.style.top = '50%';
+        panel.style.left = '50%';
+        panel.style.transform = 'translate(-50%, -50%)';
+        panel.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+        panel.style.border = '2px solid white';
+        panel.style.borderRadius = '10px';
+        panel.style.padding = '20px';
+        panel.style.fontFamily = 'Arial, sans-serif';
+        panel.style.color = 'white';
+        this.overlayElement.appendChild(panel);
+
+        // Create the title
+        const title = document.createElement('h2');
+        title.textContent = 'Inventory';
+        title.style.marginTop = '0';
+        title.style.textAlign = 'center';
+        title.style.borderBottom = '1px solid white';
+        title.style.paddingBottom = '10px';
+        panel.appendChild(title);
+
+        panel.appendChild(this.createSectionLabel('Backpack'));
+        this.backpackElement = this.createGrid(this.inventory.backpackColumns);
+        panel.appendChild(this.backpackElement);
+
+        panel.appendChild(this.createSectionLabel('Hotbar'));
+        this.hotbarElement = this.createGrid(this.inventory.hotbarSize);
+        panel.appendChild(this.hotbarElement);
+
+        // Create the help text
+        const help = document.createElement('div');
+        help.textContent = 'Drag to move items, Shift+Click to split a stack, drag outside to drop';
+        help.style.marginTop = '15px';
+        help.style.fontSize = '12px';
+        help.style.color = '#ccc';
+        help.style.textAlign = 'center';
+        panel.appendChild(help);
+
+        document.body.appendChild(this.overlayElement);
+    }
+
+    createSectionLabel(text) {
+        const label = document.createElement('div');
+        label.textContent = text;
+        label.style.margin = '10px 0 5px 0';
+        label.style.fontSize = '14px';
+        label.style.color = '#ccc';
+        return label;
+    }
+
+    createGrid(columns) {
+        const grid = document.createElement('div');
+        grid.style.display = 'grid';
+        grid.style.gridTemplateColumns = `repeat(${columns}, 50px)`;
+        grid.style.gap = '10px';
+        return grid;
+    }
+
+    createSlotElement(index) {
+        const slot = document.createElement('div');
+        slot.style.width = '50px';
+        slot.style.height = '50px';
+        slot.style.border = '2px solid white';
+        slot.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        slot.style.boxSizing = 'border-box';
+        slot.style.cursor = 'pointer';
+
+        // Highlight the hotbar slot being held
+        if (index === this.inventory.selectedSlot) {
+            slot.style.borderColor = 'yellow';
+        }
+
+        const item = this.inventory.slots[index];
+        renderSlotContents(slot, item);
+
+        if (item) {
+            slot.draggable = true;
+            slot.addEventListener('dragstart', (event) => {
+                event.dataTransfer.setData('text/plain', String(index));
+            });
+        }
+
+        slot.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            slot.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+        });
+
+        slot.addEventListener('dragleave', () => {
+            slot.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        });
+
+        slot.addEventListener('drop', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+
+            const fromIndex = parseInt(event.dataTransfer.getData('text/plain'), 10);
+            if (!isNaN(fromIndex)) {
+                this.inventory.moveSlot(fromIndex, index);
+            }
+        });
+
+        // Shift+Click splits the stack in half
+        slot.addEventListener('click', (event) => {
+            if (event.shiftKey) {
+                this.inventory.splitStack(index);
+            }
+        });
+
+        return slot;
+    }
+
+    // A greyed out slot for backpack rows that haven't been unlocked yet
+    createLockedSlotElement() {
+        const slot = document.createElement('div');
+        slot.style.width = '50px';
+        slot.style.height = '50px';
+        slot.style.border = '2px solid #555';
+        slot.style.backgroundColor = 'rgba(60, 60, 60, 0.5)';
+        slot.style.boxSizing = 'border-box';
+        slot.title = 'Craft a backpack to unlock';
+        return slot;
+    }
+
+    refresh() {
+        if (!this.overlayElement) return;
+
+        const inventory = this.inventory;
+
+        this.hotbarElement.innerHTML = '';
+        for (let i = 0; i < inventory.hotbarSize; i++) {
+            this.hotbarElement.appendChild(this.createSlotElement(i));
+        }
+
+        this.backpackElement.innerHTML = '';
+        const unlockedSlots = inventory.backpackColumns * inventory.backpackRows;
+        const totalSlots = inventory.backpackColumns * inventory.maxBackpackRows;
+        for (let i = 0; i < totalSlots; i++) {
+            if (i < unlockedSlots) {
+                this.backpackElement.appendChild(this.createSlotElement(inventory.hotbarSize + i));
+            } else {
+                this.backpackElement.appendChild(this.createLockedSlotElement());
+            }
+        }
+    }
+
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    show() {
+        if (this.overlayElement) {
+            this.refresh();
+            this.overlayElement.style.display = 'block';
+            this.isVisible = true;
+
+            // Unlock pointer so items can be dragged
+            if (document.pointerLockElement) {
+                document.exitPointerLock();
+            }
+        }
+    }
+
+    hide() {
+        if (this.overlayElement) {
+            this.overlayElement.style.display = 'none';
+            this.isVisible = false;
+        }
+    }
+}
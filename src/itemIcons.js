@@ -0,0 +1,93 @@
+import { getDurabilityFraction } from './toolDurability.js';
+
+// Icons for inventory items, drawn with emoji so no image files are needed
+export const ITEM_ICONS = {
+    'log': '🪵',
+    'rock': '🪨',
+    'stick': '🥢',
+    'axe': '🪓',
+    'bow': '🏹',
+    'arrow': '➶',
+    'string': '🧵',
+    'raw meat': '🥩',
+    'cooked meat': '🍖',
+    'burnt meat': '🍘',
+    'hide': '🟫',
+    'backpack': '🎒',
+    'torch': '🔥',
+    'workbench': '🛠️',
+    'alien alloy': '🔩',
+    'fire arrow': '☄️',
+    'flare': '🧨',
+    'signal jammer': '📡'
+};
+
+// Get the icon for an item, items without one show their first letter
+export function getItemIcon(itemType) {
+    return ITEM_ICONS[itemType] || itemType.charAt(0).toUpperCase();
+}
+
+// Fill a slot element with an item's icon and stack count
+export function renderSlotContents(element, item) {
+    element.innerHTML = '';
+    element.style.position = 'relative';
+    element.title = item ? item.type : '';
+
+    if (!item) return;
+
+    const icon = document.createElement('div');
+    icon.textContent = getItemIcon(item.type);
+    icon.style.fontSize = '28px';
+    icon.style.lineHeight = '50px';
+    icon.style.textAlign = 'center';
+    icon.style.color = 'white';
+    icon.style.fontFamily = 'Arial, sans-serif';
+    icon.style.pointerEvents = 'none';
+    element.appendChild(icon);
+
+    if (item.quantity > 1) {
+        const count = document.createElement('div');
+        count.textContent = item.quantity;
+        count.style.position = 'absolute';
+        count.style.right = '3px';
+        count.style.bottom = '1px';
+        count.style.color = 'white';
+        count.style.fontSize = '12px';
+        count.style.fontFamily = 'Arial, sans-serif';
+        count.style.textShadow = '1px 1px 2px black';
+        count.style.pointerEvents = 'none';
+        element.appendChild(count);
+    }
+
+    // Worn tools show how much use they have left
+    const durability = getDurabilityFraction(item);
+    if (durability !== null && durability < 1) {
+        const bar = document.createElement('div');
+        bar.style.position = 'absolute';
+        bar.style.left = '4px';
+        bar.style.bottom = '3px';
+        bar.style.width = `${Math.round(durability * 38)}px`;
+        bar.style.height = '4px';
+        bar.style.backgroundColor = durability > 0.5 ? '#4caf50' : durability > 0.2 ? '#ffc107' : '#f44336';
+        bar.style.pointerEvents = 'none';
+        element.appendChild(bar);
+    }
+}
+
+// Draw an item's icon onto a canvas, used for the textures of dropped items
+export function createItemIconCanvas(itemType, size = 64) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+
+    const context = canvas.getContext('2d');
+    context.fillStyle = 'rgba(40, 40, 40, 1)';
+    context.fillRect(0, 0, size, size);
+    context.font = `${size * 0.7}px Arial, sans-serif`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = 'white';
+    context.fillText(getItemIcon(itemType), size / 2, size / 2 + size * 0.05);
+
+    return canvas;
+}
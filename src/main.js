@@ -1,22 +1,37 @@
 import * as THREE from 'three';
 import { PointerLockControls } from 'three/examples/jsm/controls/PointerLockControls';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { Inventory, Item } from './inventory.js';
+import { Inventory, Item, describeItems } from './inventory.js';
 import { BuildingSystem } from './buildingSystem.js';
 import { CraftingSystem } from './craftingSystem.js';
 import { Terminal } from './terminal.js';
 import { Sky } from './Sky.js';
-import { createFireParticles, updateFireParticles, removeFireParticles } from './fireParticles.js';
+import { updateFireParticles, removeFireParticles } from './fireParticles.js';
+import { lightBonfire, updateBonfireFuel, getFuelItem, canAddFuel, addFuel, formatBurnTime } from './bonfireFuel.js';
 import { updateTeleportParticles } from './teleportParticles.js';
 import { updateGibsParticles } from './gibsParticles.js';
 import { Alien } from './alien.js';
 import { TreeRegenerationSystem } from './treeRegenerationSystem.js';
 import { DayNightCycle } from './dayNightCycle.js';
 import { UFOSystem } from './ufoSystem.js';
+import { UFODefenseSystem } from './ufoDefenses.js';
 import { GameOverMenu } from './gameOverMenu.js';
 import { DayNightHUD } from './dayNightHUD.js';
 import { BowAndArrowSystem } from './bowAndArrow.js';
 import { GrassSystem } from './grassSystem.js';
+import { SaveSystem, AUTOSAVE_SLOT } from './saveSystem.js';
+import { SaveSlotMenu } from './saveSlotMenu.js';
+import { Terrain } from './terrain.js';
+import { SeededRandom, seedFromString, randomSeed } from './random.js';
+import { ChunkSystem } from './chunkSystem.js';
+import { PlayerVitals } from './playerVitals.js';
+import { VitalsHUD } from './vitalsHUD.js';
+import { WildlifeSystem } from './wildlifeSystem.js';
+import { CookingSystem } from './cookingSystem.js';
+import { InventoryWindow } from './inventoryWindow.js';
+import { PickupSystem } from './pickupSystem.js';
+import { HeldItemSystem } from './heldItemSystem.js';
+import { wearTool, repairTool, getMissingRepairMaterials, hasDurability, MAX_DURABILITY, REPAIR_COSTS, createToolBreakEffect } from './toolDurability.js';
 
 const savedAxePosition = localStorage.getItem('axePosition');
 const savedAxeRotation = localStorage.getItem('axeRotation');
@@ -40,6 +55,21 @@ if (savedAxeRotation) {
 }
 
 let camera, scene, renderer, controls;
+
+// Heightmap terrain
+let terrain;
+
+// World seed and the random generator every world generator draws from
+let worldSeed, worldRandom;
+
+// Chunked world streaming
+let chunkSystem;
+let environmentCreated = false;
+let useFallbackModels = false;
+
+// Forest density per square unit (300 trees and 30 rocks in the original 80x80 world)
+const TREE_DENSITY = 300 / (80 * 80);
+const ROCK_DENSITY = 30 / (80 * 80);
 let moveForward = false;
 let moveBackward = false;
 
@@ -56,16 +86,34 @@ let alien;
 let treeRegenerationSystem;
 
 // Day-night cycle and UFO systems
-let dayNightCycle, ufoSystem;
+let dayNightCycle, ufoSystem, ufoDefenses;
 
 // Game over menu and HUD
 let gameOverMenu, dayNightHUD;
 
+// Hunger, thirst, body temperature and health
+let playerVitals, vitalsHUD;
+
 // Bow and arrow system
 let bowAndArrowSystem;
 
 // Grass system
 let grassSystem;
+
+// Deer and rabbits to hunt
+let wildlifeSystem;
+
+// Cooking food on lit bonfires
+let cookingSystem;
+
+// Inventory window and items dropped in the world
+let inventoryWindow, pickupSystem;
+
+// Save system
+let saveSystem, saveSlotMenu;
+
+// Session storage key for a save to load after the page reloads
+const PENDING_LOAD_KEY = 'pendingLoadSlot';
 const skyParams = {
     turbidity: 8,       // Moderate turbidity for natural sky
     rayleigh: 1.5,      // Moderate rayleigh for natural atmospheric scattering
@@ -96,8 +144,8 @@ let axeAnimating = false;
 let axeAnimationStartTime = 0;
 let axeAnimationDuration = 500; // milliseconds
 
-// Current equipped weapon
-let equippedWeapon = null; // 'axe' or 'bow'
+// What the player holds, follows the active hotbar slot
+let heldItemSystem = null;
 
 // Global flag to force blueprint cleanup
 let forceCleanupBlueprint = false;
@@ -113,6 +161,7 @@ const PLAYER_HEIGHT = 1.3; // Extremely reduced height to fit in structures
 const PLAYER_RADIUS = 0.15; // Extremely reduced radius to fit through doorways
 const COLLISION_THRESHOLD = 0.02; // Minimal threshold for very tight movement
 
+const FALL_SPEED = 8; // How fast the player drops off ledges, in units per second
 const CHOP_DISTANCE = 3;
 const CHOPS_TO_FELL = 5;
 const treeHealth = new Map();
@@ -145,11 +194,17 @@ function checkCollision(position, direction, distance) {
     // Normalize direction
     const rayDirection = direction.clone().normalize();
 
+    // The position is the camera, so measure the rays up from the player's feet.
+    // Anything below step height can be stepped onto, and the top ray stays under door lintels
+    const feet = position.clone();
+    feet.y -= PLAYER_HEIGHT;
+    const stepHeight = buildingSystem.stepHeight;
+
     // Cast minimal rays to simulate an extremely small player capsule
     // Using only two rays for better fit in tight structures
     const rayOrigins = [
-        position.clone().add(new THREE.Vector3(0, 0.3, 0)), // Higher above foot level
-        position.clone().add(new THREE.Vector3(0, PLAYER_HEIGHT - 0.5, 0)) // Even lower below head level
+        feet.clone().add(new THREE.Vector3(0, stepHeight, 0)), // Just above what can be stepped onto
+        feet.clone().add(new THREE.Vector3(0, PLAYER_HEIGHT + 0.2, 0)) // Just above eye level
     ];
 
     // Cast minimal side rays with an extremely small offset
@@ -160,8 +215,8 @@ function checkCollision(position, direction, distance) {
 
     // Add side rays at waist level
     rayOrigins.push(
-        position.clone().add(new THREE.Vector3(0, PLAYER_HEIGHT / 2, 0)).add(perpVector.clone().multiplyScalar(sideOffset)),
-        position.clone().add(new THREE.Vector3(0, PLAYER_HEIGHT / 2, 0)).add(perpVector.clone().multiplyScalar(-sideOffset))
+        feet.clone().add(new THREE.Vector3(0, PLAYER_HEIGHT / 2, 0)).add(perpVector.clone().multiplyScalar(sideOffset)),
+        feet.clone().add(new THREE.Vector3(0, PLAYER_HEIGHT / 2, 0)).add(perpVector.clone().multiplyScalar(-sideOffset))
     );
 
     // Check each ray for collision
@@ -169,13 +224,8 @@ function checkCollision(position, direction, distance) {
         const raycaster = new THREE.Raycaster(origin, rayDirection);
         const intersects = raycaster.intersectObjects(collidableObjects, true);
 
-        // Check each intersection
+        // Check each intersection, closed doors block the doorway and open ones have swung out of the way
         for (const hit of intersects) {
-            // Skip door frames - they should never block movement
-            if (hit.object.userData.isDoorFrame || hit.object.userData.isDoor) {
-                continue;
-            }
-
             // If there's an intersection closer than our movement distance plus threshold, we have a collision
             if (hit.distance < distance + COLLISION_THRESHOLD) {
                 return true;
@@ -224,6 +274,25 @@ function updateSunPosition() {
     }
 }
 
+// Work out the height of the player's feet, stepping up onto stairs and floors
+// and dropping down when walking off an upper floor
+function getStandingHeight(deltaTime) {
+    const x = camera.position.x;
+    const z = camera.position.z;
+    const feetHeight = camera.position.y - PLAYER_HEIGHT;
+
+    let groundHeight = terrain.getWalkHeightAt(x, z);
+    if (buildingSystem) {
+        groundHeight = Math.max(groundHeight, buildingSystem.getWalkableHeightAt(x, z, feetHeight + buildingSystem.stepHeight));
+    }
+
+    // Fall rather than jump down to the ground below
+    if (groundHeight < feetHeight) {
+        return Math.max(groundHeight, feetHeight - FALL_SPEED * deltaTime);
+    }
+    return groundHeight;
+}
+
 // Global function to force cleanup of any lingering blueprints
 function forceCleanupAllBlueprints() {
     if (buildingSystem) {
@@ -310,8 +379,14 @@ function init() {
 
         scene.add(directionalLight);
 
-        // Ground with rocky texture - more segments for better detail
-        const groundGeometry = new THREE.PlaneGeometry(100, 100, 32, 32);
+        // Pick the world seed from the URL (?seed=...) or start a new random world
+        const urlSeed = new URLSearchParams(window.location.search).get('seed');
+        worldSeed = urlSeed !== null && urlSeed.trim() !== '' ? seedFromString(urlSeed) : randomSeed();
+        worldRandom = new SeededRandom(worldSeed);
+        console.log(`World seed: ${worldSeed}`);
+
+        // Heightmap terrain with hills and valleys
+        terrain = new Terrain(worldRandom.fork('terrain').seed);
 
         // Load rocky terrain texture
         const textureLoader = new THREE.TextureLoader();
@@ -320,16 +395,14 @@ function init() {
             renderer.render(scene, camera);
         });
 
-        // Set texture repeat for tiling
+        // Set texture wrapping for tiling (the terrain's UVs repeat it every few units)
         rockyTexture.wrapS = THREE.RepeatWrapping;
         rockyTexture.wrapT = THREE.RepeatWrapping;
-        rockyTexture.repeat.set(10, 10); // Repeat the texture 10 times
 
         // Create a normal map from the texture
         const normalMap = textureLoader.load('assets/textures/rocky_terrain.jpg');
         normalMap.wrapS = THREE.RepeatWrapping;
         normalMap.wrapT = THREE.RepeatWrapping;
-        normalMap.repeat.set(10, 10);
 
         const groundMaterial = new THREE.MeshStandardMaterial({
             map: rockyTexture,
@@ -341,10 +414,18 @@ function init() {
             // No emissive glow for more natural appearance
         });
 
-        const ground = new THREE.Mesh(groundGeometry, groundMaterial);
-        ground.rotation.x = -Math.PI / 2;
-        ground.receiveShadow = true;
-        scene.add(ground);
+        // Lakes that fill the lowest valleys
+        const waterMaterial = new THREE.MeshStandardMaterial({
+            color: 0x2a6f97,
+            transparent: true,
+            opacity: 0.75,
+            roughness: 0.1,
+            metalness: 0.2
+        });
+
+        // The ground is built in chunks around the player
+        chunkSystem = new ChunkSystem(scene, terrain, worldRandom, groundMaterial, interactableObjects, waterMaterial);
+        chunkSystem.update(camera.position, true);
 
         // Initialize controls
         controls = new PointerLockControls(camera, document.body);
@@ -367,7 +448,7 @@ function init() {
 
         // Initialize systems
         inventory = new Inventory();
-        buildingSystem = new BuildingSystem(scene, camera, inventory);
+        buildingSystem = new BuildingSystem(scene, camera, inventory, terrain);
         setupInteractionControls(); // Initialize interaction controls
         setupEditorControls(); // Initialize axe position editor controls
 
@@ -375,10 +456,46 @@ function init() {
         craftingSystem = new CraftingSystem(scene, camera, inventory, buildingSystem);
 
         // Initialize bow and arrow system
-        bowAndArrowSystem = new BowAndArrowSystem(scene, camera, inventory);
+        bowAndArrowSystem = new BowAndArrowSystem(scene, camera, inventory, terrain);
+
+        // Initialize wildlife, arrows can hit the animals
+        wildlifeSystem = new WildlifeSystem(scene, interactableObjects, terrain, worldRandom.fork('wildlife'));
+        bowAndArrowSystem.wildlifeSystem = wildlifeSystem;
+        bowAndArrowSystem.buildingSystem = buildingSystem;
+        bowAndArrowSystem.onToolBroken = onToolBroken;
+
+        // Initialize cooking system
+        cookingSystem = new CookingSystem(inventory);
+
+        // Initialize the held item system, the actions each item can take come from main
+        heldItemSystem = new HeldItemSystem({
+            camera,
+            inventory,
+            bowAndArrowSystem,
+            showAxe,
+            hideAxe,
+            swingAxe,
+            eat: tryEat,
+            lightBonfire: tryLightBonfireWithTorch,
+            lightFlare: tryLightFlare
+        });
+
+        // Initialize the inventory window, items dragged out of it are dropped in front of the player
+        pickupSystem = new PickupSystem(scene, interactableObjects, terrain);
+        cookingSystem.pickupSystem = pickupSystem;
+        buildingSystem.pickupSystem = pickupSystem;
+        inventoryWindow = new InventoryWindow(inventory);
+        inventoryWindow.initialize(dropItemInFront);
 
         // Initialize grass system
-        grassSystem = new GrassSystem(scene, camera, inventory, interactableObjects);
+        grassSystem = new GrassSystem(scene, camera, inventory, interactableObjects, terrain);
+
+        // Grass is generated per chunk once its model has loaded
+        chunkSystem.addLayer('grass', (minX, minZ, size, random) => grassSystem.createGrassInArea(minX, minZ, size, random), {
+            isReady: () => grassSystem.grassModel !== null,
+            onSpawn: grass => grassSystem.grassInstances.push(grass),
+            onDespawn: grass => grassSystem.removeGrassInstance(grass)
+        });
 
         // Initialize terminal
         terminal = new Terminal({
@@ -583,6 +700,11 @@ function animate() {
         controls.moveRight(-newVelocity.x);
         controls.moveForward(-newVelocity.z);
 
+        // Follow the terrain and building floors, unless the UFO beam is lifting the player
+        if (playerCanMove) {
+            camera.position.y = getStandingHeight(deltaTime) + PLAYER_HEIGHT;
+        }
+
         raycaster.setFromCamera(new THREE.Vector2(), camera);
         const intersects = raycaster.intersectObjects(interactableObjects, true);
 
@@ -632,10 +754,36 @@ function animate() {
 
                     // Check if the bonfire is lit
                     if (bonfireObject.userData.isLit) {
-                        updatePrompts('Bonfire is lit and providing warmth');
+                        // Show how long the fire will burn so players can plan their nights
+                        const burnTime = `burns for ${formatBurnTime(bonfireObject)}`;
+                        const cookableFood = cookingSystem && cookingSystem.getCookableFood();
+                        const fuelItem = getFuelItem(inventory);
+                        if (cookableFood) {
+                            updatePrompts(`Press E to cook ${cookableFood} (${burnTime})`);
+                        } else if (fuelItem && canAddFuel(bonfireObject)) {
+                            updatePrompts(`Press E to add a ${fuelItem} to the fire (${burnTime})`);
+                        } else {
+                            updatePrompts(`Bonfire is lit and providing warmth (${burnTime})`);
+                        }
+                    } else if (getHeldItemType() === 'torch') {
+                        updatePrompts('Press Space to light the fire with your torch');
                     } else {
                         updatePrompts('Press E to start fire with 2 rocks and a stick');
                     }
+                } else if (type === 'water') {
+                    updatePrompts(isDrinkableWater(intersects[0].point) ? 'Press E to drink water' : '');
+                } else if (type === 'carcass') {
+                    updatePrompts('Press E to harvest the carcass');
+                } else if (type === 'workbench') {
+                    updatePrompts(getWorkbenchPrompt());
+                } else if (type === 'pickup') {
+                    // The ray may hit a child mesh, so walk up to the pickup group
+                    let pickupObject = object;
+                    while (pickupObject && pickupObject.userData.type !== 'pickup') {
+                        pickupObject = pickupObject.parent;
+                    }
+                    const item = pickupObject.userData.item;
+                    updatePrompts(`Press E to pick up ${item.quantity} ${item.type}`);
                 } else {
                     updatePrompts(`Press E to collect ${type}`);
                 }
@@ -646,8 +794,14 @@ function animate() {
             updatePrompts('');
         }
 
+        // Doors aren't interactable objects, so check for them separately
+        const lookedAtDoor = getLookedAtDoor();
+        if (lookedAtDoor) {
+            updatePrompts(buildingSystem.getDoorPrompt(lookedAtDoor, camera.position));
+        }
+
         // Handle axe animation
-        if (axeMesh && !editorMode && equippedWeapon === 'axe') {
+        if (axeMesh && !editorMode && getHeldItemType() === 'axe') {
             if (axeAnimating) {
                 // Calculate animation progress (0 to 1)
                 const elapsed = Date.now() - axeAnimationStartTime;
@@ -698,6 +852,12 @@ function animate() {
             bowAndArrowSystem.update(deltaTime);
         }
 
+        // Update wildlife, animals hear the player from further away when they're moving
+        if (wildlifeSystem) {
+            const playerIsMoving = moveForward || moveBackward || moveLeft || moveRight;
+            wildlifeSystem.update(deltaTime, camera.position, playerIsMoving);
+        }
+
         // Update grass system
         if (grassSystem) {
             grassSystem.update();
@@ -727,6 +887,21 @@ function animate() {
             }
         }
 
+        // Update cooking, this cancels it if the player walked away from the fire
+        if (cookingSystem) {
+            cookingSystem.update(camera.position);
+        }
+
+        // Spin the dropped items
+        if (pickupSystem) {
+            pickupSystem.update(deltaTime);
+        }
+
+        // Hold whatever is in the active hotbar slot
+        if (heldItemSystem) {
+            heldItemSystem.update();
+        }
+
         scene.children.forEach(child => {
             if (child.userData.isChopParticles) {
                 let allSettled = true;
@@ -765,6 +940,15 @@ function animate() {
             buildingSystem.updateBlueprintPosition(raycaster);
         }
 
+        // Swing doors open and closed
+        buildingSystem.updateDoors(deltaTime);
+
+        // Highlight the piece that would be removed or upgraded
+        if (buildingSystem.pieceAction) {
+            buildingSystem.updatePieceTarget(raycaster);
+            updatePrompts(buildingSystem.getPieceActionPrompt());
+        }
+
         // Update crafting blueprint position if crafting
         if (craftingSystem && craftingSystem.isCrafting) {
             // Only log occasionally to avoid console spam
@@ -774,19 +958,30 @@ function animate() {
             craftingSystem.updateBlueprintPosition(raycaster);
         }
 
-        // Update fire particles for all lit bonfires
+        // Burn fuel and update fire particles for all lit bonfires
+        const litBonfires = [];
         scene.traverse(object => {
-            if (object.userData.type === 'bonfire' && object.userData.isLit && object.userData.fireParticles) {
-                // Use the delta time calculated at the beginning of the frame
-                updateFireParticles(object.userData.fireParticles, deltaTime);
+            if (object.userData.type === 'bonfire' && object.userData.isLit) {
+                litBonfires.push(object);
             }
         });
+        for (const bonfire of litBonfires) {
+            if (updateBonfireFuel(bonfire, deltaTime)) continue;
 
-        // Update alien if it exists
+            if (bonfire.userData.fireParticles) {
+                // Use the delta time calculated at the beginning of the frame
+                updateFireParticles(bonfire.userData.fireParticles, deltaTime);
+            }
+        }
+
+        // Update alien if it exists, it finds its own cover to hide behind
         if (alien) {
-            // Get all tree objects from the scene for the alien to hide behind
-            const trees = scene.children.filter(obj => obj.userData && obj.userData.type === 'tree');
-            alien.update(deltaTime, camera.position, trees);
+            alien.update(deltaTime, camera.position);
+        }
+
+        // Load and unload chunks around the player
+        if (chunkSystem) {
+            chunkSystem.update(camera.position);
         }
 
         // Update tree regeneration system
@@ -804,6 +999,35 @@ function animate() {
             }
         }
 
+        // Update hunger, thirst, temperature and health
+        if (playerVitals) {
+            const playerDied = playerVitals.update(deltaTime);
+
+            if (vitalsHUD) {
+                vitalsHUD.update();
+            }
+
+            if (playerDied) {
+                // Pause the game
+                controls.unlock();
+
+                // Show game over menu with the cause of death
+                if (gameOverMenu) {
+                    gameOverMenu.show(saveSystem && saveSystem.hasSave(AUTOSAVE_SLOT), playerVitals.getDeathMessage());
+                }
+
+                // Pause day-night cycle
+                if (dayNightCycle) {
+                    dayNightCycle.pause();
+                }
+            }
+        }
+
+        // Burn down lit flares
+        if (ufoDefenses) {
+            ufoDefenses.update(deltaTime);
+        }
+
         // Update UFO system
         if (ufoSystem && ufoSystem.isActive) {
             const playerAbducted = ufoSystem.update(deltaTime, camera.position, buildingSystem);
@@ -815,7 +1039,7 @@ function animate() {
 
                 // Show game over menu
                 if (gameOverMenu) {
-                    gameOverMenu.show();
+                    gameOverMenu.show(saveSystem && saveSystem.hasSave(AUTOSAVE_SLOT));
                 }
 
                 // Pause day-night cycle
@@ -839,31 +1063,90 @@ function setupInteractionControls() {
             case 'KeyC':
                 tryCraft();
                 break;
+            case 'KeyF':
+                tryEat();
+                break;
+            case 'KeyL':
+                tryLockDoor();
+                break;
             case 'KeyR':
                 // Rotate wall when in building mode
                 if (buildingSystem.isBuilding && buildingSystem.buildingType === 'wall') {
                     buildingSystem.rotateWall();
+                } else if (buildingSystem.isBuilding) {
+                    buildingSystem.rotatePiece();
+                } else if (getHeldItemType() === 'bow') {
+                    // Choose between normal and fire arrows
+                    const ammo = bowAndArrowSystem.switchAmmo();
+                    updatePrompts(`Shooting ${ammo}s (${inventory.getItemCount(ammo)} left)`);
+                    setTimeout(() => updatePrompts(''), 2000); // Clear message after 2 seconds
                 }
                 break;
             case 'Digit1':
-                // Equip axe if available
-                if (inventory.hasItems(['axe'])) {
-                    equipWeapon('axe');
-                }
-                break;
             case 'Digit2':
-                // Equip bow if available
-                if (inventory.hasItems(['bow'])) {
-                    equipWeapon('bow');
+            case 'Digit3':
+            case 'Digit4':
+            case 'Digit5':
+                // Number keys pick building pieces in build mode and hotbar slots otherwise
+                if (canSelectHotbarSlot()) {
+                    heldItemSystem.selectSlot(parseInt(event.code.replace('Digit', ''), 10) - 1);
                 }
                 break;
         }
     });
+
+    // Scroll through the hotbar with the mouse wheel
+    document.addEventListener('wheel', (event) => {
+        if (controls.isLocked && canSelectHotbarSlot()) {
+            heldItemSystem.cycleSlot(Math.sign(event.deltaY));
+        } else if (controls.isLocked && buildingSystem.isBuilding) {
+            // Switch between roof styles while placing a roof
+            buildingSystem.cycleRoofStyle(Math.sign(event.deltaY));
+        }
+    });
+
+    // Right mouse button uses the held item's secondary action
+    document.addEventListener('mousedown', (event) => {
+        if (event.button === 2 && controls.isLocked && heldItemSystem && !editorMode) {
+            heldItemSystem.useSecondary();
+        }
+    });
+
+    document.addEventListener('contextmenu', (event) => {
+        event.preventDefault();
+    });
+}
+
+// Get the door in front of the player, doors are building pieces rather than interactable objects
+function getLookedAtDoor() {
+    if (!buildingSystem || buildingSystem.isBuilding || buildingSystem.pieceAction) return null;
+    return buildingSystem.getDoorAt(raycaster);
+}
+
+// Lock or unlock the door in front of the player from the inside
+function tryLockDoor() {
+    if (!controls.isLocked) return;
+
+    const door = getLookedAtDoor();
+    if (door && !buildingSystem.toggleDoorLock(door, camera.position)) {
+        updatePrompts(door.userData.isOpen ? 'Close the door before locking it' : 'The door can only be locked from the inside');
+    }
+}
+
+// The hotbar can't be changed while picking or placing building pieces
+function canSelectHotbarSlot() {
+    return heldItemSystem && !editorMode && !buildingSystem.isBuilding && !buildingSystem.pieceAction && !buildingSystem.isBuildingMenuOpen();
 }
 
 function tryInteract() {
     if (!controls.isLocked) return;
 
+    // Take apart or upgrade the highlighted building piece
+    if (buildingSystem.pieceAction) {
+        buildingSystem.usePieceAction();
+        return;
+    }
+
     // Handle building placement
     if (buildingSystem.isBuilding) {
         // Store the building type before building
@@ -886,6 +1169,15 @@ function tryInteract() {
         return;
     }
 
+    // Open or close the door the player is looking at
+    const door = getLookedAtDoor();
+    if (door) {
+        if (!buildingSystem.toggleDoor(door)) {
+            updatePrompts('The door is locked');
+        }
+        return;
+    }
+
     // Handle crafting placement
     if (craftingSystem && craftingSystem.isCrafting) {
         console.log('Detected crafting in progress, attempting to place item');
@@ -977,46 +1269,203 @@ function tryInteract() {
                 interactableObjects.splice(index, 1);
             }
             updatePrompts('');
+        } else if (type === 'carcass') {
+            // Butcher the animal for meat and hide
+            const items = wildlifeSystem.harvestCarcass(interactableObject);
+            const leftover = inventory.addItems(items);
+
+            // The carcass is gone, so whatever doesn't fit is left on the ground where it was
+            for (const [itemType, quantity] of Object.entries(leftover)) {
+                pickupSystem.spawnPickup(new Item(itemType, quantity), interactableObject.position);
+            }
+
+            const harvested = `Harvested ${items['raw meat']} raw meat and ${items.hide} hide`;
+            updatePrompts(Object.keys(leftover).length > 0 ?
+                `${harvested}, your inventory is full so the rest was left on the ground` :
+                harvested);
+            setTimeout(() => updatePrompts(''), 2000); // Clear message after 2 seconds
+        } else if (type === 'workbench') {
+            tryRepairHeldTool();
+        } else if (type === 'pickup') {
+            // Pick a dropped item back up
+            const itemType = interactableObject.userData.item.type;
+            const collected = pickupSystem.collect(interactableObject, inventory);
+            updatePrompts(collected > 0 ? `Picked up ${collected} ${itemType}` : 'Your inventory is full');
+            setTimeout(() => updatePrompts(''), 2000); // Clear message after 2 seconds
+        } else if (type === 'water') {
+            if (playerVitals && isDrinkableWater(intersects[0].point)) {
+                playerVitals.drink(25);
+                updatePrompts('You drink some water');
+                setTimeout(() => updatePrompts(''), 2000); // Clear message after 2 seconds
+            }
         } else if (type === 'bonfire') {
             // Handle bonfire interaction
             if (!interactableObject.userData.isLit) {
-                // Check if player has required items (2 rocks and a stick)
-                if (inventory.getItemCount('rock') >= 2 && inventory.getItemCount('stick') >= 1) {
+                // Use up 2 rocks and a stick to light it
+                const result = inventory.removeItems({ 'rock': 2, 'stick': 1 });
+                if (result.success) {
                     console.log('Lighting bonfire');
 
-                    // Consume resources
-                    inventory.removeItem('rock', 2);
-                    inventory.removeItem('stick', 1);
-
-                    // Light the bonfire
-                    interactableObject.userData.isLit = true;
-
-                    // Create fire particles
-                    createFireParticles(interactableObject);
+                    // Light the bonfire with a little starting fuel
+                    lightBonfire(interactableObject);
 
                     updatePrompts('Bonfire lit!');
                     setTimeout(() => updatePrompts(''), 2000); // Clear message after 2 seconds
                 } else {
-                    updatePrompts('Not enough materials to light the fire');
+                    updatePrompts(`Not enough materials to light the fire, missing ${describeItems(result.missing)}`);
                     setTimeout(() => updatePrompts(''), 2000); // Clear message after 2 seconds
                 }
+            } else if (cookingSystem.isCooking && cookingSystem.cookingBonfire === interactableObject) {
+                // Take the food off the fire
+                cookingSystem.completeCooking();
+            } else if (!cookingSystem.isCooking && cookingSystem.startCooking(interactableObject)) {
+                console.log('Started cooking on the bonfire');
+            } else if (getFuelItem(inventory) && canAddFuel(interactableObject)) {
+                // Keep the fire going with logs or sticks
+                const fuelItem = getFuelItem(inventory);
+                inventory.removeFromSlot(inventory.selectedSlot, 1);
+                addFuel(interactableObject, fuelItem);
+                updatePrompts(`Added a ${fuelItem}, the fire burns for ${formatBurnTime(interactableObject)}`);
+                setTimeout(() => updatePrompts(''), 2000); // Clear message after 2 seconds
             } else {
-                updatePrompts('The bonfire is already lit');
+                updatePrompts(`The bonfire is already lit and burns for ${formatBurnTime(interactableObject)}`);
                 setTimeout(() => updatePrompts(''), 2000); // Clear message after 2 seconds
             }
         }
     }
 }
 
+// Eat a food, or the best food in the inventory when none is given
+function tryEat(food = null) {
+    if (!controls.isLocked || !cookingSystem || !playerVitals) return;
+
+    food = food || cookingSystem.getBestFood();
+    if (!food) {
+        updatePrompts('You have nothing to eat');
+        setTimeout(() => updatePrompts(''), 2000); // Clear message after 2 seconds
+        return;
+    }
+
+    const nutrition = cookingSystem.eat(food, playerVitals);
+    updatePrompts(nutrition.health < 0 ? `You ate ${food} and feel sick` : `You ate ${food}`);
+    setTimeout(() => updatePrompts(''), 2000); // Clear message after 2 seconds
+}
+
+// Find the interactable object of a type the player is looking at, or null
+function getLookedAtObject(type) {
+    raycaster.setFromCamera(new THREE.Vector2(), camera);
+    const intersects = raycaster.intersectObjects(interactableObjects, true);
+
+    if (intersects.length === 0 || intersects[0].distance >= INTERACT_DISTANCE) return null;
+
+    // The type can be on the object itself or on one of its parents
+    let object = intersects[0].object;
+    while (object && !object.userData.type) {
+        object = object.parent;
+    }
+
+    return object && object.userData.type === type ? object : null;
+}
+
+// A held torch lights bonfires without using up rocks and sticks
+function tryLightBonfireWithTorch() {
+    const bonfire = getLookedAtObject('bonfire');
+    if (!bonfire || bonfire.userData.isLit) return;
+
+    lightBonfire(bonfire);
+    updatePrompts('Bonfire lit with your torch!');
+    setTimeout(() => updatePrompts(''), 2000); // Clear message after 2 seconds
+}
+
+// Drop a lit flare at the player's feet, it blinds the UFO's beam around it
+function tryLightFlare() {
+    if (!inventory.removeItem('flare', 1)) return;
+
+    const forward = new THREE.Vector3();
+    camera.getWorldDirection(forward);
+    forward.y = 0;
+    forward.normalize();
+
+    ufoDefenses.lightFlare(camera.position.clone().addScaledVector(forward, 1));
+    updatePrompts('Flare lit, the UFO can\'t see through its glare');
+    setTimeout(() => updatePrompts(''), 2000); // Clear message after 2 seconds
+}
+
+// Give the player alien alloy at dawn for making it through the night
+function rewardNightSurvived(amount, droveOff) {
+    if (amount <= 0 || (playerVitals && playerVitals.isDead)) return;
+
+    inventory.addItem(new Item('alien alloy', amount));
+    updatePrompts(droveOff ?
+        `You drove the UFO off! It left behind ${amount} alien alloy` :
+        `You survived the night and found ${amount} alien alloy`);
+    setTimeout(() => updatePrompts(''), 4000); // Clear message after 4 seconds
+}
+
+// Each chunk's water plane stretches under the dry ground around a lake,
+// so only drink where the ray actually met water
+function isDrinkableWater(point) {
+    return terrain.isUnderWater(point.x, point.z);
+}
+
+// Show the tool breaking in the player's hands
+function onToolBroken(toolType) {
+    const forward = new THREE.Vector3();
+    camera.getWorldDirection(forward);
+    scene.add(createToolBreakEffect(camera.position.clone().add(forward.multiplyScalar(0.8))));
+
+    updatePrompts(`Your ${toolType} broke! Craft a new one`);
+    setTimeout(() => updatePrompts(''), 2000); // Clear message after 2 seconds
+}
+
+// Describe what repairing the held tool at a workbench costs
+function getWorkbenchPrompt() {
+    const heldItem = inventory.getSelectedItem();
+    if (!heldItem || !hasDurability(heldItem.type)) {
+        return 'Hold a worn tool to repair it at the workbench';
+    }
+
+    if (heldItem.metadata.durability >= MAX_DURABILITY[heldItem.type]) {
+        return `Your ${heldItem.type} doesn't need repairing`;
+    }
+
+    const cost = Object.entries(REPAIR_COSTS[heldItem.type])
+        .map(([material, amount]) => `${amount} ${material}`)
+        .join(', ');
+    return `Press E to repair your ${heldItem.type} (${cost})`;
+}
+
+function tryRepairHeldTool() {
+    const heldItem = inventory.getSelectedItem();
+
+    if (repairTool(inventory, heldItem)) {
+        updatePrompts(`Your ${heldItem.type} is as good as new`);
+    } else if (heldItem && hasDurability(heldItem.type) && heldItem.metadata.durability < MAX_DURABILITY[heldItem.type]) {
+        const missing = Object.entries(getMissingRepairMaterials(inventory, heldItem))
+            .map(([material, amount]) => `${amount} more ${material}`)
+            .join(', ');
+        updatePrompts(`You need ${missing} to repair your ${heldItem.type}`);
+    } else {
+        updatePrompts(getWorkbenchPrompt());
+    }
+    setTimeout(() => updatePrompts(''), 2000); // Clear message after 2 seconds
+}
+
+// Drop items from the inventory window onto the ground in front of the player
+function dropItemInFront(item) {
+    const forward = new THREE.Vector3();
+    camera.getWorldDirection(forward);
+    forward.y = 0;
+    forward.normalize();
+
+    const position = camera.position.clone().add(forward.multiplyScalar(1.5));
+    pickupSystem.spawnPickup(item, position);
+}
+
 function tryCraft() {
-    if (inventory.hasItems(['stick', 'rock'])) {
-        inventory.removeItem('stick');
-        inventory.removeItem('rock');
-        inventory.addItem(new Item('axe', 1));
+    // Quick-craft the axe, the recipe equips it automatically
+    if (craftingSystem && craftingSystem.craftRecipe('Axe')) {
         updatePrompts('');
-
-        // Equip the axe automatically when crafted
-        equipWeapon('axe');
     }
 }
 
@@ -1141,7 +1590,7 @@ function createLogPile(position) {
     console.log('Set log pile type to "logs" for interaction');
 
     // Position at the tree's location, slightly raised to prevent sinking
-    logs.position.set(position.x, 0.3, position.z);
+    logs.position.set(position.x, terrain.getHeightAt(position.x, position.z) + 0.3, position.z);
     console.log('Positioned log pile at:', logs.position);
 
     return logs;
@@ -1152,52 +1601,50 @@ function startAxeAnimation() {
     axeAnimationStartTime = Date.now();
 }
 
-function equipWeapon(weapon) {
-    console.log(`Equipping ${weapon}...`);
+// Put an item in the player's hands, e.g. right after crafting it
+function equipItem(itemType) {
+    if (!heldItemSystem) return;
 
-    // Check if bowAndArrowSystem is initialized
-    if (weapon === 'bow' && !bowAndArrowSystem) {
-        console.error('Cannot equip bow - bowAndArrowSystem is not initialized');
-        return;
-    }
+    console.log(`Equipping ${itemType}...`);
 
     // Make sure pointer is locked for proper game control
     ensurePointerLock();
 
-    // Unequip current weapon
-    if (equippedWeapon === 'axe' && axeMesh) {
+    if (heldItemSystem.selectItem(itemType)) {
+        console.log(`Successfully equipped ${itemType}`);
+    }
+}
+
+// Get the type of the item in the player's hands, or null
+function getHeldItemType() {
+    return heldItemSystem ? heldItemSystem.heldType : null;
+}
+
+function showAxe() {
+    console.log('Creating and adding axe mesh to camera');
+    if (!axeMesh) {
+        axeMesh = createAxeMesh();
+        camera.add(axeMesh);
+        axeMesh.position.copy(axePosition);
+        axeMesh.rotation.copy(axeRotation);
+    }
+}
+
+function hideAxe() {
+    if (axeMesh) {
         console.log('Removing axe from camera');
         camera.remove(axeMesh);
         axeMesh = null;
-    } else if (equippedWeapon === 'bow') {
-        console.log('Unequipping bow');
-        bowAndArrowSystem.unequipBow();
     }
+    axeAnimating = false;
+}
 
-    // Equip new weapon
-    if (weapon === 'axe') {
-        console.log('Creating and adding axe mesh to camera');
-        if (!axeMesh) {
-            axeMesh = createAxeMesh();
-            camera.add(axeMesh);
-            axeMesh.position.copy(axePosition);
-            axeMesh.rotation.copy(axeRotation);
-        }
-    } else if (weapon === 'bow') {
-        console.log('Calling bowAndArrowSystem.equipBow()');
-        bowAndArrowSystem.equipBow();
-
-        // Add a delayed check to verify the bow was equipped
-        setTimeout(() => {
-            if (!bowAndArrowSystem.isBowEquipped) {
-                console.warn('Bow was not equipped after timeout, trying again...');
-                bowAndArrowSystem.equipBow();
-            }
-        }, 1000);
+function swingAxe() {
+    // Only start animation and try chopping if not already animating
+    if (!axeAnimating) {
+        startAxeAnimation();
+        tryChopTree();
     }
-
-    equippedWeapon = weapon;
-    console.log(`Successfully equipped ${weapon}`);
 }
 
 function ensurePointerLock() {
@@ -1219,8 +1666,8 @@ function ensurePointerLock() {
     }
 }
 
-// Make equipWeapon available globally for the crafting system
-window.equipWeapon = equipWeapon;
+// Make equipItem available globally for the crafting system
+window.equipItem = equipItem;
 
 function tryChopTree() {
     if (!controls.isLocked || !inventory.hasItems(['axe'])) return;
@@ -1261,6 +1708,17 @@ function tryChopTree() {
             particles.userData.isChopParticles = true;
             scene.add(particles);
 
+            // Every chop wears the axe a little
+            const heldItem = inventory.getSelectedItem();
+            if (heldItem && heldItem.type === 'axe' && wearTool(inventory, inventory.selectedSlot)) {
+                onToolBroken('axe');
+            }
+
+            // Chopping is loud and scares off nearby animals
+            if (wildlifeSystem) {
+                wildlifeSystem.makeNoise(tree.position, 15);
+            }
+
             const currentHealth = treeHealth.get(tree) || 0;
             const newHealth = currentHealth + 1;
             treeHealth.set(tree, newHealth);
@@ -1297,327 +1755,265 @@ function updatePrompts(message) {
     promptElement.style.display = message ? 'block' : 'none';
 
     const craftingPrompt = document.getElementById('crafting-prompt');
-    const canCraftAxe = inventory.hasItems(['stick', 'rock']);
+    const canCraftAxe = craftingSystem ? craftingSystem.canCraftRecipe('Axe') : false;
     craftingPrompt.textContent = canCraftAxe ? 'Press C to craft axe' : '';
     craftingPrompt.style.display = canCraftAxe ? 'block' : 'none';
 }
 
-function addEnvironmentObjects(useFallbackTrees = false) {
-    // Create an extremely dense forest with collision detection
-    const treeCount = 300; // Increased from 100 to 300 trees for extreme density
-    const worldSize = 80; // World size (from -40 to +40)
-    const worldHalfSize = worldSize / 2;
-    const minTreeDistance = 2.5; // Reduced from 4 to 2.5 for denser packing
-    const treePositions = []; // Array to store tree positions for collision detection
-
-    // Store all tree objects for the alien to use
-    const treeObjects = [];
-
-    console.log(`Creating extremely dense forest with ${treeCount} trees...`);
-
-    // Create a grid-based distribution for initial positions
-    const gridSize = Math.ceil(Math.sqrt(treeCount * 2)); // 2x more grid cells than trees for better distribution
-    const cellSize = worldSize / gridSize; // Smaller cells for more precise placement
-
-    // Create a list of potential positions with some randomness within each grid cell
-    const potentialPositions = [];
-    for (let x = 0; x < gridSize; x++) {
-        for (let z = 0; z < gridSize; z++) {
-            // Calculate base position in the grid
-            const baseX = (x * cellSize) - worldHalfSize + (cellSize / 2);
-            const baseZ = (z * cellSize) - worldHalfSize + (cellSize / 2);
-
-            // Add randomness within the cell
-            const randomX = baseX + (Math.random() * cellSize * 0.8 - cellSize * 0.4);
-            const randomZ = baseZ + (Math.random() * cellSize * 0.8 - cellSize * 0.4);
-
-            potentialPositions.push(new THREE.Vector2(randomX, randomZ));
+// Create a single tree at the given position
+function createTree(x, z, random) {
+    let tree;
+
+    if (treeModel && !useFallbackModels) {
+        // Use the loaded tree model
+        tree = treeModel.clone();
+
+        // Scale the tree with more variety for a natural forest feel
+        // Mix of smaller and larger trees with a bias toward medium-sized trees
+        let scale;
+        const randVal = random.next();
+        if (randVal < 0.2) {
+            // 20% chance of smaller trees (2.0-3.0)
+            scale = 2.0 + random.next() * 1.0;
+        } else if (randVal < 0.9) {
+            // 70% chance of medium trees (3.0-5.0)
+            scale = 3.0 + random.next() * 2.0;
+        } else {
+            // 10% chance of larger trees (5.0-7.0)
+            scale = 5.0 + random.next() * 2.0;
         }
-    }
+        tree.scale.set(scale, scale, scale);
 
-    // Shuffle the positions for more natural distribution
-    for (let i = potentialPositions.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [potentialPositions[i], potentialPositions[j]] = [potentialPositions[j], potentialPositions[i]];
-    }
+        // Rotate for variety
+        tree.rotation.y = random.next() * Math.PI * 2;
+    } else {
+        // Fallback to procedural tree if model isn't loaded
+        const trunkGeometry = new THREE.CylinderGeometry(0.5, 0.7, 5);
+        const trunkMaterial = new THREE.MeshStandardMaterial({
+            color: 0x4d2926,
+            roughness: 0.8,
+            metalness: 0.1
+        });
+        const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
+        trunk.castShadow = true;
 
-    // Function to check if a position is too close to existing trees
-    // Optimized for better performance with many trees
-    function isTooClose(position) {
-        // Quick spatial check - only check trees that could be within range
-        // This optimization is crucial for handling 300+ trees efficiently
-        for (const existingPos of treePositions) {
-            // Quick check on x and y separately before doing the more expensive distance calculation
-            if (Math.abs(position.x - existingPos.x) < minTreeDistance &&
-                Math.abs(position.y - existingPos.y) < minTreeDistance) {
+        const foliageGeometry = new THREE.ConeGeometry(2, 4, 8);
+        const foliageMaterial = new THREE.MeshStandardMaterial({
+            color: 0x2d5a27,
+            roughness: 0.8,
+            metalness: 0.1
+        });
+        const foliage = new THREE.Mesh(foliageGeometry, foliageMaterial);
+        foliage.position.y = 3;
+        foliage.castShadow = true;
 
-                const distance = position.distanceTo(existingPos);
-                if (distance < minTreeDistance) {
-                    return true;
-                }
-            }
-        }
-        return false;
+        tree = new THREE.Group();
+        tree.add(trunk);
+        tree.add(foliage);
     }
 
-    // Place trees using the potential positions
-    let treesPlaced = 0;
-    for (const position of potentialPositions) {
-        // Skip if too close to another tree
-        if (isTooClose(position)) {
-            continue;
-        }
-
-        let tree;
+    // Position the tree on the ground, the model has its own height
+    tree.position.set(x, terrain.getHeightAt(x, z), z);
+    tree.userData.type = 'tree';
 
-        if (treeModel && !useFallbackTrees) {
-            // Use the loaded tree model
-            tree = treeModel.clone();
-
-            // Scale the tree with more variety for a natural forest feel
-            // Mix of smaller and larger trees with a bias toward medium-sized trees
-            let scale;
-            const randVal = Math.random();
-            if (randVal < 0.2) {
-                // 20% chance of smaller trees (2.0-3.0)
-                scale = 2.0 + Math.random() * 1.0;
-            } else if (randVal < 0.9) {
-                // 70% chance of medium trees (3.0-5.0)
-                scale = 3.0 + Math.random() * 2.0;
-            } else {
-                // 10% chance of larger trees (5.0-7.0)
-                scale = 5.0 + Math.random() * 2.0;
-            }
-            tree.scale.set(scale, scale, scale);
+    return tree;
+}
 
-            // Rotate for variety
-            tree.rotation.y = Math.random() * Math.PI * 2;
-        } else {
-            // Fallback to procedural tree if model isn't loaded
-            const trunkGeometry = new THREE.CylinderGeometry(0.5, 0.7, 5);
-            const trunkMaterial = new THREE.MeshStandardMaterial({
-                color: 0x4d2926,
-                roughness: 0.8,
-                metalness: 0.1
-            });
-            const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-            trunk.castShadow = true;
+// Create a single rock at the given position
+function createRock(x, z, random) {
+    let rock;
 
-            const foliageGeometry = new THREE.ConeGeometry(2, 4, 8);
-            const foliageMaterial = new THREE.MeshStandardMaterial({
-                color: 0x2d5a27,
-                roughness: 0.8,
-                metalness: 0.1
-            });
-            const foliage = new THREE.Mesh(foliageGeometry, foliageMaterial);
-            foliage.position.y = 3;
-            foliage.castShadow = true;
+    if (rockModel && !useFallbackModels) { // If rock model is loaded and we're not using fallbacks
+        // Use the loaded rock model
+        rock = rockModel.clone();
 
-            tree = new THREE.Group();
-            tree.add(trunk);
-            tree.add(foliage);
-        }
+        // Scale the rock to be very small with minimal randomness
+        const scale = 0.005 + random.next() * 0.002; // Random scale between 0.005 and 0.007
+        rock.scale.set(scale, scale, scale);
 
-        // Position the tree using our grid-based position
-        tree.position.set(
-            position.x,
-            0, // Position at ground level, the model has its own height
-            position.y // Vector2 uses y for the z-coordinate
+        // Rotate for variety
+        rock.rotation.set(
+            random.next() * Math.PI,
+            random.next() * Math.PI * 2,
+            random.next() * Math.PI
         );
-
-        tree.userData.type = 'tree';
-        scene.add(tree);
-        interactableObjects.push(tree);
-        treeObjects.push(tree); // Add to tree objects array for alien
-
-        // Store the position for collision detection
-        treePositions.push(position);
-
-        treesPlaced++;
-        if (treesPlaced >= treeCount) {
-            break;
+    } else {
+        // Fallback to procedural rock if model isn't loaded
+        const rockGeometry = new THREE.DodecahedronGeometry(0.5);
+        const vertices = rockGeometry.attributes.position.array;
+        for (let j = 0; j < vertices.length; j += 3) {
+            vertices[j] *= 0.8 + random.next() * 0.4;
+            vertices[j + 1] *= 0.8 + random.next() * 0.4;
+            vertices[j + 2] *= 0.8 + random.next() * 0.4;
         }
+        const rockMaterial = new THREE.MeshStandardMaterial({
+            color: 0x808080,
+            roughness: 0.9,
+            metalness: 0.1
+        });
+        rock = new THREE.Mesh(rockGeometry, rockMaterial);
+        rock.rotation.set(
+            random.next() * Math.PI,
+            random.next() * Math.PI,
+            random.next() * Math.PI
+        );
     }
 
-    console.log(`Successfully placed ${treesPlaced} trees in the extremely dense forest`);
-
-    // Create a larger clearing around the player's starting position for the denser forest
-    const clearingRadius = 10; // Increased from 8 to 10 for more starting space
-    const playerStartPos = new THREE.Vector2(0, 0);
-
-    // Remove trees that are too close to the player's starting position
-    for (let i = scene.children.length - 1; i >= 0; i--) {
-        const object = scene.children[i];
-        if (object.userData.type === 'tree') {
-            const treePos = new THREE.Vector2(object.position.x, object.position.z);
-            const distanceToPlayer = treePos.distanceTo(playerStartPos);
+    // Position the rock on the ground, the model has its own height
+    rock.position.set(x, terrain.getHeightAt(x, z), z);
+    rock.userData.type = 'rock';
+    rock.castShadow = true;
 
-            if (distanceToPlayer < clearingRadius) {
-                // Remove from scene and interactable objects
-                scene.remove(object);
-                const index = interactableObjects.indexOf(object);
-                if (index > -1) {
-                    interactableObjects.splice(index, 1);
-                }
-            }
-        }
-    }
+    return rock;
+}
 
-    // Add rocks scattered throughout the forest
-    const rockCount = 30; // Increased from 15 to 30 rocks
+// Generate the trees and rocks for one chunk of the world
+function populateForest(minX, minZ, size, random) {
+    // Same density as the original 80x80 forest (300 trees, 30 rocks)
+    const treeCount = Math.round(size * size * TREE_DENSITY);
+    const rockCount = Math.round(size * size * ROCK_DENSITY);
+    const minTreeDistance = 2.5; // Reduced from 4 to 2.5 for denser packing
     const minRockDistance = 2; // Minimum distance between rocks
+    const treePositions = []; // Array to store tree positions for collision detection
     const rockPositions = []; // Array to store rock positions for collision detection
+    const objects = [];
 
-    console.log(`Adding ${rockCount} rocks to the environment...`);
-
-    // Create potential positions for rocks (different from tree positions)
-    const rockPotentialPositions = [];
-    for (let x = 0; x < gridSize * 1.5; x++) {
-        for (let z = 0; z < gridSize * 1.5; z++) {
-            // Calculate base position in a finer grid
-            const baseX = ((x * cellSize) / 1.5) - worldHalfSize + (cellSize / 3);
-            const baseZ = ((z * cellSize) / 1.5) - worldHalfSize + (cellSize / 3);
+    // Keep a clearing around the player's starting position
+    const clearingRadius = 10;
+    const playerStartPos = new THREE.Vector2(0, 0);
 
-            // Add randomness within the cell
-            const randomX = baseX + (Math.random() * cellSize * 0.6 - cellSize * 0.3);
-            const randomZ = baseZ + (Math.random() * cellSize * 0.6 - cellSize * 0.3);
+    // Create a list of potential positions with some randomness within each grid cell
+    function createPotentialPositions(count, jitter) {
+        const gridSize = Math.ceil(Math.sqrt(count * 2)); // 2x more grid cells than objects for better distribution
+        const cellSize = size / gridSize;
+        const positions = [];
+
+        for (let x = 0; x < gridSize; x++) {
+            for (let z = 0; z < gridSize; z++) {
+                // Calculate base position in the grid
+                const baseX = minX + (x * cellSize) + (cellSize / 2);
+                const baseZ = minZ + (z * cellSize) + (cellSize / 2);
+
+                // Add randomness within the cell
+                const randomX = baseX + (random.next() * cellSize * jitter * 2 - cellSize * jitter);
+                const randomZ = baseZ + (random.next() * cellSize * jitter * 2 - cellSize * jitter);
+
+                positions.push(new THREE.Vector2(randomX, randomZ));
+            }
+        }
 
-            rockPotentialPositions.push(new THREE.Vector2(randomX, randomZ));
+        // Shuffle the positions for more natural distribution
+        for (let i = positions.length - 1; i > 0; i--) {
+            const j = Math.floor(random.next() * (i + 1));
+            [positions[i], positions[j]] = [positions[j], positions[i]];
         }
-    }
 
-    // Shuffle the positions for more natural distribution
-    for (let i = rockPotentialPositions.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [rockPotentialPositions[i], rockPotentialPositions[j]] = [rockPotentialPositions[j], rockPotentialPositions[i]];
+        return positions;
     }
 
-    // Function to check if a rock position is too close to existing rocks or trees
-    // Optimized for better performance with many objects
-    function isRockTooClose(position) {
-        // Check distance to trees with quick spatial check first
-        const treeCheckDistance = minTreeDistance / 2; // Rocks can be closer to trees than trees to trees
-        for (const treePos of treePositions) {
-            // Quick check on x and y separately before doing the more expensive distance calculation
-            if (Math.abs(position.x - treePos.x) < treeCheckDistance &&
-                Math.abs(position.y - treePos.y) < treeCheckDistance) {
-
-                const distance = position.distanceTo(treePos);
-                if (distance < treeCheckDistance) {
-                    return true;
-                }
-            }
-        }
-
-        // Check distance to other rocks with quick spatial check first
-        for (const rockPos of rockPositions) {
+    // Check if a position is within a distance of any of the given positions
+    function isTooClose(position, existingPositions, minDistance) {
+        for (const existingPos of existingPositions) {
             // Quick check on x and y separately before doing the more expensive distance calculation
-            if (Math.abs(position.x - rockPos.x) < minRockDistance &&
-                Math.abs(position.y - rockPos.y) < minRockDistance) {
+            if (Math.abs(position.x - existingPos.x) < minDistance &&
+                Math.abs(position.y - existingPos.y) < minDistance) {
 
-                const distance = position.distanceTo(rockPos);
-                if (distance < minRockDistance) {
+                if (position.distanceTo(existingPos) < minDistance) {
                     return true;
                 }
             }
         }
-
         return false;
     }
 
-    // Place rocks using the potential positions
-    let rocksPlaced = 0;
-    for (const position of rockPotentialPositions) {
-        // Skip if too close to trees or other rocks
-        if (isRockTooClose(position)) {
+    // Place trees using the potential positions
+    for (const position of createPotentialPositions(treeCount, 0.4)) {
+        if (treePositions.length >= treeCount) break;
+
+        // Skip if too close to another tree, inside the starting clearing or under water
+        if (isTooClose(position, treePositions, minTreeDistance) ||
+            position.distanceTo(playerStartPos) < clearingRadius ||
+            terrain.isUnderWater(position.x, position.y)) {
             continue;
         }
 
-        let rock;
-
-        if (rockModel && !useFallbackTrees) { // If rock model is loaded and we're not using fallbacks
-            // Use the loaded rock model
-            rock = rockModel.clone();
+        objects.push(createTree(position.x, position.y, random));
+        treePositions.push(position);
+    }
 
-            // Scale the rock to be very small with minimal randomness
-            const scale = 0.005 + Math.random() * 0.002; // Random scale between 0.005 and 0.007
-            rock.scale.set(scale, scale, scale);
+    // Place rocks, which can be closer to trees than trees to trees
+    for (const position of createPotentialPositions(rockCount, 0.3)) {
+        if (rockPositions.length >= rockCount) break;
 
-            // Rotate for variety
-            rock.rotation.set(
-                Math.random() * Math.PI,
-                Math.random() * Math.PI * 2,
-                Math.random() * Math.PI
-            );
-        } else {
-            // Fallback to procedural rock if model isn't loaded
-            const rockGeometry = new THREE.DodecahedronGeometry(0.5);
-            const vertices = rockGeometry.attributes.position.array;
-            for (let j = 0; j < vertices.length; j += 3) {
-                vertices[j] *= 0.8 + Math.random() * 0.4;
-                vertices[j + 1] *= 0.8 + Math.random() * 0.4;
-                vertices[j + 2] *= 0.8 + Math.random() * 0.4;
-            }
-            const rockMaterial = new THREE.MeshStandardMaterial({
-                color: 0x808080,
-                roughness: 0.9,
-                metalness: 0.1
-            });
-            rock = new THREE.Mesh(rockGeometry, rockMaterial);
-            rock.rotation.set(
-                Math.random() * Math.PI,
-                Math.random() * Math.PI,
-                Math.random() * Math.PI
-            );
+        if (isTooClose(position, treePositions, minTreeDistance / 2) ||
+            isTooClose(position, rockPositions, minRockDistance) ||
+            terrain.isUnderWater(position.x, position.y)) {
+            continue;
         }
 
-        // Position the rock using our grid-based position
-        rock.position.set(
-            position.x,
-            0, // Position at ground level, the model has its own height
-            position.y // Vector2 uses y for the z-coordinate
-        );
+        objects.push(createRock(position.x, position.y, random));
+        rockPositions.push(position);
+    }
 
-        rock.userData.type = 'rock';
-        rock.castShadow = true;
-        scene.add(rock);
-        interactableObjects.push(rock);
+    return objects;
+}
 
-        // Store the position for collision detection
-        rockPositions.push(position);
+function addEnvironmentObjects(useFallbackTrees = false) {
+    // The models may finish loading after the fallback timeout, only build the world once
+    if (environmentCreated) return;
+    environmentCreated = true;
+    useFallbackModels = useFallbackTrees;
 
-        rocksPlaced++;
-        if (rocksPlaced >= rockCount) {
-            break;
-        }
-    }
+    // Trees and rocks are generated chunk by chunk as the player explores
+    console.log('Adding forest to the chunk system...');
+    chunkSystem.addLayer('forest', populateForest);
+    chunkSystem.addRestorer('logs', entry => createLogPile(new THREE.Vector3().fromArray(entry.position)));
+    chunkSystem.addRestorer('tree', entry => treeRegenerationSystem.restoreTree(entry));
+
+    // Generate the chunks around the player straight away
+    chunkSystem.update(camera.position, true);
 
-    console.log(`Placed ${rocksPlaced} rocks in the environment`);
+    const treeObjects = scene.children.filter(obj => obj.userData.type === 'tree');
+    console.log(`Placed ${treeObjects.length} trees around the player`);
 
     // Initialize the alien after environment is created
     if (treeObjects.length > 0) {
         console.log('Initializing alien to stalk the player...');
-        alien = new Alien(scene, camera, camera.position);
+        alien = new Alien(scene, camera, camera.position, terrain, worldRandom.fork('alien'));
     } else {
         console.warn('No trees available for alien to hide behind');
     }
 
     // Initialize the tree regeneration system
     console.log('Initializing tree regeneration system...');
-    treeRegenerationSystem = new TreeRegenerationSystem(scene, interactableObjects);
+    treeRegenerationSystem = new TreeRegenerationSystem(scene, interactableObjects, terrain, worldRandom.fork('treeRegeneration'));
     treeRegenerationSystem.setTreeModel(treeModel);
 
-    // Convert tree positions from Vector2 to match the format used in the regeneration system
-    const treePositionsForSystem = treePositions.map(pos => new THREE.Vector2(pos.x, pos.y));
-    treeRegenerationSystem.updateTreePositions(treePositionsForSystem);
-
     // Initialize the day-night cycle
     console.log('Initializing day-night cycle...');
     dayNightCycle = new DayNightCycle(scene, skyParams, updateSunPosition);
 
     // Initialize the UFO system
     console.log('Initializing UFO system...');
-    ufoSystem = new UFOSystem(scene, camera, camera.position);
+    ufoSystem = new UFOSystem(scene, camera, camera.position, terrain);
+
+    // Flares and signal jammers the player can use against the UFO, fire arrows can hit it
+    ufoDefenses = new UFODefenseSystem(scene, terrain);
+    ufoSystem.defenses = ufoDefenses;
+    bowAndArrowSystem.ufoSystem = ufoSystem;
+
+    // Initialize the player's vitals
+    console.log('Initializing player vitals...');
+    playerVitals = new PlayerVitals(scene, camera.position, dayNightCycle, ufoSystem, buildingSystem);
+
+    // The alien gets bolder as the days pass and the player is exposed, and raids dropped items
+    if (alien) {
+        alien.dayNightCycle = dayNightCycle;
+        alien.buildingSystem = buildingSystem;
+        alien.playerVitals = playerVitals;
+        alien.pickupSystem = pickupSystem;
+        bowAndArrowSystem.alien = alien;
+    }
 
     // Initialize the game over menu
     console.log('Initializing game over menu...');
@@ -1625,6 +2021,10 @@ function addEnvironmentObjects(useFallbackTrees = false) {
     gameOverMenu.initialize(() => {
         // Restart game when button is clicked
         location.reload();
+    }, () => {
+        // Load the autosave into a fresh scene after reloading
+        sessionStorage.setItem(PENDING_LOAD_KEY, AUTOSAVE_SLOT);
+        location.reload();
     });
 
     // Set up day-night cycle callbacks
@@ -1637,7 +2037,14 @@ function addEnvironmentObjects(useFallbackTrees = false) {
         // Night end callback
         () => {
             console.log('Night has ended, UFO is disappearing...');
+            rewardNightSurvived(ufoSystem.getNightReward(), ufoSystem.hasRetreated);
             ufoSystem.endNightCycle();
+
+            // Autosave at dawn so surviving the night gives a checkpoint
+            if (saveSystem && !saveSystem.isLoading) {
+                console.log('Autosaving at dawn...');
+                saveSystem.save(AUTOSAVE_SLOT);
+            }
         }
     );
 
@@ -1648,13 +2055,75 @@ function addEnvironmentObjects(useFallbackTrees = false) {
     console.log('Initializing day-night HUD...');
     dayNightHUD = new DayNightHUD(dayNightCycle);
     dayNightHUD.initialize();
+    dayNightHUD.setSeed(worldSeed);
+
+    // Initialize the vitals HUD next to the day-night dial
+    vitalsHUD = new VitalsHUD(playerVitals);
+    vitalsHUD.initialize();
+
+    // Initialize the save system
+    console.log('Initializing save system...');
+    saveSystem = new SaveSystem({
+        worldSeed,
+        renderer,
+        scene,
+        camera,
+        inventory,
+        buildingSystem,
+        craftingSystem,
+        treeRegenerationSystem,
+        chunkSystem,
+        dayNightCycle,
+        playerVitals,
+        pickupSystem
+    });
+    saveSystem.onSeedMismatch = (seed, slotName) => {
+        // The terrain comes from the seed, so rebuild the world with the save's seed first
+        sessionStorage.setItem(PENDING_LOAD_KEY, slotName);
+        reloadWithSeed(seed);
+    };
+    saveSystem.onAfterLoad = () => {
+        // Chop progress belonged to the trees that were replaced
+        treeHealth.clear();
+
+        // Hold whatever is in the loaded hotbar slot
+        if (heldItemSystem) {
+            heldItemSystem.update();
+        }
+    };
+
+    // Initialize the save slot menu
+    saveSlotMenu = new SaveSlotMenu(saveSystem);
+    saveSlotMenu.initialize((slotName) => {
+        updatePrompts(`Loaded "${slotName}"`);
+        setTimeout(() => updatePrompts(''), 2000); // Clear message after 2 seconds
+    });
+
+    // Load a save requested before the page was reloaded (e.g. from the game over menu)
+    const pendingLoadSlot = sessionStorage.getItem(PENDING_LOAD_KEY);
+    if (pendingLoadSlot) {
+        sessionStorage.removeItem(PENDING_LOAD_KEY);
+        console.log(`Loading pending save slot "${pendingLoadSlot}"...`);
+        saveSystem.load(pendingLoadSlot);
+    }
 
-    // Update terminal with day-night cycle reference
+    // Update terminal with day-night cycle and save system references
     if (terminal) {
         terminal.game.dayNightCycle = dayNightCycle;
+        terminal.game.alien = alien;
+        terminal.game.saveSystem = saveSystem;
+        terminal.game.worldSeed = worldSeed;
+        terminal.game.reloadWithSeed = reloadWithSeed;
     }
 }
 
+// Reload the page to build a new world from the given seed
+function reloadWithSeed(seed) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', seed);
+    window.location.href = url.toString();
+}
+
 // Function to reset axe position to default (can be called from console for testing)
 function resetAxePosition() {
     // Set to our new improved default position and rotation
@@ -1707,10 +2176,10 @@ function setupEditorControls() {
             let weaponMesh;
             let weaponName;
 
-            if (equippedWeapon === 'axe' && axeMesh) {
+            if (getHeldItemType() === 'axe' && axeMesh) {
                 weaponMesh = axeMesh;
                 weaponName = 'Axe';
-            } else if (equippedWeapon === 'bow' && bowAndArrowSystem && bowAndArrowSystem.bowMesh) {
+            } else if (getHeldItemType() === 'bow' && bowAndArrowSystem && bowAndArrowSystem.bowMesh) {
                 weaponMesh = bowAndArrowSystem.bowMesh;
                 weaponName = 'Bow';
             }
@@ -1763,7 +2232,7 @@ function setupEditorControls() {
             }
         } else if (editingMode === 1) {
             // Editing arrow on bow
-            if (equippedWeapon === 'bow' && bowAndArrowSystem && bowAndArrowSystem.currentArrow) {
+            if (getHeldItemType() === 'bow' && bowAndArrowSystem && bowAndArrowSystem.currentArrow) {
                 const arrowMesh = bowAndArrowSystem.currentArrow;
                 const pos = arrowMesh.position;
                 const rot = arrowMesh.rotation;
@@ -1798,7 +2267,7 @@ function setupEditorControls() {
             }
         } else if (editingMode === 2) {
             // Editing arrow shooting orientation
-            if (equippedWeapon === 'bow' && bowAndArrowSystem) {
+            if (getHeldItemType() === 'bow' && bowAndArrowSystem) {
                 // Create the orientation helper if it doesn't exist
                 if (!bowAndArrowSystem.shootingOrientationHelper) {
                     bowAndArrowSystem.createShootingOrientationHelper();
@@ -1844,7 +2313,7 @@ function setupEditorControls() {
                 let instructions = 'EDITOR MODE - Arrow keys to move, < > for height, WASD to rotate';
 
                 // Add scale instructions for bow
-                if (equippedWeapon === 'bow') {
+                if (getHeldItemType() === 'bow') {
                     instructions += ', Z/X to scale, CTRL+E to save';
                 } else {
                     instructions += ', CTRL+E to save';
@@ -1863,7 +2332,7 @@ function setupEditorControls() {
                 // Exit editor mode and save changes
                 if (editingMode === 0) {
                     // Save weapon position
-                    if (equippedWeapon === 'axe' && axeMesh) {
+                    if (getHeldItemType() === 'axe' && axeMesh) {
                         // Save axe position and rotation
                         axePosition.copy(axeMesh.position);
                         axeRotation.copy(axeMesh.rotation);
@@ -1871,7 +2340,7 @@ function setupEditorControls() {
                         localStorage.setItem('axeRotation', JSON.stringify([axeMesh.rotation.x, axeMesh.rotation.y, axeMesh.rotation.z]));
                         console.log('Saved axe position:', [axeMesh.position.x, axeMesh.position.y, axeMesh.position.z]);
                         console.log('Saved axe rotation:', [axeMesh.rotation.x, axeMesh.rotation.y, axeMesh.rotation.z]);
-                    } else if (equippedWeapon === 'bow' && bowAndArrowSystem && bowAndArrowSystem.bowMesh) {
+                    } else if (getHeldItemType() === 'bow' && bowAndArrowSystem && bowAndArrowSystem.bowMesh) {
                         // Save bow position, rotation, and scale
                         const bowMesh = bowAndArrowSystem.bowMesh;
                         bowAndArrowSystem.bowPosition.copy(bowMesh.position);
@@ -1889,7 +2358,7 @@ function setupEditorControls() {
                     }
                 } else if (editingMode === 1 || editingMode === 2) {
                     // Save arrow position, rotation, and scale (mode 1) or orientation (mode 2)
-                    if (equippedWeapon === 'bow' && bowAndArrowSystem) {
+                    if (getHeldItemType() === 'bow' && bowAndArrowSystem) {
                         // If we were in orientation editing mode, save the shooting orientation
                         if (editingMode === 2) {
                             // Save the shooting orientation
@@ -1937,7 +2406,7 @@ function setupEditorControls() {
 
         // Special handling for orientation editing mode
         if (editingMode === 2) {
-            if (equippedWeapon === 'bow' && bowAndArrowSystem) {
+            if (getHeldItemType() === 'bow' && bowAndArrowSystem) {
                 // Get the orientation to edit
                 const orientation = bowAndArrowSystem.shootingOrientation;
 
@@ -1982,16 +2451,16 @@ function setupEditorControls() {
 
         if (editingMode === 0) {
             // Editing weapon
-            if (equippedWeapon === 'axe' && axeMesh) {
+            if (getHeldItemType() === 'axe' && axeMesh) {
                 targetMesh = axeMesh;
-            } else if (equippedWeapon === 'bow' && bowAndArrowSystem && bowAndArrowSystem.bowMesh) {
+            } else if (getHeldItemType() === 'bow' && bowAndArrowSystem && bowAndArrowSystem.bowMesh) {
                 targetMesh = bowAndArrowSystem.bowMesh;
             } else {
                 return; // No weapon to edit
             }
         } else if (editingMode === 1) {
             // Editing arrow
-            if (equippedWeapon === 'bow' && bowAndArrowSystem && bowAndArrowSystem.currentArrow) {
+            if (getHeldItemType() === 'bow' && bowAndArrowSystem && bowAndArrowSystem.currentArrow) {
                 targetMesh = bowAndArrowSystem.currentArrow;
             } else {
                 // No arrow to edit, switch back to weapon
@@ -2084,14 +2553,14 @@ function setupEditorControls() {
                     ROTATE_SPEED = 0.001;
                     SCALE_SPEED = 0.01;
                     let finePrompt = 'EDITOR MODE - Fine adjustment (0.001) - Arrows/< > to move, WASD/QE to rotate';
-                    if (equippedWeapon === 'bow') {
+                    if (getHeldItemType() === 'bow') {
                         finePrompt += ', Z/X to scale';
                     }
                     document.getElementById('interaction-prompt').textContent = finePrompt;
                 }
                 break;
             case 'Digit2':
-                if (equippedWeapon === 'bow' && bowAndArrowSystem && bowAndArrowSystem.isArrowNocked) {
+                if (getHeldItemType() === 'bow' && bowAndArrowSystem && bowAndArrowSystem.isArrowNocked) {
                     // Switch to editing arrow position (from either weapon or orientation mode)
                     editingMode = 1;
                     updatePositionDisplay();
@@ -2102,14 +2571,14 @@ function setupEditorControls() {
                     ROTATE_SPEED = 0.01;
                     SCALE_SPEED = 0.1;
                     let mediumPrompt = 'EDITOR MODE - Medium adjustment (0.01) - Arrows/< > to move, WASD/QE to rotate';
-                    if (equippedWeapon === 'bow') {
+                    if (getHeldItemType() === 'bow') {
                         mediumPrompt += ', Z/X to scale';
                     }
                     document.getElementById('interaction-prompt').textContent = mediumPrompt;
                 }
                 break;
             case 'Digit3':
-                if (equippedWeapon === 'bow' && bowAndArrowSystem) {
+                if (getHeldItemType() === 'bow' && bowAndArrowSystem) {
                     // Switch to editing arrow shooting orientation
                     editingMode = 2;
                     updatePositionDisplay();
@@ -2125,7 +2594,7 @@ function setupEditorControls() {
                     ROTATE_SPEED = 0.1;
                     SCALE_SPEED = 0.5;
                     let coarsePrompt = 'EDITOR MODE - Coarse adjustment (0.1) - Arrows/< > to move, WASD/QE to rotate';
-                    if (equippedWeapon === 'bow') {
+                    if (getHeldItemType() === 'bow') {
                         coarsePrompt += ', Z/X to scale';
                     }
                     document.getElementById('interaction-prompt').textContent = coarsePrompt;
@@ -2161,6 +2630,15 @@ function onKeyDown(event) {
         return;
     }
 
+    // Handle inventory window toggle with Tab key
+    if (event.code === 'Tab') {
+        if (inventoryWindow) {
+            inventoryWindow.toggle();
+        }
+        event.preventDefault();
+        return;
+    }
+
     // Handle crafting menu toggle with I key
     if (event.code === 'KeyI') {
         if (craftingSystem) {
@@ -2190,15 +2668,9 @@ function onKeyDown(event) {
             break;
         case 'Space':
             spacePressed = true;
-            if (equippedWeapon === 'axe' && inventory.hasItems(['axe'])) {
-                // Only start animation and try chopping if not already animating
-                if (!axeAnimating) {
-                    startAxeAnimation();
-                    tryChopTree();
-                }
-            } else if (equippedWeapon === 'bow' && inventory.hasItems(['bow', 'arrow'])) {
-                // Shoot arrow
-                bowAndArrowSystem.shootArrow();
+            // Use the held item, e.g. chop with the axe or shoot the bow
+            if (heldItemSystem && controls.isLocked) {
+                heldItemSystem.usePrimary();
             }
             break;
         case 'KeyB':
@@ -2208,6 +2680,14 @@ function onKeyDown(event) {
                 forceCleanupAllBlueprints();
             }
 
+            // Leave deconstruct or upgrade mode instead of opening the menu
+            if (buildingSystem.pieceAction) {
+                console.log(`B KEY: Leaving ${buildingSystem.pieceAction} mode`);
+                buildingSystem.stopPieceAction();
+                updatePrompts('');
+                break;
+            }
+
             // Toggle the building menu: close if open, open if closed
             if (buildingSystem.isBuildingMenuOpen()) {
                 console.log('B KEY: Closing building menu');
@@ -2227,11 +2707,28 @@ function onKeyDown(event) {
                 buildingSystem.cancelBuilding();
             }
 
+            if (buildingSystem.pieceAction) {
+                buildingSystem.stopPieceAction();
+                updatePrompts('');
+            }
+
             // Cancel crafting placement if active
             if (craftingSystem && craftingSystem.isCrafting) {
                 console.log('Cancelling crafting placement via Escape key');
                 craftingSystem.cancelPlacement();
             }
+
+            // Close the save slot menu if open
+            if (saveSlotMenu && saveSlotMenu.isVisible) {
+                saveSlotMenu.hide();
+            }
+            break;
+
+        case 'KeyP':
+            // Toggle the save slot menu
+            if (saveSlotMenu) {
+                saveSlotMenu.toggle();
+            }
             break;
 
         case 'KeyT':
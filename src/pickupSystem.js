@@ -0,0 +1,122 @@
+import * as THREE from 'three';
+import { Item } from './inventory.js';
+import { createItemIconCanvas } from './itemIcons.js';
+
+export class PickupSystem {
+    constructor(scene, interactableObjects, terrain = null) {
+        this.scene = scene;
+        this.interactableObjects = interactableObjects;
+        this.terrain = terrain; // Used to rest pickups on the ground
+        this.pickups = []; // Items dropped in the world
+        this.iconTextures = {}; // Item type -> icon texture, shared between pickups
+        this.elapsed = 0;
+    }
+
+    // Get the terrain height, or 0 on flat ground
+    getGroundHeight(x, z) {
+        return this.terrain ? this.terrain.getHeightAt(x, z) : 0;
+    }
+
+    getIconTexture(itemType) {
+        if (!this.iconTextures[itemType]) {
+            this.iconTextures[itemType] = new THREE.CanvasTexture(createItemIconCanvas(itemType));
+        }
+        return this.iconTextures[itemType];
+    }
+
+    // Drop an item into the world as a small box showing its icon
+    spawnPickup(item, position) {
+        const pickup = new THREE.Mesh(
+            new THREE.BoxGeometry(0.3, 0.3, 0.3),
+            new THREE.MeshStandardMaterial({
+                map: this.getIconTexture(item.type),
+                roughness: 0.8,
+                metalness: 0.1
+            })
+        );
+        pickup.castShadow = true;
+
+        const groundHeight = this.getGroundHeight(position.x, position.z);
+        pickup.position.set(position.x, groundHeight + 0.3, position.z);
+
+        pickup.userData.type = 'pickup';
+        pickup.userData.item = new Item(item.type, item.quantity, item.metadata);
+        pickup.userData.baseHeight = pickup.position.y;
+
+        this.scene.add(pickup);
+        this.interactableObjects.push(pickup);
+        this.pickups.push(pickup);
+
+        console.log(`Dropped ${item.quantity} ${item.type} at ${position.x.toFixed(2)}, ${position.z.toFixed(2)}`);
+        return pickup;
+    }
+
+    // Pick up as much of a dropped item as fits in the inventory
+    collect(pickup, inventory) {
+        const item = pickup.userData.item;
+        const before = inventory.getItemCount(item.type);
+        inventory.addItem(new Item(item.type, item.quantity, item.metadata));
+        const collected = inventory.getItemCount(item.type) - before;
+
+        if (collected >= item.quantity) {
+            this.removePickup(pickup);
+        } else {
+            // The inventory is full, leave the rest on the ground
+            item.quantity -= collected;
+        }
+
+        return collected;
+    }
+
+    removePickup(pickup) {
+        this.scene.remove(pickup);
+        pickup.geometry.dispose();
+        pickup.material.dispose();
+
+        let index = this.pickups.indexOf(pickup);
+        if (index > -1) {
+            this.pickups.splice(index, 1);
+        }
+
+        index = this.interactableObjects.indexOf(pickup);
+        if (index > -1) {
+            this.interactableObjects.splice(index, 1);
+        }
+    }
+
+    // Spin and bob the pickups so they stand out
+    update(deltaTime) {
+        this.elapsed += deltaTime;
+
+        for (const pickup of this.pickups) {
+            pickup.rotation.y += deltaTime;
+            pickup.position.y = pickup.userData.baseHeight + Math.sin(this.elapsed * 2) * 0.05;
+        }
+    }
+
+    serialize() {
+        return {
+            pickups: this.pickups.map(pickup => ({
+                type: pickup.userData.item.type,
+                quantity: pickup.userData.item.quantity,
+                metadata: pickup.userData.item.metadata,
+                position: pickup.position.toArray()
+            }))
+        };
+    }
+
+    deserialize(data) {
+        for (const pickup of [...this.pickups]) {
+            this.removePickup(pickup);
+        }
+
+        for (const pickupData of data.pickups || []) {
+            this.spawnPickup(
+                new Item(pickupData.type, pickupData.quantity, pickupData.metadata || {}),
+                new THREE.Vector3().fromArray(pickupData.position)
+            );
+        }
+
+        console.log(`Loaded ${this.pickups.length} dropped items`);
+    }
+}
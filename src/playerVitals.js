@@ -0,0 +1,170 @@
+import * as THREE from 'three';
+
+// Messages shown on the game over screen for each way the player can die
+const DEATH_MESSAGES = {
+    starvation: 'You starved to death in the wilderness!',
+    dehydration: 'You died of thirst in the wilderness!',
+    hypothermia: 'You froze to death in the cold night!',
+    'food poisoning': 'You died from eating raw meat!',
+    alien: 'The alien got you!'
+};
+
+export class PlayerVitals {
+    constructor(scene, playerPosition, dayNightCycle, ufoSystem, buildingSystem) {
+        this.scene = scene;
+        this.playerPosition = playerPosition;
+        this.dayNightCycle = dayNightCycle;
+        this.ufoSystem = ufoSystem; // The UFO that comes for the player at night
+        this.buildingSystem = buildingSystem;
+
+        // Vitals, hunger and thirst are how full the player is (100 = full)
+        this.maxValue = 100;
+        this.health = this.maxValue;
+        this.hunger = this.maxValue;
+        this.thirst = this.maxValue;
+        this.temperature = 37; // Body temperature in degrees Celsius
+
+        // Drain rates per second
+        this.hungerRate = this.maxValue / (20 * 60); // Empty after 20 minutes
+        this.thirstRate = this.maxValue / (12 * 60); // Empty after 12 minutes
+        this.starvationDamage = 0.5; // Health lost per second with an empty stomach
+        this.dehydrationDamage = 0.75; // Health lost per second when fully dehydrated
+        this.coldDamage = 0.8; // Health lost per second for each degree below the cold threshold
+        this.healthRegenRate = 0.2; // Health gained per second when fed, watered and warm
+
+        // Temperature settings
+        this.normalTemperature = 37;
+        this.dayTemperature = 37; // Body temperature the player settles at during the day
+        this.nightTemperature = 33; // Body temperature the player settles at outside at night
+        this.coldThreshold = 35; // Below this the player starts taking damage
+        this.temperatureChangeRate = 0.035; // Degrees per second towards the target temperature
+        this.bonfireWarmth = 5; // Degrees added when standing right next to a lit bonfire
+        this.bonfireRange = 8; // Distance at which a bonfire stops warming the player
+        this.shelterWarmth = 3; // Degrees added inside a fully enclosed building
+
+        this.isDead = false;
+        this.causeOfDeath = null;
+        this.lastDamageCause = null;
+    }
+
+    // Find how much warmth the nearest lit bonfire gives at the player's position
+    getBonfireWarmth() {
+        let warmth = 0;
+
+        for (const object of this.scene.children) {
+            if (object.userData.type !== 'bonfire' || !object.userData.isLit) continue;
+
+            const distance = object.position.distanceTo(this.playerPosition);
+            if (distance < this.bonfireRange) {
+                // Warmer the closer the player stands to the fire
+                warmth = Math.max(warmth, this.bonfireWarmth * (1 - distance / this.bonfireRange));
+            }
+        }
+
+        return warmth;
+    }
+
+    // Work out the body temperature the player is heading towards
+    getTargetTemperature() {
+        let target = this.dayNightCycle && this.dayNightCycle.isNight ? this.nightTemperature : this.dayTemperature;
+
+        if (this.buildingSystem) {
+            // A roof with walls around it keeps more warmth in than a roof alone,
+            // and stone and metal buildings keep more in than wooden ones
+            const shelter = this.buildingSystem.getShelterAt(this.playerPosition);
+            if (shelter.roofCoverage > 0) {
+                target += this.shelterWarmth * shelter.score * this.buildingSystem.getInsulationAt(this.playerPosition);
+            }
+        }
+
+        target += this.getBonfireWarmth();
+
+        // Fires can warm the player up, but never give them a fever
+        return Math.min(target, this.normalTemperature + 1);
+    }
+
+    damage(amount, cause) {
+        if (this.isDead || amount <= 0) return;
+
+        this.health = Math.max(0, this.health - amount);
+        this.lastDamageCause = cause;
+    }
+
+    heal(amount) {
+        this.health = Math.min(this.maxValue, this.health + amount);
+    }
+
+    eat(amount) {
+        this.hunger = THREE.MathUtils.clamp(this.hunger + amount, 0, this.maxValue);
+    }
+
+    drink(amount) {
+        this.thirst = THREE.MathUtils.clamp(this.thirst + amount, 0, this.maxValue);
+    }
+
+    getDeathMessage() {
+        return DEATH_MESSAGES[this.causeOfDeath] || 'You died in the wilderness!';
+    }
+
+    // Update the vitals, returns true on the frame the player dies
+    update(deltaTime) {
+        if (this.isDead) return false;
+
+        // Hunger and thirst drain over time
+        this.hunger = Math.max(0, this.hunger - this.hungerRate * deltaTime);
+        this.thirst = Math.max(0, this.thirst - this.thirstRate * deltaTime);
+
+        // Body temperature moves slowly towards the temperature of the surroundings
+        const targetTemperature = this.getTargetTemperature();
+        const change = this.temperatureChangeRate * deltaTime;
+        if (this.temperature < targetTemperature) {
+            this.temperature = Math.min(targetTemperature, this.temperature + change);
+        } else {
+            this.temperature = Math.max(targetTemperature, this.temperature - change);
+        }
+
+        // Take damage from whatever the player is lacking
+        if (this.hunger <= 0) {
+            this.damage(this.starvationDamage * deltaTime, 'starvation');
+        }
+        if (this.thirst <= 0) {
+            this.damage(this.dehydrationDamage * deltaTime, 'dehydration');
+        }
+        if (this.temperature < this.coldThreshold) {
+            this.damage((this.coldThreshold - this.temperature) * this.coldDamage * deltaTime, 'hypothermia');
+        }
+
+        // Recover slowly when well fed, watered and warm
+        if (this.hunger > this.maxValue / 2 && this.thirst > this.maxValue / 2 && this.temperature >= this.coldThreshold + 1) {
+            this.heal(this.healthRegenRate * deltaTime);
+        }
+
+        if (this.health <= 0) {
+            this.isDead = true;
+            this.causeOfDeath = this.lastDamageCause;
+            console.log(`Player died of ${this.causeOfDeath}`);
+            return true;
+        }
+
+        return false;
+    }
+
+    serialize() {
+        return {
+            health: this.health,
+            hunger: this.hunger,
+            thirst: this.thirst,
+            temperature: this.temperature
+        };
+    }
+
+    deserialize(data) {
+        this.health = data.health;
+        this.hunger = data.hunger;
+        this.thirst = data.thirst;
+        this.temperature = data.temperature;
+        this.isDead = false;
+        this.causeOfDeath = null;
+        this.lastDamageCause = null;
+    }
+}
@@ -0,0 +1,83 @@
+import * as THREE from 'three';
+
+// Models built in code for recipes that don't have a .glb file, recipes
+// pick one by name with "proceduralModel"
+export const PROCEDURAL_MODELS = {
+    // A plank table on four legs
+    workbench: () => {
+        const workbench = new THREE.Group();
+        const woodMaterial = new THREE.MeshStandardMaterial({ color: 0x8b5a2b, roughness: 0.9, metalness: 0.0 });
+
+        const top = new THREE.Mesh(new THREE.BoxGeometry(1.6, 0.12, 0.8), woodMaterial);
+        top.position.y = 0.9;
+        workbench.add(top);
+
+        const legGeometry = new THREE.BoxGeometry(0.1, 0.84, 0.1);
+        for (const x of [-0.7, 0.7]) {
+            for (const z of [-0.3, 0.3]) {
+                const leg = new THREE.Mesh(legGeometry, woodMaterial);
+                leg.position.set(x, 0.42, z);
+                workbench.add(leg);
+            }
+        }
+
+        // A rock on the bench to sharpen tools with
+        const whetstone = new THREE.Mesh(
+            new THREE.DodecahedronGeometry(0.12),
+            new THREE.MeshStandardMaterial({ color: 0x888888, roughness: 0.8 })
+        );
+        whetstone.position.set(0.45, 1.02, 0);
+        workbench.add(whetstone);
+
+        workbench.traverse(node => {
+            if (node.isMesh) {
+                node.castShadow = true;
+                node.receiveShadow = true;
+            }
+        });
+
+        return workbench;
+    },
+
+    // An alloy mast on a stone base with a dish and a blinking light on top
+    signalJammer: () => {
+        const jammer = new THREE.Group();
+        const metalMaterial = new THREE.MeshStandardMaterial({ color: 0xa0a8b0, roughness: 0.4, metalness: 0.7 });
+
+        const base = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.35, 0.45, 0.3, 8),
+            new THREE.MeshStandardMaterial({ color: 0x808080, roughness: 0.9 })
+        );
+        base.position.y = 0.15;
+        jammer.add(base);
+
+        const mast = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.05, 1.6, 8), metalMaterial);
+        mast.position.y = 1.1;
+        jammer.add(mast);
+
+        // Dish pointing at the sky
+        const dish = new THREE.Mesh(
+            new THREE.SphereGeometry(0.35, 12, 6, 0, Math.PI * 2, 0, Math.PI / 3),
+            new THREE.MeshStandardMaterial({ color: 0xa0a8b0, roughness: 0.4, metalness: 0.7, side: THREE.DoubleSide })
+        );
+        dish.rotation.x = Math.PI; // Open side up
+        dish.position.y = 2.2;
+        jammer.add(dish);
+
+        const light = new THREE.Mesh(
+            new THREE.SphereGeometry(0.05, 8, 6),
+            new THREE.MeshBasicMaterial({ color: 0x00ff66 })
+        );
+        light.position.y = 1.95;
+        jammer.add(light);
+
+        jammer.traverse(node => {
+            if (node.isMesh) {
+                node.castShadow = true;
+                node.receiveShadow = true;
+            }
+        });
+
+        return jammer;
+    }
+};
@@ -0,0 +1,48 @@
+// Seeded random numbers so the same world seed always builds the same world
+
+// Hash a string into a 32-bit unsigned integer (FNV-1a)
+function hashString(value) {
+    let hash = 2166136261;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// Turn user input (a number or any text) into a seed
+export function seedFromString(value) {
+    const trimmed = String(value).trim();
+    if (/^\d+$/.test(trimmed)) {
+        return Number(trimmed) >>> 0;
+    }
+    return hashString(trimmed);
+}
+
+// Pick a new seed for a fresh world
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+export class SeededRandom {
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Next number between 0 (inclusive) and 1 (exclusive), using mulberry32
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Create an independent generator for one system. Systems load at different
+    // times (e.g. grass waits for its model), so drawing from separate streams
+    // keeps each system's output the same no matter what order they run in
+    fork(label) {
+        return new SeededRandom(hashString(`${this.seed}:${label}`));
+    }
+}
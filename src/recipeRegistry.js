@@ -0,0 +1,125 @@
+// Every JSON file in src/recipes is a recipe. To add a new craftable item,
+// drop a file in that folder, no code changes are needed unless it needs a new hook
+const recipeFiles = import.meta.glob('./recipes/*.json', { eager: true, import: 'default' });
+
+// Named actions recipes can run after being crafted (onCraft) or placed (onPlace)
+export const RECIPE_HOOKS = {
+    // Equip the crafted item straight away (axe, bow)
+    equip: (recipe) => {
+        if (window.equipItem) {
+            window.equipItem(recipe.output.item);
+        }
+    },
+
+    // Wearing a backpack unlocks two more rows of inventory slots
+    unlockBackpack: (recipe, inventory) => {
+        if (inventory.unlockRows(2)) {
+            inventory.removeItem(recipe.output.item, 1);
+        }
+    },
+
+    // Placed bonfires start unlit until the player lights them
+    unlitBonfire: (recipe, placedObject) => {
+        placedObject.userData.isLit = false;
+        placedObject.userData.fireParticles = null; // Will hold fire particles when lit
+        console.log('Created unlit bonfire');
+    }
+};
+
+// Named checks a recipe must pass before it can be crafted, on top of having the ingredients
+export const RECIPE_CONDITIONS = {
+    // There's no point making another backpack once every row is unlocked
+    backpackNotFull: (recipe, inventory) => inventory.backpackRows < inventory.maxBackpackRows
+};
+
+export class RecipeRegistry {
+    constructor(recipes = Object.values(recipeFiles)) {
+        this.recipes = [];
+
+        for (const recipe of recipes) {
+            this.register(recipe);
+        }
+
+        // Keep the crafting menu in a stable order: by category, then by each recipe's order
+        this.recipes.sort((a, b) =>
+            a.category.localeCompare(b.category) || a.order - b.order || a.name.localeCompare(b.name));
+
+        console.log(`Loaded ${this.recipes.length} recipes`);
+    }
+
+    // Add a recipe, filling in defaults for optional fields
+    register(data) {
+        if (!data || !data.name || !data.output || !data.output.item) {
+            console.error('Skipping invalid recipe, it needs a name and an output item:', data);
+            return null;
+        }
+
+        if (this.get(data.name)) {
+            console.error(`Skipping duplicate recipe: ${data.name}`);
+            return null;
+        }
+
+        const hooks = data.hooks || {};
+        for (const hookName of [...(hooks.onCraft || []), ...(hooks.onPlace || [])]) {
+            if (!RECIPE_HOOKS[hookName]) {
+                console.warn(`Recipe ${data.name} uses unknown hook: ${hookName}`);
+            }
+        }
+        for (const conditionName of data.requires || []) {
+            if (!RECIPE_CONDITIONS[conditionName]) {
+                console.warn(`Recipe ${data.name} uses unknown condition: ${conditionName}`);
+            }
+        }
+
+        const recipe = {
+            name: data.name,
+            category: data.category || 'misc',
+            order: data.order || 0,
+            ingredients: data.ingredients || {},
+            output: { item: data.output.item, count: data.output.count || 1 },
+            modelPath: data.modelPath || null,
+            proceduralModel: data.proceduralModel || null, // Built in code when there's no model file
+            scale: data.scale || 1,
+            placeable: !!data.placeable,
+            equipment: !!data.equipment,
+            interactable: !!data.interactable,
+            hooks: { onCraft: hooks.onCraft || [], onPlace: hooks.onPlace || [] },
+            requires: data.requires || [],
+            model: null // Filled in once the model loads
+        };
+
+        this.recipes.push(recipe);
+        return recipe;
+    }
+
+    get(name) {
+        return this.recipes.find(recipe => recipe.name === name) || null;
+    }
+
+    // Find the recipe that makes an item type (e.g. the placed 'bonfire')
+    getByOutput(itemType) {
+        return this.recipes.find(recipe => recipe.output.item === itemType) || null;
+    }
+
+    getAll() {
+        return this.recipes;
+    }
+
+    // Check a recipe's conditions, unknown conditions don't block crafting
+    meetsConditions(recipe, ...args) {
+        return recipe.requires.every(conditionName => {
+            const condition = RECIPE_CONDITIONS[conditionName];
+            return !condition || condition(recipe, ...args);
+        });
+    }
+
+    // Run a recipe's hooks for an event, extra arguments are passed to each hook
+    runHooks(recipe, event, ...args) {
+        for (const hookName of recipe.hooks[event] || []) {
+            const hook = RECIPE_HOOKS[hookName];
+            if (hook) {
+                hook(recipe, ...args);
+            }
+        }
+    }
+}
@@ -0,0 +1,264 @@
+import { AUTOSAVE_SLOT } from './saveSystem.js';
+
+export class SaveSlotMenu {
+    constructor(saveSystem) {
+        this.saveSystem = saveSystem;
+        this.menuElement = null;
+        this.slotListElement = null;
+        this.nameInput = null;
+        this.isVisible = false;
+        this.onLoadCallback = null; // Called after a slot has been loaded
+    }
+
+    initialize(onLoadCallback) {
+        this.onLoadCallback = onLoadCallback;
+
+        // Create the menu element if it doesn't exist
+        if (!this.menuElement) {
+            this.createMenuElement();
+        }
+    }
+
+    createMenuElement() {
+        // Create the menu container
+        this.menuElement = document.createElement('div');
+        this.menuElement.id = 'save-slot-menu';
+        this.menuElement.style.position = 'fixed';
+        this.menuElement.style.top = '50%';
+        this.menuElement.style.left = '50%';
+        this.menuElement.style.transform = 'translate(-50%, -50%)';
+        this.menuElement.style.width = '480px';
+        this.menuElement.style.maxHeight = '80%';
+        this.menuElement.style.overflowY = 'auto';
+        this.menuElement.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+        this.menuElement.style.border = '2px solid white';
+        this.menuElement.style.borderRadius = '10px';
+        this.menuElement.style.padding = '20px';
+        this.menuElement.style.zIndex = '1000';
+        this.menuElement.style.fontFamily = 'Arial, sans-serif';
+        this.menuElement.style.color = 'white';
+        this.menuElement.style.display = 'none'; // Hidden by default
+
+        // Keep clicks inside the menu from locking the pointer
+        this.menuElement.addEventListener('click', (event) => {
+            event.stopPropagation();
+        });
+
+        // Create the title
+        const title = document.createElement('h2');
+        title.textContent = 'Save / Load';
+        title.style.marginTop = '0';
+        title.style.textAlign = 'center';
+        title.style.borderBottom = '1px solid white';
+        title.style.paddingBottom = '10px';
+        this.menuElement.appendChild(title);
+
+        // Create the new save row
+        const newSaveRow = document.createElement('div');
+        newSaveRow.style.display = 'flex';
+        newSaveRow.style.gap = '10px';
+        newSaveRow.style.marginBottom = '15px';
+
+        this.nameInput = document.createElement('input');
+        this.nameInput.type = 'text';
+        this.nameInput.placeholder = 'Save name';
+        this.nameInput.maxLength = 30;
+        this.nameInput.style.flex = '1';
+        this.nameInput.style.padding = '5px';
+        this.nameInput.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+        this.nameInput.style.color = 'white';
+        this.nameInput.style.border = '1px solid white';
+        this.nameInput.style.borderRadius = '5px';
+
+        // Don't let typing a name trigger game controls
+        this.nameInput.addEventListener('keydown', (event) => {
+            event.stopPropagation();
+            if (event.key === 'Enter') {
+                this.saveToSlot(this.nameInput.value.trim());
+            }
+        });
+
+        const saveButton = this.createButton('Save', '#4CAF50', () => {
+            this.saveToSlot(this.nameInput.value.trim());
+        });
+
+        newSaveRow.appendChild(this.nameInput);
+        newSaveRow.appendChild(saveButton);
+        this.menuElement.appendChild(newSaveRow);
+
+        // Create the slot list
+        this.slotListElement = document.createElement('div');
+        this.menuElement.appendChild(this.slotListElement);
+
+        // Create the close hint
+        const hint = document.createElement('div');
+        hint.textContent = 'Press P to close';
+        hint.style.marginTop = '15px';
+        hint.style.textAlign = 'center';
+        hint.style.fontSize = '12px';
+        hint.style.color = 'rgba(255, 255, 255, 0.7)';
+        this.menuElement.appendChild(hint);
+
+        // Add the menu to the document
+        document.body.appendChild(this.menuElement);
+    }
+
+    createButton(text, color, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.padding = '5px 10px';
+        button.style.backgroundColor = color;
+        button.style.color = 'white';
+        button.style.border = 'none';
+        button.style.borderRadius = '5px';
+        button.style.cursor = 'pointer';
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    // Rebuild the list of slots from the save system
+    refreshSlots() {
+        this.slotListElement.innerHTML = '';
+
+        const slots = this.saveSystem.listSlots();
+        if (slots.length === 0) {
+            const empty = document.createElement('div');
+            empty.textContent = 'No saved games yet';
+            empty.style.textAlign = 'center';
+            empty.style.color = 'rgba(255, 255, 255, 0.7)';
+            this.slotListElement.appendChild(empty);
+            return;
+        }
+
+        for (const slot of slots) {
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.alignItems = 'center';
+            row.style.gap = '10px';
+            row.style.padding = '5px';
+            row.style.marginBottom = '5px';
+            row.style.border = '1px solid rgba(255, 255, 255, 0.3)';
+            row.style.borderRadius = '5px';
+
+            // Thumbnail captured from the renderer when the slot was saved
+            const thumbnail = document.createElement('div');
+            thumbnail.style.width = '96px';
+            thumbnail.style.height = '54px';
+            thumbnail.style.flexShrink = '0';
+            thumbnail.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+            thumbnail.style.backgroundSize = 'cover';
+            if (slot.thumbnail) {
+                thumbnail.style.backgroundImage = `url(${slot.thumbnail})`;
+            }
+            row.appendChild(thumbnail);
+
+            // Slot name, timestamp and day number
+            const info = document.createElement('div');
+            info.style.flex = '1';
+            info.style.fontSize = '12px';
+
+            const name = document.createElement('div');
+            name.textContent = slot.name === AUTOSAVE_SLOT ? `${slot.name} (dawn)` : slot.name;
+            name.style.fontSize = '14px';
+            name.style.fontWeight = 'bold';
+            info.appendChild(name);
+
+            const savedAt = document.createElement('div');
+            savedAt.textContent = new Date(slot.savedAt).toLocaleString();
+            info.appendChild(savedAt);
+
+            if (slot.day) {
+                const day = document.createElement('div');
+                day.textContent = `Day ${slot.day}`;
+                info.appendChild(day);
+            }
+
+            row.appendChild(info);
+
+            row.appendChild(this.createButton('Load', '#2196F3', () => {
+                this.loadFromSlot(slot.name);
+            }));
+
+            // The autosave is overwritten every dawn, so only manual slots can be overwritten
+            if (slot.name !== AUTOSAVE_SLOT) {
+                row.appendChild(this.createButton('Overwrite', '#4CAF50', () => {
+                    this.saveToSlot(slot.name);
+                }));
+            }
+
+            row.appendChild(this.createButton('Delete', '#f44336', () => {
+                if (confirm(`Delete save "${slot.name}"?`)) {
+                    this.saveSystem.deleteSlot(slot.name);
+                    this.refreshSlots();
+                }
+            }));
+
+            this.slotListElement.appendChild(row);
+        }
+    }
+
+    saveToSlot(slotName) {
+        if (!slotName) {
+            alert('Please enter a name for the save');
+            return;
+        }
+
+        if (slotName === AUTOSAVE_SLOT) {
+            alert(`"${AUTOSAVE_SLOT}" is reserved for the dawn autosave`);
+            return;
+        }
+
+        if (!this.saveSystem.save(slotName)) {
+            alert('Failed to save the game. The browser storage may be full.');
+        }
+
+        this.nameInput.value = '';
+        this.refreshSlots();
+    }
+
+    loadFromSlot(slotName) {
+        this.hide();
+
+        this.saveSystem.load(slotName).then(result => {
+            if (!result) {
+                alert(`Failed to load "${slotName}"`);
+                return;
+            }
+
+            // The page is about to reload into the save's world and loads the slot from there
+            if (result === 'reloading') return;
+
+            if (this.onLoadCallback) {
+                this.onLoadCallback(slotName);
+            }
+        });
+    }
+
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    show() {
+        if (this.menuElement) {
+            this.refreshSlots();
+            this.menuElement.style.display = 'block';
+            this.isVisible = true;
+
+            // Unlock pointer so the menu can be used
+            if (document.pointerLockElement) {
+                document.exitPointerLock();
+            }
+        }
+    }
+
+    hide() {
+        if (this.menuElement) {
+            this.menuElement.style.display = 'none';
+            this.isVisible = false;
+        }
+    }
+}
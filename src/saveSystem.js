@@ -0,0 +1,243 @@
+// Bump this whenever the save format changes and add a migration below
+export const SAVE_VERSION = 2;
+
+const SAVE_STORAGE_KEY = 'wildernessSave';
+const SLOT_INDEX_KEY = 'wildernessSaveSlots';
+
+export const DEFAULT_SLOT = 'Quicksave';
+export const AUTOSAVE_SLOT = 'Autosave';
+
+// Thumbnail size for the save slot menu
+const THUMBNAIL_WIDTH = 160;
+const THUMBNAIL_HEIGHT = 90;
+
+// Migrations upgrade a save from version N to N + 1
+const migrations = {
+    // Version 2 streams the world in chunks. The old forest layout can't be
+    // matched to the new chunks, so the saved tree list is dropped
+    1: (data) => {
+        if (data.trees && data.trees.trees) {
+            console.warn(`Dropping ${data.trees.trees.length} saved trees, the forest is regenerated from the seed`);
+        }
+
+        data.world = { removed: [], added: [] };
+        data.treeRegrowth = { pendingRegrowth: data.trees ? data.trees.pendingRegrowth || [] : [] };
+        delete data.trees;
+        return data;
+    }
+};
+
+export class SaveSystem {
+    constructor(game) {
+        this.game = game;
+        this.onAfterLoad = null; // Called once a save has been applied to the world
+        this.isLoading = false;
+        this.onSeedMismatch = null; // Called instead of loading when a save belongs to another world seed
+
+        this.migrateLegacySave();
+    }
+
+    // Saves made before slots existed were stored under a single key
+    migrateLegacySave() {
+        const legacy = localStorage.getItem(SAVE_STORAGE_KEY);
+        if (!legacy) return;
+
+        try {
+            const data = JSON.parse(legacy);
+            localStorage.setItem(this.getSlotKey(DEFAULT_SLOT), legacy);
+            this.updateSlotIndex(DEFAULT_SLOT, data.savedAt || Date.now(), null, null);
+            localStorage.removeItem(SAVE_STORAGE_KEY);
+            console.log(`Moved old save into the ${DEFAULT_SLOT} slot`);
+        } catch (error) {
+            console.error('Error migrating old save:', error);
+        }
+    }
+
+    // Collect the state of every saved subsystem into a plain object
+    serialize() {
+        const camera = this.game.camera;
+
+        return {
+            version: SAVE_VERSION,
+            savedAt: Date.now(),
+            seed: this.game.worldSeed,
+            player: {
+                position: camera.position.toArray(),
+                quaternion: camera.quaternion.toArray()
+            },
+            time: this.game.dayNightCycle ? this.game.dayNightCycle.serialize() : null,
+            inventory: this.game.inventory.serialize(),
+            vitals: this.game.playerVitals ? this.game.playerVitals.serialize() : null,
+            buildings: this.game.buildingSystem.serialize(),
+            craftedItems: this.game.craftingSystem.serialize(),
+            world: this.game.chunkSystem.serialize(),
+            treeRegrowth: this.game.treeRegenerationSystem ? this.game.treeRegenerationSystem.serialize() : null,
+            pickups: this.game.pickupSystem ? this.game.pickupSystem.serialize() : null
+        };
+    }
+
+    // Upgrade older saves to the current format
+    migrate(data) {
+        let version = data.version || 0;
+
+        if (version > SAVE_VERSION) {
+            throw new Error(`Save version ${version} is newer than this game (${SAVE_VERSION})`);
+        }
+
+        while (version < SAVE_VERSION) {
+            const migrate = migrations[version];
+            if (!migrate) {
+                throw new Error(`No migration from save version ${version}`);
+            }
+            data = migrate(data);
+            version++;
+            data.version = version;
+            console.log(`Migrated save to version ${version}`);
+        }
+
+        return data;
+    }
+
+    // Apply saved state to the current world
+    async deserialize(data) {
+        data = this.migrate(data);
+        this.isLoading = true;
+
+        try {
+            await this.applySave(data);
+        } finally {
+            this.isLoading = false;
+        }
+
+        if (this.onAfterLoad) {
+            this.onAfterLoad(data);
+        }
+
+        console.log(`Loaded save from ${new Date(data.savedAt).toLocaleString()}`);
+    }
+
+    async applySave(data) {
+        // Move the player first so the chunk system loads the chunks around the saved position
+        const camera = this.game.camera;
+        camera.position.fromArray(data.player.position);
+        camera.quaternion.fromArray(data.player.quaternion);
+        camera.rotation.setFromQuaternion(camera.quaternion, 'YXZ');
+
+        if (data.treeRegrowth && this.game.treeRegenerationSystem) {
+            this.game.treeRegenerationSystem.deserialize(data.treeRegrowth);
+        }
+        this.game.chunkSystem.deserialize(data.world, camera.position);
+
+        this.game.buildingSystem.deserialize(data.buildings);
+        await this.game.craftingSystem.deserialize(data.craftedItems);
+        this.game.inventory.deserialize(data.inventory);
+
+        // Saves from before items could be dropped have none on the ground
+        if (this.game.pickupSystem) {
+            this.game.pickupSystem.deserialize(data.pickups || {});
+        }
+
+        // Saves from before vitals existed keep the fresh values
+        if (data.vitals && this.game.playerVitals) {
+            this.game.playerVitals.deserialize(data.vitals);
+        }
+
+        if (data.time && this.game.dayNightCycle) {
+            this.game.dayNightCycle.deserialize(data.time);
+        }
+    }
+
+    getSlotKey(slotName) {
+        return `${SAVE_STORAGE_KEY}:${slotName}`;
+    }
+
+    // Get the metadata of every save slot, newest first
+    listSlots() {
+        try {
+            const slots = JSON.parse(localStorage.getItem(SLOT_INDEX_KEY)) || [];
+            return slots.sort((a, b) => b.savedAt - a.savedAt);
+        } catch (error) {
+            console.error('Error reading save slots:', error);
+            return [];
+        }
+    }
+
+    updateSlotIndex(slotName, savedAt, day, thumbnail) {
+        const slots = this.listSlots().filter(slot => slot.name !== slotName);
+        slots.push({ name: slotName, savedAt, day, thumbnail });
+        localStorage.setItem(SLOT_INDEX_KEY, JSON.stringify(slots));
+    }
+
+    // Render the current view into a small image for the slot menu
+    captureThumbnail() {
+        const { renderer, scene, camera } = this.game;
+        if (!renderer) return null;
+
+        try {
+            // Render right before reading so the drawing buffer still holds the frame
+            renderer.render(scene, camera);
+
+            const canvas = document.createElement('canvas');
+            canvas.width = THUMBNAIL_WIDTH;
+            canvas.height = THUMBNAIL_HEIGHT;
+            canvas.getContext('2d').drawImage(renderer.domElement, 0, 0, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+            return canvas.toDataURL('image/jpeg', 0.7);
+        } catch (error) {
+            console.warn('Could not capture save thumbnail:', error);
+            return null;
+        }
+    }
+
+    save(slotName = DEFAULT_SLOT) {
+        try {
+            const data = this.serialize();
+            const day = this.game.dayNightCycle ? this.game.dayNightCycle.getDayNumber() : null;
+
+            localStorage.setItem(this.getSlotKey(slotName), JSON.stringify(data));
+            this.updateSlotIndex(slotName, data.savedAt, day, this.captureThumbnail());
+            console.log(`Game saved to slot "${slotName}"`);
+            return true;
+        } catch (error) {
+            console.error(`Error saving game to slot "${slotName}":`, error);
+            return false;
+        }
+    }
+
+    // Resolves to true once loaded, false on failure, or 'reloading' when the page
+    // is reloading into the save's world and will finish loading afterwards
+    async load(slotName = DEFAULT_SLOT) {
+        const saved = localStorage.getItem(this.getSlotKey(slotName));
+        if (!saved) {
+            console.warn(`No saved game found in slot "${slotName}"`);
+            return false;
+        }
+
+        try {
+            const data = JSON.parse(saved);
+
+            // Saves from another world seed need that world's terrain
+            if (data.seed !== undefined && data.seed !== this.game.worldSeed && this.onSeedMismatch) {
+                console.log(`Save "${slotName}" uses world seed ${data.seed}, switching worlds`);
+                this.onSeedMismatch(data.seed, slotName);
+                return 'reloading';
+            }
+
+            await this.deserialize(data);
+            return true;
+        } catch (error) {
+            console.error(`Error loading game from slot "${slotName}":`, error);
+            return false;
+        }
+    }
+
+    deleteSlot(slotName) {
+        localStorage.removeItem(this.getSlotKey(slotName));
+        const slots = this.listSlots().filter(slot => slot.name !== slotName);
+        localStorage.setItem(SLOT_INDEX_KEY, JSON.stringify(slots));
+        console.log(`Deleted save slot "${slotName}"`);
+    }
+
+    hasSave(slotName = DEFAULT_SLOT) {
+        return localStorage.getItem(this.getSlotKey(slotName)) !== null;
+    }
+}
@@ -18,7 +18,11 @@ export class Terminal {
             'clear': this.clear.bind(this),
             'reload models': this.reloadModels.bind(this),
             'make night': this.makeNight.bind(this),
-            'debug trees': this.debugTrees.bind(this)
+            'debug trees': this.debugTrees.bind(this),
+            'debug alien': this.debugAlien.bind(this),
+            'save game': this.saveGame.bind(this),
+            'load game': this.loadGame.bind(this),
+            'seed': this.seed.bind(this)
         };
 
         // Get DOM elements
@@ -130,10 +134,15 @@ export class Terminal {
     processCommand(command) {
         const commandLower = command.toLowerCase();
 
+        // Commands can take arguments after their name, e.g. "seed 1234"
+        const commandName = Object.keys(this.commands).find(name =>
+            commandLower === name || commandLower.startsWith(`${name} `));
+
         // Check if command exists
-        if (this.commands[commandLower]) {
+        if (commandName) {
             try {
-                this.commands[commandLower](command);
+                const args = command.slice(commandName.length).trim();
+                this.commands[commandName](command, args);
             } catch (error) {
                 this.print(`Error executing command: ${error.message}`);
             }
@@ -152,6 +161,64 @@ export class Terminal {
         this.print('  reload models - Reload crafting models if they failed to load');
         this.print('  make night - Force night time for testing the UFO');
         this.print('  debug trees - Toggle tree and arrow collision boxes');
+        this.print('  debug alien - Toggle the overlay showing what the alien is doing');
+        this.print('  save game - Save the world to the Quicksave slot (press P for all slots)');
+        this.print('  load game - Load the Quicksave slot');
+        this.print('  seed [value] - Show the world seed, or start a new world from a seed');
+    }
+
+    seed(command, args) {
+        if (!args) {
+            if (this.game.worldSeed !== undefined) {
+                this.print(`World seed: ${this.game.worldSeed}`);
+            } else {
+                this.print('World seed not available yet');
+            }
+            return;
+        }
+
+        if (!this.game.reloadWithSeed) {
+            this.print('World not ready yet');
+            return;
+        }
+
+        // The world is generated when the page loads, so reload with the new seed
+        this.print(`Starting a new world with seed "${args}"...`);
+        this.game.reloadWithSeed(args);
+    }
+
+    saveGame() {
+        if (!this.game.saveSystem) {
+            this.print('Save system not available yet');
+            return;
+        }
+
+        if (this.game.saveSystem.save()) {
+            this.print('Game saved');
+        } else {
+            this.print('Failed to save game, see the console for details');
+        }
+    }
+
+    loadGame() {
+        if (!this.game.saveSystem) {
+            this.print('Save system not available yet');
+            return;
+        }
+
+        if (!this.game.saveSystem.hasSave()) {
+            this.print('No saved game found');
+            return;
+        }
+
+        this.print('Loading game...');
+        this.game.saveSystem.load().then(result => {
+            if (result === 'reloading') {
+                this.print('Save is from another world, reloading...');
+                return;
+            }
+            this.print(result ? 'Game loaded' : 'Failed to load game, see the console for details');
+        });
     }
 
     reloadModels() {
@@ -213,6 +280,17 @@ export class Terminal {
         }
     }
 
+    debugAlien() {
+        if (!this.game.alien) {
+            this.print('Alien not available');
+            return;
+        }
+
+        const visible = this.game.alien.toggleDebugOverlay();
+        this.game.alien.debug = visible; // Also log state changes to the console
+        this.print(`Alien debug overlay ${visible ? 'enabled' : 'disabled'}`);
+    }
+
     debugTrees() {
         // Toggle debug mode for trees and arrows
         if (window.debugTreesEnabled === undefined) {
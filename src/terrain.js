@@ -0,0 +1,143 @@
+import * as THREE from 'three';
+
+export class Terrain {
+    constructor(seed = 1337) {
+        this.seed = seed >>> 0;
+        this.vertexSpacing = 1; // 1 unit between vertices keeps the mesh close to getHeightAt
+        this.textureTileSize = 10; // World units covered by one repeat of the ground texture
+
+        // Hill settings
+        this.baseFrequency = 1 / 30; // Lower = wider hills
+        this.amplitude = 4; // Maximum hill height in either direction
+        this.octaves = 4; // Layers of detail on top of the base hills
+
+        // Keep the player's starting area flat so there is room to build
+        this.flatRadius = 10;
+        this.flatBlendDistance = 10;
+
+        // Valleys below this height fill with water for the player to drink
+        this.waterLevel = -1.5;
+        this.maxWadeDepth = 0.5; // The player swims at the surface of deeper water
+    }
+
+    // Hash a grid point and the seed into a value between 0 and 1
+    hash(ix, iz) {
+        let h = this.seed ^ Math.imul(ix, 374761393) ^ Math.imul(iz, 668265263);
+        h = Math.imul(h ^ (h >>> 13), 1274126177);
+        h ^= h >>> 16;
+        return (h >>> 0) / 4294967295;
+    }
+
+    // Smoothly interpolated value noise between -1 and 1
+    valueNoise(x, z) {
+        const ix = Math.floor(x);
+        const iz = Math.floor(z);
+        const fx = x - ix;
+        const fz = z - iz;
+
+        // Smoothstep the fractions to avoid creases at grid lines
+        const sx = fx * fx * (3 - 2 * fx);
+        const sz = fz * fz * (3 - 2 * fz);
+
+        const a = this.hash(ix, iz);
+        const b = this.hash(ix + 1, iz);
+        const c = this.hash(ix, iz + 1);
+        const d = this.hash(ix + 1, iz + 1);
+
+        const top = a + (b - a) * sx;
+        const bottom = c + (d - c) * sx;
+        return (top + (bottom - top) * sz) * 2 - 1;
+    }
+
+    // Get the ground height at a world position
+    getHeightAt(x, z) {
+        let height = 0;
+        let frequency = this.baseFrequency;
+        let amplitude = this.amplitude;
+        let totalAmplitude = 0;
+
+        // Layer several octaves of noise for hills with smaller bumps on top
+        for (let i = 0; i < this.octaves; i++) {
+            height += this.valueNoise(x * frequency + i * 31.7, z * frequency - i * 17.3) * amplitude;
+            totalAmplitude += amplitude;
+            frequency *= 2;
+            amplitude *= 0.5;
+        }
+
+        height *= this.amplitude / totalAmplitude;
+
+        // Flatten the terrain towards the starting clearing
+        const distanceFromStart = Math.sqrt(x * x + z * z);
+        const blend = THREE.MathUtils.smoothstep(
+            distanceFromStart,
+            this.flatRadius,
+            this.flatRadius + this.flatBlendDistance
+        );
+
+        return height * blend;
+    }
+
+    // Check if a world position is under water
+    isUnderWater(x, z) {
+        return this.getHeightAt(x, z) < this.waterLevel;
+    }
+
+    // Height the player stands at, floating in deep water instead of walking along the lake bed
+    getWalkHeightAt(x, z) {
+        return Math.max(this.getHeightAt(x, z), this.waterLevel - this.maxWadeDepth);
+    }
+
+    // Build the ground mesh for one square chunk with vertices raised to the height field
+    createChunkMesh(minX, minZ, size, material) {
+        const segments = Math.round(size / this.vertexSpacing);
+        const geometry = new THREE.PlaneGeometry(size, size, segments, segments);
+
+        // Lay the plane flat and move it to the chunk so vertex x/z match world x/z
+        geometry.rotateX(-Math.PI / 2);
+        geometry.translate(minX + size / 2, 0, minZ + size / 2);
+
+        const positions = geometry.attributes.position;
+        const uvs = geometry.attributes.uv;
+        for (let i = 0; i < positions.count; i++) {
+            const x = positions.getX(i);
+            const z = positions.getZ(i);
+            positions.setY(i, this.getHeightAt(x, z));
+
+            // World-space UVs so the texture lines up across chunk borders
+            uvs.setXY(i, x / this.textureTileSize, -z / this.textureTileSize);
+        }
+        positions.needsUpdate = true;
+        uvs.needsUpdate = true;
+        geometry.computeVertexNormals();
+
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.receiveShadow = true;
+        mesh.userData.type = 'ground';
+
+        return mesh;
+    }
+
+    // Build a flat water surface for a chunk, or null if none of the chunk is below the water level
+    createChunkWaterMesh(minX, minZ, size, material) {
+        let hasWater = false;
+        for (let x = minX; x <= minX + size && !hasWater; x += this.vertexSpacing * 2) {
+            for (let z = minZ; z <= minZ + size; z += this.vertexSpacing * 2) {
+                if (this.isUnderWater(x, z)) {
+                    hasWater = true;
+                    break;
+                }
+            }
+        }
+
+        if (!hasWater) return null;
+
+        const geometry = new THREE.PlaneGeometry(size, size);
+        geometry.rotateX(-Math.PI / 2);
+        geometry.translate(minX + size / 2, this.waterLevel, minZ + size / 2);
+
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.userData.type = 'water';
+
+        return mesh;
+    }
+}
@@ -0,0 +1,112 @@
+import * as THREE from 'three';
+
+// How many uses each tool lasts when new, one chop or one shot is one use
+export const MAX_DURABILITY = {
+    'axe': 60,
+    'bow': 40
+};
+
+// Materials needed to fully repair each tool at a workbench
+export const REPAIR_COSTS = {
+    'axe': { 'stick': 1, 'rock': 1 },
+    'bow': { 'string': 2, 'stick': 1 }
+};
+
+/**
+ * Checks if an item type wears out with use
+ * @param {string} itemType - The item type to check
+ * @returns {boolean} - True if the item has durability
+ */
+export function hasDurability(itemType) {
+    return MAX_DURABILITY[itemType] !== undefined;
+}
+
+/**
+ * Gets how worn an item is, for the durability bar
+ * @param {Item} item - The item to check
+ * @returns {number|null} - 1 for a new tool, 0 for a broken one, null if the item doesn't wear out
+ */
+export function getDurabilityFraction(item) {
+    if (!item || !hasDurability(item.type) || item.metadata.durability === undefined) return null;
+    return Math.max(0, item.metadata.durability / MAX_DURABILITY[item.type]);
+}
+
+/**
+ * Uses up durability of the tool in an inventory slot, removing it when it breaks
+ * @param {Inventory} inventory - The inventory holding the tool
+ * @param {number} slotIndex - The slot the tool is in
+ * @param {number} amount - Durability to use up
+ * @returns {boolean} - True if the tool broke
+ */
+export function wearTool(inventory, slotIndex, amount = 1) {
+    const item = inventory.slots[slotIndex];
+    if (!item || !hasDurability(item.type)) return false;
+
+    item.metadata.durability = Math.max(0, item.metadata.durability - amount);
+
+    if (item.metadata.durability <= 0) {
+        inventory.removeFromSlot(slotIndex);
+        console.log(`The ${item.type} broke`);
+        return true;
+    }
+
+    inventory.updateUI();
+    return false;
+}
+
+/**
+ * Checks if the player has the materials to repair a tool
+ * @param {Inventory} inventory - The player's inventory
+ * @param {Item} item - The tool to repair
+ * @returns {Object} - The missing materials and amounts, empty if the repair can be done
+ */
+export function getMissingRepairMaterials(inventory, item) {
+    return inventory.getMissingItems(REPAIR_COSTS[item.type] || {});
+}
+
+/**
+ * Repairs a tool back to full durability using up the repair materials
+ * @param {Inventory} inventory - The player's inventory
+ * @param {Item} item - The tool to repair
+ * @returns {boolean} - True if the tool was repaired
+ */
+export function repairTool(inventory, item) {
+    if (!item || !hasDurability(item.type)) return false;
+    if (item.metadata.durability >= MAX_DURABILITY[item.type]) return false;
+    if (!inventory.removeItems(REPAIR_COSTS[item.type]).success) return false;
+
+    item.metadata.durability = MAX_DURABILITY[item.type];
+    inventory.updateUI();
+    console.log(`Repaired the ${item.type}`);
+    return true;
+}
+
+/**
+ * Creates the splinters that fly out when a tool breaks, they are updated with the chop particles
+ * @param {THREE.Vector3} position - Where the tool broke
+ * @returns {THREE.Group} - The particle group
+ */
+export function createToolBreakEffect(position) {
+    const particles = new THREE.Group();
+    particles.position.copy(position);
+    particles.userData.isChopParticles = true;
+
+    const materials = [
+        new THREE.MeshBasicMaterial({ color: 0x8b5a2b }), // Wood
+        new THREE.MeshBasicMaterial({ color: 0x888888 }) // Stone and metal
+    ];
+    const geometry = new THREE.BoxGeometry(0.04, 0.04, 0.12);
+
+    for (let i = 0; i < 12; i++) {
+        const piece = new THREE.Mesh(geometry, materials[i % materials.length]);
+        piece.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, 0);
+        piece.userData.velocity = new THREE.Vector3(
+            (Math.random() - 0.5) * 0.08,
+            Math.random() * 0.08,
+            (Math.random() - 0.5) * 0.08
+        );
+        particles.add(piece);
+    }
+
+    return particles;
+}
@@ -1,14 +1,15 @@
 import * as THREE from 'three';
+import { SeededRandom, randomSeed } from './random.js';
 
 export class TreeRegenerationSystem {
-    constructor(scene, interactableObjects, worldSize = 80) {
+    constructor(scene, interactableObjects, terrain = null, random = null) {
         this.scene = scene;
         this.interactableObjects = interactableObjects;
-        this.worldSize = worldSize;
-        this.worldHalfSize = worldSize / 2;
+        this.terrain = terrain; // Used to place trees on the ground
+        this.random = random || new SeededRandom(randomSeed()); // Seeded so regrowth is reproducible
+        this.regrowthRadius = 20; // New trees grow within this distance of the chopped tree
         this.minTreeDistance = 2.5; // Same as in main.js
         this.growingTrees = []; // Trees that are currently growing
-        this.treePositions = []; // All tree positions for collision detection
         this.treeModel = null; // Will be set from main.js
         this.maxGrowthTime = 120000; // 2 minutes to fully grow
         this.regrowthDelay = 30000; // 30 seconds before a new tree starts growing
@@ -30,9 +31,9 @@ export class TreeRegenerationSystem {
         this.treeModel = model;
     }
 
-    // Update tree positions from main.js
-    updateTreePositions(positions) {
-        this.treePositions = positions;
+    // Get the terrain height, or 0 on flat ground
+    getGroundHeight(x, z) {
+        return this.terrain ? this.terrain.getHeightAt(x, z) : 0;
     }
 
     // Called when a tree is chopped down
@@ -46,14 +47,16 @@ export class TreeRegenerationSystem {
         console.log(`Tree chopped at ${position.x.toFixed(2)}, ${position.z.toFixed(2)}. Scheduled regrowth in ${this.regrowthDelay/1000} seconds.`);
     }
 
-    // Find a valid position for a new tree
-    findValidTreePosition() {
+    // Find a valid position for a new tree near where the old one was chopped.
+    // The world is endless, so regrowth stays in the area the player cleared
+    findValidTreePosition(center) {
         // Try up to 50 random positions
         for (let attempts = 0; attempts < 50; attempts++) {
-            // Generate a random position within the world bounds
+            const angle = this.random.next() * Math.PI * 2;
+            const distance = this.random.next() * this.regrowthRadius;
             const position = new THREE.Vector2(
-                (Math.random() * this.worldSize) - this.worldHalfSize,
-                (Math.random() * this.worldSize) - this.worldHalfSize
+                center.x + Math.cos(angle) * distance,
+                center.z + Math.sin(angle) * distance
             );
 
             // Check if the position is valid (not too close to other trees)
@@ -62,33 +65,20 @@ export class TreeRegenerationSystem {
             }
         }
 
-        // If we couldn't find a valid position after 50 attempts, try a different approach
-        // Try to find a position in a less dense area
-        return this.findPositionInLessDenseArea();
+        return null;
     }
 
     // Check if a position is too close to existing trees
     isTooCloseToTrees(position) {
-        for (const existingPos of this.treePositions) {
-            // Quick check on x and y separately before doing the more expensive distance calculation
-            if (Math.abs(position.x - existingPos.x) < this.minTreeDistance &&
-                Math.abs(position.y - existingPos.y) < this.minTreeDistance) {
+        // Growing trees are in the scene too, unless their chunk is unloaded
+        const trees = this.scene.children.filter(obj => obj.userData && obj.userData.type === 'tree');
 
-                const distance = position.distanceTo(existingPos);
-                if (distance < this.minTreeDistance) {
-                    return true;
-                }
-            }
-        }
-
-        // Also check growing trees
-        for (const growingTree of this.growingTrees) {
-            const treePos = new THREE.Vector2(growingTree.position.x, growingTree.position.z);
+        for (const tree of trees) {
+            // Quick check on x and z separately before doing the more expensive distance calculation
+            if (Math.abs(position.x - tree.position.x) < this.minTreeDistance &&
+                Math.abs(position.y - tree.position.z) < this.minTreeDistance) {
 
-            if (Math.abs(position.x - treePos.x) < this.minTreeDistance &&
-                Math.abs(position.y - treePos.y) < this.minTreeDistance) {
-
-                const distance = position.distanceTo(treePos);
+                const distance = position.distanceTo(new THREE.Vector2(tree.position.x, tree.position.z));
                 if (distance < this.minTreeDistance) {
                     return true;
                 }
@@ -98,54 +88,18 @@ export class TreeRegenerationSystem {
         return false;
     }
 
-    // Find a position in a less dense area of the forest
-    findPositionInLessDenseArea() {
-        // Create a grid of the world and count trees in each cell
-        const gridSize = 10; // 10x10 grid
-        const cellSize = this.worldSize / gridSize;
-        const grid = Array(gridSize).fill().map(() => Array(gridSize).fill(0));
-
-        // Count trees in each grid cell
-        for (const pos of this.treePositions) {
-            // Convert world position to grid cell
-            const gridX = Math.floor((pos.x + this.worldHalfSize) / cellSize);
-            const gridY = Math.floor((pos.y + this.worldHalfSize) / cellSize);
-
-            // Ensure we're within grid bounds
-            if (gridX >= 0 && gridX < gridSize && gridY >= 0 && gridY < gridSize) {
-                grid[gridX][gridY]++;
-            }
-        }
-
-        // Find the cell with the fewest trees
-        let minCount = Infinity;
-        let bestCell = { x: 0, y: 0 };
-
-        for (let x = 0; x < gridSize; x++) {
-            for (let y = 0; y < gridSize; y++) {
-                if (grid[x][y] < minCount) {
-                    minCount = grid[x][y];
-                    bestCell = { x, y };
-                }
-            }
-        }
-
-        // Generate a random position within that cell
-        const worldX = (bestCell.x * cellSize) - this.worldHalfSize + (Math.random() * cellSize);
-        const worldY = (bestCell.y * cellSize) - this.worldHalfSize + (Math.random() * cellSize);
-
-        return new THREE.Vector2(worldX, worldY);
-    }
-
     // Create a new growing tree
-    createGrowingTree() {
+    createGrowingTree(originalPosition) {
         if (!this.treeModel) {
             console.warn('Tree model not set, cannot create growing tree');
             return null;
         }
 
         // Find a valid position for the new tree
-        const position = this.findValidTreePosition();
+        const position = this.findValidTreePosition(originalPosition);
+        if (!position) {
+            return null;
+        }
 
         // Clone the tree model
         const tree = this.treeModel.clone();
@@ -157,7 +111,7 @@ export class TreeRegenerationSystem {
         // Position the tree
         tree.position.set(
             position.x,
-            0, // Position at ground level
+            this.getGroundHeight(position.x, position.y), // Position at ground level
             position.y // Vector2 uses y for the z-coordinate
         );
 
@@ -171,25 +125,74 @@ export class TreeRegenerationSystem {
         this.scene.add(tree);
         this.interactableObjects.push(tree);
         this.growingTrees.push(tree);
-        this.treePositions.push(position);
 
         console.log(`New tree sapling created at ${position.x.toFixed(2)}, ${position.y.toFixed(2)}`);
 
         return tree;
     }
 
+    // Rebuild a saved tree without adding it to the scene (the chunk system adds it)
+    restoreTree(entry) {
+        if (!this.treeModel) {
+            console.warn('Tree model not set, cannot restore saved tree');
+            return null;
+        }
+
+        const tree = this.treeModel.clone();
+        tree.scale.set(entry.scale, entry.scale, entry.scale);
+        tree.rotation.y = entry.rotationY;
+        tree.position.fromArray(entry.position);
+        tree.userData.type = 'tree';
+
+        if (entry.isGrowing) {
+            tree.userData.isGrowing = true;
+            tree.userData.growthStartTime = Date.now() - entry.growthElapsed;
+            tree.userData.originalScale = entry.originalScale;
+            this.growingTrees.push(tree);
+        }
+
+        return tree;
+    }
+
+    // Serialize the trees waiting to regrow. The trees themselves are saved by the chunk system
+    serialize() {
+        const now = Date.now();
+
+        return {
+            pendingRegrowth: this.pendingRegrowth.map(item => ({
+                remaining: Math.max(0, item.timestamp - now),
+                originalPosition: item.originalPosition.toArray()
+            }))
+        };
+    }
+
+    // Replace the pending regrowth with the saved one
+    deserialize(data) {
+        const now = Date.now();
+
+        // Growing trees are restored by the chunk system through restoreTree
+        this.growingTrees = [];
+
+        this.pendingRegrowth = (data.pendingRegrowth || []).map(item => ({
+            timestamp: now + item.remaining,
+            originalPosition: new THREE.Vector3().fromArray(item.originalPosition)
+        }));
+
+        console.log(`Loaded ${this.pendingRegrowth.length} pending tree regrowths`);
+    }
+
     // Get a random scale for a mature tree (similar to the distribution in main.js)
     getRandomMatureScale() {
-        const randVal = Math.random();
+        const randVal = this.random.next();
         if (randVal < 0.2) {
             // 20% chance of smaller trees (2.0-3.0)
-            return 2.0 + Math.random() * 1.0;
+            return 2.0 + this.random.next() * 1.0;
         } else if (randVal < 0.9) {
             // 70% chance of medium trees (3.0-5.0)
-            return 3.0 + Math.random() * 2.0;
+            return 3.0 + this.random.next() * 2.0;
         } else {
             // 10% chance of larger trees (5.0-7.0)
-            return 5.0 + Math.random() * 2.0;
+            return 5.0 + this.random.next() * 2.0;
         }
     }
 
@@ -202,13 +205,17 @@ export class TreeRegenerationSystem {
             const readyTrees = this.pendingRegrowth.filter(item => now >= item.timestamp);
 
             for (const readyTree of readyTrees) {
-                this.createGrowingTree();
-
                 // Remove from pending list
                 const index = this.pendingRegrowth.indexOf(readyTree);
                 if (index !== -1) {
                     this.pendingRegrowth.splice(index, 1);
                 }
+
+                // If there's no room nearby, try again after another delay
+                if (!this.createGrowingTree(readyTree.originalPosition)) {
+                    readyTree.timestamp = now + this.regrowthDelay;
+                    this.pendingRegrowth.push(readyTree);
+                }
             }
         }
 
@@ -0,0 +1,99 @@
+import * as THREE from 'three';
+
+// Flares the player lights on the ground and signal jammers they place near their base.
+// Both stop the UFO finding the player, flares blind its beam and jammers block its sensors
+export class UFODefenseSystem {
+    constructor(scene, terrain = null) {
+        this.scene = scene;
+        this.terrain = terrain; // Used to rest flares on the ground
+        this.flares = []; // Burning flares
+        this.flareBurnTime = 45; // Seconds a flare burns for
+        this.flareBlindRadius = 8; // The beam can't see anything this close to a burning flare
+        this.jammerRadius = 10; // The UFO's sensors can't pick up the player this close to a jammer
+        this.elapsed = 0;
+    }
+
+    // Get the terrain height, or 0 on flat ground
+    getGroundHeight(x, z) {
+        return this.terrain ? this.terrain.getHeightAt(x, z) : 0;
+    }
+
+    // Light a flare on the ground, it burns bright red until it runs out
+    lightFlare(position) {
+        const flare = new THREE.Group();
+
+        const stick = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.03, 0.03, 0.3, 8),
+            new THREE.MeshStandardMaterial({ color: 0xaa2222, roughness: 0.7 })
+        );
+        stick.rotation.z = Math.PI / 2; // Lying on the ground
+        stick.position.y = 0.03;
+        flare.add(stick);
+
+        const flame = new THREE.Mesh(
+            new THREE.SphereGeometry(0.06, 8, 6),
+            new THREE.MeshBasicMaterial({ color: 0xff3322 })
+        );
+        flame.position.set(0.15, 0.06, 0);
+        flare.add(flame);
+
+        const light = new THREE.PointLight(0xff2200, 3, this.flareBlindRadius * 2);
+        light.position.set(0.15, 0.4, 0);
+        flare.add(light);
+
+        flare.position.set(position.x, this.getGroundHeight(position.x, position.z), position.z);
+        flare.userData.type = 'flare';
+        flare.userData.burnTime = this.flareBurnTime;
+        flare.userData.light = light;
+
+        this.scene.add(flare);
+        this.flares.push(flare);
+
+        console.log(`Lit a flare at ${position.x.toFixed(2)}, ${position.z.toFixed(2)}`);
+        return flare;
+    }
+
+    removeFlare(flare) {
+        this.scene.remove(flare);
+
+        const index = this.flares.indexOf(flare);
+        if (index > -1) {
+            this.flares.splice(index, 1);
+        }
+    }
+
+    // Signal jammers are placed from the crafting menu like any other structure
+    getJammers() {
+        return this.scene.children.filter(obj => obj.userData && obj.userData.type === 'signal jammer');
+    }
+
+    // Check if a point on the ground is lit up by a flare, which blinds the UFO's beam there
+    isBeamBlinded(position) {
+        return this.flares.some(flare => horizontalDistance(flare.position, position) < this.flareBlindRadius);
+    }
+
+    // Check if a position is inside the range of a signal jammer
+    isJammed(position) {
+        return this.getJammers().some(jammer => horizontalDistance(jammer.position, position) < this.jammerRadius);
+    }
+
+    // Flicker the flares and put them out when they burn down
+    update(deltaTime) {
+        this.elapsed += deltaTime;
+
+        for (const flare of [...this.flares]) {
+            flare.userData.burnTime -= deltaTime;
+            if (flare.userData.burnTime <= 0) {
+                this.removeFlare(flare);
+                console.log('A flare burned out');
+                continue;
+            }
+
+            flare.userData.light.intensity = 2.5 + Math.sin(this.elapsed * 20 + flare.id) * 0.5;
+        }
+    }
+}
+
+function horizontalDistance(a, b) {
+    return new THREE.Vector2(a.x - b.x, a.z - b.z).length();
+}
@@ -3,10 +3,11 @@ import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { createGibsExplosion } from './gibsParticles.js';
 
 export class UFOSystem {
-    constructor(scene, camera, playerPosition) {
+    constructor(scene, camera, playerPosition, terrain = null) {
         this.scene = scene;
         this.camera = camera;
         this.playerPosition = playerPosition;
+        this.terrain = terrain; // Used to hover above hills and aim the beam at the ground
         this.ufoModel = null;
         this.isNight = false;
         this.isActive = false;
@@ -14,13 +15,48 @@ export class UFOSystem {
         this.abductionProgress = 0;
         this.abductionSpeed = 0.2; // Speed of abduction (higher = faster)
         this.moveSpeed = 0.2; // Speed of UFO movement
-        this.hoverHeight = 30; // Height at which the UFO hovers
+        this.hoverHeight = 30; // Height above the ground at which the UFO hovers
         this.abductionDistance = 5; // Distance at which abduction beam activates
         this.beamLight = null; // Spotlight for the beam
         this.beamCone = null; // Visual cone for the beam
         this.originalPlayerY = 0; // Original player Y position
         this.playerInBeam = false; // Track if player is in the beam (for movement restriction)
 
+        // The UFO hunts the player while it can see them, and searches where they were last seen when it can't
+        this.state = 'hunt'; // hunt, hover or sweep
+        this.stateTimer = 0;
+        this.lastKnownPosition = new THREE.Vector3();
+        this.playerVisible = true;
+        this.playerCover = 0; // How hidden the player is from the UFO, 0 in the open to 1 sheltered
+        this.visibilityCheckInterval = 0.5; // Seconds between line of sight checks
+        this.visibilityCheckTimer = 0;
+        this.lostSightTimer = 0;
+        this.lostSightDelay = 1.5; // Seconds without seeing the player before it starts searching
+        this.sightRange = 45; // Horizontal distance at which it can spot the player
+        this.coverToHide = 0.5; // Cover needed to break its line of sight, dense tree canopy can give this
+        this.canopyRange = 10; // Trees further than this from the player don't hide them
+        this.beamScanRadius = 5; // Radius of the beam where it hits the ground
+        this.hoverDuration = 6; // Seconds spent circling the last known position
+        this.hoverScanRadius = 6;
+        this.sweepDuration = 40; // Seconds spent sweeping before going back to the last known position
+        this.sweepSpacing = 8; // Distance between the rings of the sweep
+        this.sweepMaxRadius = 35;
+        this.searchAngle = 0;
+        this.raycaster = new THREE.Raycaster();
+
+        // Fire arrows damage the hull, and a badly damaged UFO gives up for the night
+        this.maxHealth = 8; // Fire arrow hits needed to drive it off
+        this.health = this.maxHealth;
+        this.hullRadius = 4; // Size of the sphere arrows are tested against
+        this.retreatSpeed = 0.6;
+        this.hasRetreated = false; // Driven off by the player this night
+        this.hitFlashTimer = 0;
+        this.defenses = null; // Flares and signal jammers, set from main.js
+
+        // Alien alloy given at dawn for making it through the night, more for driving the UFO off
+        this.survivalReward = 1;
+        this.retreatReward = 3;
+
         // Cinematic properties
         this.cinematicInProgress = false;
         this.cinematicStartTime = 0;
@@ -111,15 +147,22 @@ export class UFOSystem {
         const angle = Math.random() * Math.PI * 2;
         const distance = 50 + Math.random() * 30;
 
-        this.ufoModel.position.set(
-            this.playerPosition.x + Math.cos(angle) * distance,
-            this.hoverHeight,
-            this.playerPosition.z + Math.sin(angle) * distance
-        );
+        const x = this.playerPosition.x + Math.cos(angle) * distance;
+        const z = this.playerPosition.z + Math.sin(angle) * distance;
+        this.ufoModel.position.set(x, this.getGroundHeight(x, z) + this.hoverHeight, z);
 
         // Make the UFO visible
         this.ufoModel.visible = true;
 
+        // A fresh UFO arrives every night
+        this.health = this.maxHealth;
+        this.hasRetreated = false;
+
+        // It knows roughly where the player is when it arrives
+        this.lastKnownPosition.copy(this.playerPosition);
+        this.playerVisible = true;
+        this.setState('hunt');
+
         console.log('UFO has appeared for the night cycle');
     }
 
@@ -147,26 +190,179 @@ export class UFOSystem {
         console.log('UFO has disappeared as night ends');
     }
 
-    // Check if the player is under a roof
-    isPlayerUnderRoof(buildingSystem) {
+    // Get the terrain height, or 0 on flat ground
+    getGroundHeight(x, z) {
+        return this.terrain ? this.terrain.getHeightAt(x, z) : 0;
+    }
+
+    // Check if the player is sheltered enough in a building to be safe, a roof alone isn't enough
+    isPlayerSheltered(buildingSystem) {
         if (!buildingSystem || !buildingSystem.placedPieces) return false;
 
-        // Get all roof pieces
-        const roofPieces = buildingSystem.placedPieces.filter(piece =>
-            piece.userData.buildingType === 'roof');
+        return buildingSystem.isSheltered(this.playerPosition);
+    }
+
+    // Switch to a new search state and reset its timer
+    setState(state, duration = 0) {
+        if (state !== this.state) {
+            console.log(`UFO: ${this.state} -> ${state}`);
+        }
+
+        this.state = state;
+        this.stateTimer = duration;
+        this.searchAngle = 0;
+    }
+
+    // Find if an arrow travelling between two points hits the UFO, returns the hit point
+    checkArrowHit(from, to) {
+        if (!this.ufoModel || !this.isActive || this.state === 'retreat') return null;
+
+        const direction = to.clone().sub(from);
+        const distance = direction.length();
+        if (distance === 0) return null;
+
+        const ray = new THREE.Ray(from, direction.normalize());
+        const point = ray.intersectSphere(new THREE.Sphere(this.ufoModel.position, this.hullRadius), new THREE.Vector3());
+
+        return point && point.distanceTo(from) <= distance ? point : null;
+    }
+
+    // Damage the hull, the UFO turns on the shooter and retreats when it's too badly damaged
+    hit(damage = 1) {
+        if (this.state === 'retreat') return;
+
+        this.health -= damage;
+        this.hitFlashTimer = 0.2;
+        console.log(`UFO hull hit, ${this.health} hits left`);
+
+        if (this.health <= 0) {
+            this.retreat();
+            return;
+        }
+
+        // The arrow gives away where the player is
+        this.lastKnownPosition.copy(this.playerPosition);
+        this.playerVisible = true;
+        this.setState('hunt');
+    }
+
+    // Let go of the player and fly off for the rest of the night
+    retreat() {
+        this.hasRetreated = true;
+        this.stopAbduction();
+        this.setState('retreat');
+
+        if (this.beamLight) {
+            this.beamLight.visible = false;
+        }
+
+        if (this.beamCone) {
+            this.beamCone.visible = false;
+        }
+
+        console.log('The UFO is retreating');
+    }
+
+    // Release the player from the beam
+    stopAbduction() {
+        this.abductionInProgress = false;
+        this.playerInBeam = false; // Allow player movement again
+        this.abductionProgress = 0;
+    }
 
-        if (roofPieces.length === 0) return false;
+    // Get the alien alloy earned for lasting the night, call before the night ends
+    getNightReward() {
+        if (!this.isActive && !this.hasRetreated) return 0;
+        return this.hasRetreated ? this.retreatReward : this.survivalReward;
+    }
 
-        // Cast a ray upward from the player to check for roofs
-        const raycaster = new THREE.Raycaster();
-        const rayOrigin = this.playerPosition.clone();
-        const rayDirection = new THREE.Vector3(0, 1, 0); // Straight up
+    // Work out how hidden the player is from the UFO by casting rays from it to points around the player.
+    // Tree canopy and buildings in the way block some of them, a proper shelter hides the player completely
+    getPlayerCover(buildingSystem) {
+        if (this.isPlayerSheltered(buildingSystem)) return 1;
 
-        raycaster.set(rayOrigin, rayDirection);
-        const intersects = raycaster.intersectObjects(roofPieces);
+        const blockers = this.scene.children.filter(obj => obj.userData && obj.userData.type === 'tree' &&
+            new THREE.Vector2(obj.position.x - this.playerPosition.x, obj.position.z - this.playerPosition.z).length() < this.canopyRange);
+        if (buildingSystem) {
+            blockers.push(...buildingSystem.placedPieces);
+        }
+        if (blockers.length === 0) return 0;
+
+        const offsets = [[0, 0], [0.5, 0], [-0.5, 0], [0, 0.5], [0, -0.5]];
+        let blocked = 0;
+        for (const [dx, dz] of offsets) {
+            const point = new THREE.Vector3(this.playerPosition.x + dx, this.playerPosition.y, this.playerPosition.z + dz);
+            const toPoint = point.clone().sub(this.ufoModel.position);
+            const distance = toPoint.length();
+
+            this.raycaster.set(this.ufoModel.position, toPoint.normalize());
+            this.raycaster.far = distance;
+            if (this.raycaster.intersectObjects(blockers, true).length > 0) {
+                blocked++;
+            }
+        }
 
-        // If we hit a roof, the player is under it
-        return intersects.length > 0;
+        return blocked / offsets.length;
+    }
+
+    // Check if the UFO spots the player, either in plain sight or caught in its scanning beam
+    updatePlayerVisibility(buildingSystem, horizontalDistance) {
+        this.playerCover = this.getPlayerCover(buildingSystem);
+
+        // Signal jammers stop the UFO picking the player up at all, and a flare under it blinds its beam
+        const jammed = this.defenses && this.defenses.isJammed(this.playerPosition);
+        const blinded = this.isBeamBlinded();
+
+        const inSight = !jammed && horizontalDistance < this.sightRange && this.playerCover < this.coverToHide;
+
+        // Partial cover only helps so much when the beam passes right over the player
+        const inBeam = !jammed && !blinded && this.state !== 'hunt' && horizontalDistance < this.beamScanRadius &&
+            Math.random() < 1 - this.playerCover;
+
+        this.playerVisible = (inSight && !blinded) || inBeam;
+        if (this.playerVisible) {
+            this.lastKnownPosition.copy(this.playerPosition);
+            this.lostSightTimer = 0;
+
+            if (this.state !== 'hunt') {
+                console.log('UFO spotted the player');
+                this.setState('hunt');
+            }
+        }
+    }
+
+    // Check if a burning flare is lighting up the ground under the UFO
+    isBeamBlinded() {
+        return !!this.defenses && this.defenses.isBeamBlinded(this.ufoModel.position);
+    }
+
+    // Get where the UFO is flying to: the player while it hunts, otherwise a point on its search pattern
+    getSearchTarget(deltaTime) {
+        const target = this.lastKnownPosition.clone();
+
+        if (this.state === 'hover') {
+            // Circle the last known position with the beam
+            this.searchAngle += deltaTime * 1.2;
+            target.x += Math.cos(this.searchAngle) * this.hoverScanRadius;
+            target.z += Math.sin(this.searchAngle) * this.hoverScanRadius;
+
+            if (this.stateTimer <= 0) {
+                this.setState('sweep', this.sweepDuration);
+            }
+        } else if (this.state === 'sweep') {
+            // Spiral outwards from the last known position, moving along it at a steady speed
+            const radius = Math.min(this.sweepMaxRadius,
+                this.hoverScanRadius + this.sweepSpacing * this.searchAngle / (Math.PI * 2));
+            this.searchAngle += this.moveSpeed * 60 * deltaTime / radius;
+            target.x += Math.cos(this.searchAngle) * radius;
+            target.z += Math.sin(this.searchAngle) * radius;
+
+            if (this.stateTimer <= 0) {
+                this.setState('hover', this.hoverDuration);
+            }
+        }
+
+        return target;
     }
 
     // Start the abduction process
@@ -202,16 +398,68 @@ export class UFOSystem {
         // Update player position reference
         this.playerPosition = playerPosition;
 
-        // Move the UFO towards the player
-        const direction = new THREE.Vector3();
-        direction.subVectors(
-            new THREE.Vector3(this.playerPosition.x, this.hoverHeight, this.playerPosition.z),
-            this.ufoModel.position
-        ).normalize();
+        // A beaten UFO climbs away and doesn't come back until the next night
+        if (this.state === 'retreat') {
+            this.ufoModel.position.y += this.retreatSpeed * deltaTime * 60;
+            this.ufoModel.rotation.y += 0.05 * deltaTime * 60;
+            if (this.ufoModel.position.y > this.getGroundHeight(this.ufoModel.position.x, this.ufoModel.position.z) + 150) {
+                this.ufoModel.visible = false;
+                this.isActive = false;
+                console.log('The UFO has gone for the night');
+            }
+            return false;
+        }
 
-        // Move the UFO
-        this.ufoModel.position.x += direction.x * this.moveSpeed * deltaTime * 60;
-        this.ufoModel.position.z += direction.z * this.moveSpeed * deltaTime * 60;
+        // Flash the hull red when a fire arrow hits it
+        if (this.hitFlashTimer > 0) {
+            this.hitFlashTimer -= deltaTime;
+            this.setHullFlash(this.hitFlashTimer > 0);
+        }
+
+        // A flare under the beam blinds it and lets the player go
+        if (this.abductionInProgress && !this.cinematicInProgress && this.isBeamBlinded()) {
+            this.stopAbduction();
+            this.playerVisible = false;
+            console.log('Flare blinded the beam - movement restored');
+        }
+
+        // Calculate distance to player (horizontal only)
+        let horizontalDistance = new THREE.Vector2(
+            this.ufoModel.position.x - this.playerPosition.x,
+            this.ufoModel.position.z - this.playerPosition.z
+        ).length();
+
+        // Look for the player every so often, the player can't hide once the beam has them
+        this.visibilityCheckTimer -= deltaTime;
+        if (this.visibilityCheckTimer <= 0 && !this.abductionInProgress) {
+            this.visibilityCheckTimer = this.visibilityCheckInterval;
+            this.updatePlayerVisibility(buildingSystem, horizontalDistance);
+        }
+
+        // Start searching when the player has been out of sight for a moment
+        if (this.state === 'hunt' && !this.playerVisible && !this.abductionInProgress) {
+            this.lostSightTimer += deltaTime;
+            if (this.lostSightTimer > this.lostSightDelay) {
+                console.log('UFO lost sight of the player, searching');
+                this.setState('hover', this.hoverDuration);
+            }
+        }
+
+        this.stateTimer -= deltaTime;
+
+        // Fly towards the player or along the search pattern
+        const target = this.getSearchTarget(deltaTime);
+        const direction = new THREE.Vector3(target.x - this.ufoModel.position.x, 0, target.z - this.ufoModel.position.z);
+        const step = Math.min(this.moveSpeed * deltaTime * 60, direction.length());
+        if (step > 0) {
+            direction.normalize();
+            this.ufoModel.position.x += direction.x * step;
+            this.ufoModel.position.z += direction.z * step;
+        }
+
+        // Keep hovering at the same height above the ground
+        const groundHeight = this.getGroundHeight(this.ufoModel.position.x, this.ufoModel.position.z);
+        this.ufoModel.position.y = groundHeight + this.hoverHeight;
 
         // Slowly rotate the UFO for effect
         this.ufoModel.rotation.y += 0.01 * deltaTime * 60;
@@ -221,7 +469,7 @@ export class UFOSystem {
             this.beamLight.position.copy(this.ufoModel.position);
             this.beamLight.target.position.set(
                 this.ufoModel.position.x,
-                0,
+                groundHeight,
                 this.ufoModel.position.z
             );
         }
@@ -230,23 +478,28 @@ export class UFOSystem {
             this.beamCone.position.copy(this.ufoModel.position);
         }
 
-        // Calculate distance to player (horizontal only)
-        const horizontalDistance = new THREE.Vector2(
+        // The beam scans the ground while searching and stays on during an abduction
+        if (this.beamLight && this.beamCone && !this.cinematicInProgress) {
+            const beamOn = this.abductionInProgress || this.state !== 'hunt';
+            this.beamLight.visible = beamOn;
+            this.beamCone.visible = beamOn;
+        }
+
+        horizontalDistance = new THREE.Vector2(
             this.ufoModel.position.x - this.playerPosition.x,
             this.ufoModel.position.z - this.playerPosition.z
         ).length();
 
-        // Check if player is close enough for abduction
-        if (horizontalDistance < this.abductionDistance) {
-            // Check if player is under a roof
-            const underRoof = this.isPlayerUnderRoof(buildingSystem);
+        // Check if player is close enough for abduction, the UFO has to have spotted them
+        if (horizontalDistance < this.abductionDistance && this.state === 'hunt') {
+            // Check if player is sheltered in a building
+            const sheltered = this.isPlayerSheltered(buildingSystem);
 
-            if (!underRoof && !this.abductionInProgress) {
+            if (!sheltered && this.playerVisible && !this.abductionInProgress && !this.isBeamBlinded()) {
                 this.startAbduction();
-            } else if (underRoof && this.abductionInProgress) {
+            } else if (sheltered && this.abductionInProgress) {
                 // Player found shelter, stop abduction
-                this.abductionInProgress = false;
-                this.playerInBeam = false; // Allow player movement again
+                this.stopAbduction();
                 this.beamLight.visible = false;
                 this.beamCone.visible = false;
                 console.log('Player found shelter - movement restored');
@@ -280,6 +533,18 @@ export class UFOSystem {
         return false;
     }
 
+    // Tint the hull red while it's been hit
+    setHullFlash(on) {
+        this.ufoModel.traverse(child => {
+            if (child.isMesh && child.material && child.material.emissive) {
+                if (child.userData.originalEmissive === undefined) {
+                    child.userData.originalEmissive = child.material.emissive.getHex();
+                }
+                child.material.emissive.setHex(on ? 0x880000 : child.userData.originalEmissive);
+            }
+        });
+    }
+
     // Start the cinematic sequence
     startCinematic() {
         this.cinematicInProgress = true;
@@ -0,0 +1,103 @@
+export class VitalsHUD {
+    constructor(playerVitals) {
+        this.playerVitals = playerVitals;
+        this.element = null;
+        this.bars = {};
+        this.isInitialized = false;
+    }
+
+    initialize() {
+        if (this.isInitialized) return;
+
+        // Create the container to the left of the day-night dial
+        this.element = document.createElement('div');
+        this.element.id = 'vitals-hud';
+        this.element.style.position = 'fixed';
+        this.element.style.bottom = '30px';
+        this.element.style.right = '150px';
+        this.element.style.width = '160px';
+        this.element.style.padding = '8px';
+        this.element.style.borderRadius = '5px';
+        this.element.style.border = '2px solid white';
+        this.element.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        this.element.style.zIndex = '100';
+        this.element.style.fontFamily = 'Arial, sans-serif';
+
+        this.bars.health = this.createBar('Health', '#e53935');
+        this.bars.hunger = this.createBar('Hunger', '#fb8c00');
+        this.bars.thirst = this.createBar('Thirst', '#1e88e5');
+        this.bars.temperature = this.createBar('Warmth', '#ffca28');
+
+        // Add to the document
+        document.body.appendChild(this.element);
+
+        this.isInitialized = true;
+    }
+
+    createBar(label, color) {
+        const row = document.createElement('div');
+        row.style.marginBottom = '4px';
+
+        // Label with the current value on the right
+        const labelRow = document.createElement('div');
+        labelRow.style.display = 'flex';
+        labelRow.style.justifyContent = 'space-between';
+        labelRow.style.color = 'rgba(255, 255, 255, 0.8)';
+        labelRow.style.fontSize = '10px';
+
+        const labelElement = document.createElement('span');
+        labelElement.textContent = label;
+        const valueElement = document.createElement('span');
+        labelRow.appendChild(labelElement);
+        labelRow.appendChild(valueElement);
+
+        const track = document.createElement('div');
+        track.style.width = '100%';
+        track.style.height = '6px';
+        track.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+        track.style.borderRadius = '3px';
+        track.style.overflow = 'hidden';
+
+        const fill = document.createElement('div');
+        fill.style.height = '100%';
+        fill.style.width = '100%';
+        fill.style.backgroundColor = color;
+        track.appendChild(fill);
+
+        row.appendChild(labelRow);
+        row.appendChild(track);
+        this.element.appendChild(row);
+
+        return { fill, valueElement, color };
+    }
+
+    setBar(bar, fraction, text, isLow) {
+        bar.fill.style.width = `${Math.max(0, Math.min(1, fraction)) * 100}%`;
+        bar.valueElement.textContent = text;
+
+        // Flash the bar when it's hurting the player
+        bar.fill.style.backgroundColor = isLow && Math.floor(Date.now() / 500) % 2 === 0 ? '#ffffff' : bar.color;
+    }
+
+    update() {
+        if (!this.isInitialized || !this.playerVitals) return;
+
+        const vitals = this.playerVitals;
+        this.setBar(this.bars.health, vitals.health / vitals.maxValue, `${Math.ceil(vitals.health)}`, vitals.health < 25);
+        this.setBar(this.bars.hunger, vitals.hunger / vitals.maxValue, `${Math.ceil(vitals.hunger)}%`, vitals.hunger <= 0);
+        this.setBar(this.bars.thirst, vitals.thirst / vitals.maxValue, `${Math.ceil(vitals.thirst)}%`, vitals.thirst <= 0);
+
+        // Show body temperature between 30 and 38 degrees
+        const temperatureFraction = (vitals.temperature - 30) / (vitals.normalTemperature + 1 - 30);
+        this.setBar(this.bars.temperature, temperatureFraction, `${vitals.temperature.toFixed(1)}°C`,
+            vitals.temperature < vitals.coldThreshold);
+    }
+
+    // Clean up resources
+    dispose() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.isInitialized = false;
+    }
+}
@@ -0,0 +1,419 @@
+import * as THREE from 'three';
+import { createGibsExplosion } from './gibsParticles.js';
+import { SeededRandom, randomSeed } from './random.js';
+
+// Settings for each kind of animal
+const SPECIES = {
+    deer: {
+        health: 2, // Arrow hits needed to kill
+        walkSpeed: 1.2,
+        runSpeed: 7,
+        hearingRange: 18, // Distance at which it hears the player moving
+        sightRange: 9, // Distance at which it notices the player standing still
+        fleeDuration: 6, // Seconds spent running before calming down
+        hitboxSize: new THREE.Vector3(0.6, 1.4, 1.6),
+        meat: 3,
+        hide: 2,
+        weight: 0.4 // Share of the population
+    },
+    rabbit: {
+        health: 1,
+        walkSpeed: 0.8,
+        runSpeed: 6,
+        hearingRange: 9,
+        sightRange: 4,
+        fleeDuration: 3,
+        hitboxSize: new THREE.Vector3(0.35, 0.35, 0.5),
+        meat: 1,
+        hide: 1,
+        weight: 0.6
+    }
+};
+
+export class WildlifeSystem {
+    constructor(scene, interactableObjects, terrain = null, random = null) {
+        this.scene = scene;
+        this.interactableObjects = interactableObjects;
+        this.terrain = terrain; // Used to keep animals on the ground and out of lakes
+        this.random = random || new SeededRandom(randomSeed());
+
+        this.animals = []; // Living animals
+        this.carcasses = []; // Dead animals waiting to be harvested
+        this.maxAnimals = 12; // Animals kept alive around the player
+        this.spawnMinDistance = 30; // Spawn out of the player's immediate view
+        this.spawnMaxDistance = 50;
+        this.despawnDistance = 80; // Animals and carcasses further than this are removed
+        this.wanderRadius = 10; // How far an animal walks from where it is before picking a new spot
+    }
+
+    // Get the terrain height, or 0 on flat ground
+    getGroundHeight(x, z) {
+        return this.terrain ? this.terrain.getHeightAt(x, z) : 0;
+    }
+
+    isUnderWater(x, z) {
+        return this.terrain ? this.terrain.isUnderWater(x, z) : false;
+    }
+
+    pickSpecies() {
+        let roll = this.random.next();
+        for (const [species, settings] of Object.entries(SPECIES)) {
+            roll -= settings.weight;
+            if (roll <= 0) return species;
+        }
+        return 'rabbit';
+    }
+
+    // Build a simple low-poly deer
+    createDeerModel() {
+        const deer = new THREE.Group();
+        const furMaterial = new THREE.MeshStandardMaterial({ color: 0x8b5a2b, roughness: 0.9, metalness: 0.0 });
+        const bellyMaterial = new THREE.MeshStandardMaterial({ color: 0xd2b48c, roughness: 0.9, metalness: 0.0 });
+        const antlerMaterial = new THREE.MeshStandardMaterial({ color: 0xe8dcc0, roughness: 0.8, metalness: 0.0 });
+
+        const body = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.5, 1.2), furMaterial);
+        body.position.y = 1.0;
+        deer.add(body);
+
+        const belly = new THREE.Mesh(new THREE.BoxGeometry(0.45, 0.1, 1.0), bellyMaterial);
+        belly.position.y = 0.75;
+        deer.add(belly);
+
+        const neck = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.5, 0.2), furMaterial);
+        neck.position.set(0, 1.35, 0.55);
+        neck.rotation.x = Math.PI / 6;
+        deer.add(neck);
+
+        const head = new THREE.Mesh(new THREE.BoxGeometry(0.22, 0.22, 0.4), furMaterial);
+        head.position.set(0, 1.6, 0.75);
+        deer.add(head);
+
+        // Antlers
+        for (const side of [-1, 1]) {
+            const antler = new THREE.Mesh(new THREE.CylinderGeometry(0.02, 0.03, 0.4), antlerMaterial);
+            antler.position.set(side * 0.1, 1.85, 0.7);
+            antler.rotation.z = side * -0.4;
+            deer.add(antler);
+        }
+
+        // Legs
+        for (const [x, z] of [[-0.18, 0.45], [0.18, 0.45], [-0.18, -0.45], [0.18, -0.45]]) {
+            const leg = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.8, 0.1), furMaterial);
+            leg.position.set(x, 0.4, z);
+            leg.userData.isLeg = true;
+            deer.add(leg);
+        }
+
+        return deer;
+    }
+
+    // Build a simple low-poly rabbit
+    createRabbitModel() {
+        const rabbit = new THREE.Group();
+        const furMaterial = new THREE.MeshStandardMaterial({ color: 0x9e9e9e, roughness: 0.9, metalness: 0.0 });
+        const tailMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.9, metalness: 0.0 });
+
+        const body = new THREE.Mesh(new THREE.SphereGeometry(0.18, 8, 6), furMaterial);
+        body.scale.set(1, 0.9, 1.4);
+        body.position.y = 0.18;
+        rabbit.add(body);
+
+        const head = new THREE.Mesh(new THREE.SphereGeometry(0.11, 8, 6), furMaterial);
+        head.position.set(0, 0.3, 0.22);
+        rabbit.add(head);
+
+        // Ears
+        for (const side of [-1, 1]) {
+            const ear = new THREE.Mesh(new THREE.BoxGeometry(0.04, 0.18, 0.06), furMaterial);
+            ear.position.set(side * 0.05, 0.45, 0.2);
+            rabbit.add(ear);
+        }
+
+        const tail = new THREE.Mesh(new THREE.SphereGeometry(0.06, 6, 4), tailMaterial);
+        tail.position.set(0, 0.22, -0.26);
+        rabbit.add(tail);
+
+        return rabbit;
+    }
+
+    spawnAnimal(species, position) {
+        const settings = SPECIES[species];
+        const animal = species === 'deer' ? this.createDeerModel() : this.createRabbitModel();
+
+        animal.traverse(node => {
+            if (node.isMesh) {
+                node.castShadow = true;
+            }
+        });
+
+        // Invisible box that arrows are tested against
+        const hitbox = new THREE.Mesh(
+            new THREE.BoxGeometry(settings.hitboxSize.x, settings.hitboxSize.y, settings.hitboxSize.z),
+            new THREE.MeshBasicMaterial({ visible: false })
+        );
+        hitbox.position.y = settings.hitboxSize.y / 2 + (species === 'deer' ? 0.4 : 0);
+        animal.add(hitbox);
+
+        animal.position.set(position.x, this.getGroundHeight(position.x, position.z), position.z);
+        animal.rotation.y = this.random.next() * Math.PI * 2;
+
+        animal.userData.type = 'animal';
+        animal.userData.species = species;
+        animal.userData.hitbox = hitbox;
+        animal.userData.health = settings.health;
+        animal.userData.state = 'idle';
+        animal.userData.stateTimer = this.random.next() * 3;
+        animal.userData.target = null;
+        animal.userData.fleeFrom = null;
+        animal.userData.gaitTime = 0;
+
+        this.scene.add(animal);
+        this.animals.push(animal);
+
+        console.log(`Spawned ${species} at ${position.x.toFixed(2)}, ${position.z.toFixed(2)}`);
+        return animal;
+    }
+
+    // Find a spot on dry land around the player to spawn a new animal
+    findSpawnPosition(playerPosition) {
+        for (let attempts = 0; attempts < 10; attempts++) {
+            const angle = this.random.next() * Math.PI * 2;
+            const distance = this.spawnMinDistance + this.random.next() * (this.spawnMaxDistance - this.spawnMinDistance);
+            const x = playerPosition.x + Math.cos(angle) * distance;
+            const z = playerPosition.z + Math.sin(angle) * distance;
+
+            if (!this.isUnderWater(x, z)) {
+                return new THREE.Vector3(x, 0, z);
+            }
+        }
+
+        return null;
+    }
+
+    // Scare animals within the radius, e.g. from chopping trees or arrows landing
+    makeNoise(position, radius) {
+        for (const animal of this.animals) {
+            const distance = animal.position.distanceTo(position);
+            if (distance < radius) {
+                this.startFleeing(animal, position);
+            }
+        }
+    }
+
+    startFleeing(animal, threatPosition) {
+        if (animal.userData.state !== 'flee') {
+            console.log(`${animal.userData.species} is fleeing`);
+        }
+
+        animal.userData.state = 'flee';
+        animal.userData.stateTimer = SPECIES[animal.userData.species].fleeDuration;
+        animal.userData.fleeFrom = threatPosition.clone();
+    }
+
+    // Find which animal, if any, an arrow travelling between two points hits
+    checkArrowHit(from, to) {
+        if (this.animals.length === 0) return null;
+
+        const direction = to.clone().sub(from);
+        const distance = direction.length();
+        if (distance === 0) return null;
+
+        const raycaster = new THREE.Raycaster(from, direction.normalize(), 0, distance);
+        const hitboxes = this.animals.map(animal => animal.userData.hitbox);
+        const intersects = raycaster.intersectObjects(hitboxes, false);
+
+        if (intersects.length > 0) {
+            return {
+                animal: intersects[0].object.parent,
+                point: intersects[0].point
+            };
+        }
+
+        return null;
+    }
+
+    // Damage an animal hit by an arrow, returns true if it was killed
+    hitAnimal(animal, damage = 1, fromPosition = null) {
+        animal.userData.health -= damage;
+
+        if (animal.userData.health <= 0) {
+            this.killAnimal(animal);
+            return true;
+        }
+
+        // Wounded animals run from where the arrow came from
+        this.startFleeing(animal, fromPosition || animal.position);
+        return false;
+    }
+
+    // Turn an animal into a carcass that can be harvested
+    killAnimal(animal) {
+        const index = this.animals.indexOf(animal);
+        if (index > -1) {
+            this.animals.splice(index, 1);
+        }
+
+        // Burst of gibs where the animal fell
+        const gibsPosition = animal.position.clone();
+        gibsPosition.y += animal.userData.species === 'deer' ? 1 : 0.2;
+        createGibsExplosion(this.scene, gibsPosition);
+
+        // Lay it on its side
+        animal.rotation.z = Math.PI / 2;
+        animal.position.y = this.getGroundHeight(animal.position.x, animal.position.z) +
+            (animal.userData.species === 'deer' ? 0.3 : 0.15);
+
+        animal.userData.type = 'carcass';
+        animal.userData.state = 'dead';
+        this.carcasses.push(animal);
+        this.interactableObjects.push(animal);
+
+        console.log(`Killed a ${animal.userData.species}`);
+    }
+
+    // Harvest a carcass, returns the items it gives
+    harvestCarcass(carcass) {
+        const settings = SPECIES[carcass.userData.species];
+        this.removeAnimal(carcass);
+
+        return { 'raw meat': settings.meat, hide: settings.hide };
+    }
+
+    removeAnimal(animal) {
+        this.scene.remove(animal);
+
+        let index = this.animals.indexOf(animal);
+        if (index > -1) {
+            this.animals.splice(index, 1);
+        }
+
+        index = this.carcasses.indexOf(animal);
+        if (index > -1) {
+            this.carcasses.splice(index, 1);
+        }
+
+        index = this.interactableObjects.indexOf(animal);
+        if (index > -1) {
+            this.interactableObjects.splice(index, 1);
+        }
+    }
+
+    // Pick a new spot on dry land to wander to
+    pickWanderTarget(animal) {
+        for (let attempts = 0; attempts < 5; attempts++) {
+            const angle = this.random.next() * Math.PI * 2;
+            const distance = 2 + this.random.next() * this.wanderRadius;
+            const x = animal.position.x + Math.cos(angle) * distance;
+            const z = animal.position.z + Math.sin(angle) * distance;
+
+            if (!this.isUnderWater(x, z)) {
+                return new THREE.Vector3(x, 0, z);
+            }
+        }
+
+        return null;
+    }
+
+    // Move an animal towards a direction, returns false if the way is blocked by water
+    moveAnimal(animal, direction, speed, deltaTime) {
+        const step = direction.clone().setY(0).normalize().multiplyScalar(speed * deltaTime);
+        const x = animal.position.x + step.x;
+        const z = animal.position.z + step.z;
+
+        if (this.isUnderWater(x, z)) {
+            return false;
+        }
+
+        animal.position.set(x, this.getGroundHeight(x, z), z);
+        animal.rotation.y = Math.atan2(step.x, step.z);
+
+        // Bob the body and swing the legs while moving
+        animal.userData.gaitTime += deltaTime * speed * 3;
+        animal.children.forEach((child, index) => {
+            if (child.userData.isLeg) {
+                child.rotation.x = Math.sin(animal.userData.gaitTime + index * Math.PI / 2) * 0.5;
+            }
+        });
+        if (animal.userData.species === 'rabbit') {
+            animal.position.y += Math.abs(Math.sin(animal.userData.gaitTime)) * 0.15;
+        }
+
+        return true;
+    }
+
+    updateAnimal(animal, deltaTime, playerPosition, playerIsMoving) {
+        const settings = SPECIES[animal.userData.species];
+        const distanceToPlayer = new THREE.Vector2(animal.position.x - playerPosition.x, animal.position.z - playerPosition.z).length();
+
+        // Notice the player from further away when they're moving
+        const awarenessRange = playerIsMoving ? settings.hearingRange : settings.sightRange;
+        if (distanceToPlayer < awarenessRange) {
+            this.startFleeing(animal, playerPosition);
+        }
+
+        animal.userData.stateTimer -= deltaTime;
+
+        switch (animal.userData.state) {
+            case 'idle':
+                if (animal.userData.stateTimer <= 0) {
+                    animal.userData.target = this.pickWanderTarget(animal);
+                    animal.userData.state = animal.userData.target ? 'wander' : 'idle';
+                    animal.userData.stateTimer = 10; // Give up on the target after a while
+                }
+                break;
+
+            case 'wander': {
+                const target = animal.userData.target;
+                const toTarget = target.clone().sub(animal.position).setY(0);
+
+                if (toTarget.length() < 0.5 || animal.userData.stateTimer <= 0 ||
+                    !this.moveAnimal(animal, toTarget, settings.walkSpeed, deltaTime)) {
+                    // Graze for a bit before moving on
+                    animal.userData.state = 'idle';
+                    animal.userData.stateTimer = 2 + this.random.next() * 4;
+                }
+                break;
+            }
+
+            case 'flee': {
+                const away = animal.position.clone().sub(animal.userData.fleeFrom).setY(0);
+                if (away.lengthSq() === 0) {
+                    away.set(Math.sin(animal.rotation.y), 0, Math.cos(animal.rotation.y));
+                }
+
+                // If water is in the way, try running sideways
+                if (!this.moveAnimal(animal, away, settings.runSpeed, deltaTime)) {
+                    const sideways = new THREE.Vector3(-away.z, 0, away.x);
+                    this.moveAnimal(animal, sideways, settings.runSpeed, deltaTime);
+                }
+
+                if (animal.userData.stateTimer <= 0) {
+                    animal.userData.state = 'idle';
+                    animal.userData.stateTimer = 1 + this.random.next() * 2;
+                }
+                break;
+            }
+        }
+    }
+
+    update(deltaTime, playerPosition, playerIsMoving = false) {
+        // Remove animals and carcasses the player has left far behind
+        for (const animal of [...this.animals, ...this.carcasses]) {
+            if (animal.position.distanceTo(playerPosition) > this.despawnDistance) {
+                this.removeAnimal(animal);
+            }
+        }
+
+        // Keep the population topped up, one animal per frame at most
+        if (this.animals.length < this.maxAnimals) {
+            const position = this.findSpawnPosition(playerPosition);
+            if (position) {
+                this.spawnAnimal(this.pickSpecies(), position);
+            }
+        }
+
+        for (const animal of this.animals) {
+            this.updateAnimal(animal, deltaTime, playerPosition, playerIsMoving);
+        }
+    }
+}